@@ -4,7 +4,8 @@ const { initDatabase } = require('./database/init');
 const queries = require('./database/queries');
 const { handleCommand } = require('./commands/commandHandler');
 const { handleMessage } = require('./middlewares/messageHandler');
-const { handleNewMember } = require('./middlewares/memberHandler');
+const { handleNewMember, handleMemberLeft } = require('./middlewares/memberHandler');
+const { handleJoinRequest, handleQuestionnaireAnswer } = require('./middlewares/joinRequestHandler');
 const { handleCallback } = require('./middlewares/callbackHandler');
 const { handleReaction } = require('./middlewares/reactionHandler');
 const { scheduleJobs } = require('./utils/scheduler');
@@ -46,23 +47,28 @@ async function startBot() {
                     msg.from.last_name
                 );
 
-                // Skip handling messages from banned users
+                // Skip handling messages from users banned network-wide or in this chat
                 const user = await queries.getUserById(msg.from.id);
                 if (user?.is_banned) {
                     if (user.ban_until && user.ban_until < new Date()) {
-                        await queries.unbanUser(msg.from.id);
+                        await queries.networkUnbanUser(msg.from.id, null);
                     } else {
                         return;
                     }
                 }
+                if (await queries.getChatBan(msg.from.id, msg.chat.id)) {
+                    return;
+                }
 
-                // Log message for stats
+                // Log message for stats and !purge, animations also carry a document
+                const messageType = ['animation', 'photo', 'video', 'audio', 'document', 'sticker']
+                    .find(type => msg[type]) || (msg.text ? 'text' : 'other');
                 await queries.logMessage(
                     msg.message_id,
                     msg.from.id,
                     msg.chat.id,
-                    msg.text ? 'text' : 'media',
-                    msg.text || ''
+                    messageType,
+                    msg.text || msg.caption || ''
                 );
 
                 // Update user activity
@@ -74,6 +80,11 @@ async function startBot() {
                     return;
                 }
 
+                // Private messages may answer a join questionnaire
+                if (msg.chat.type === 'private' && await handleQuestionnaireAnswer(bot, msg)) {
+                    return;
+                }
+
                 // Handle regular message
                 await handleMessage(bot, msg, messageCache);
             } catch (error) {
@@ -81,6 +92,15 @@ async function startBot() {
             }
         });
 
+        // Handle join requests of groups that approve new members
+        bot.on('chat_join_request', async (joinRequest) => {
+            try {
+                await handleJoinRequest(bot, joinRequest);
+            } catch (error) {
+                logger.error('Error handling chat join request:', error);
+            }
+        });
+
         // Handle callback queries (for buttons)
         bot.on('callback_query', async (callbackQuery) => {
             try {
@@ -102,8 +122,7 @@ async function startBot() {
         // Handle left chat member
         bot.on('left_chat_member', async (msg) => {
             try {
-                logger.info(`User ${msg.left_chat_member.id} left the chat ${msg.chat.id}`);
-                // You could add custom handling here if needed
+                await handleMemberLeft(bot, msg);
             } catch (error) {
                 logger.error('Error handling left chat member:', error);
             }
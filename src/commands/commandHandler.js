@@ -3,12 +3,417 @@ const queries = require('../database/queries');
 const { logger } = require('../utils/logger');
 const { isAdmin, isModerator } = require('../utils/permissions');
 const { createPoll } = require('../utils/pollManager');
-const { formatDuration } = require('../utils/formatter');
+const { formatDate, formatDuration, formatUsername, getCalendarOptions } = require('../utils/formatter');
+const eventManager = require('../utils/eventManager');
+const birthdayManager = require('../utils/birthdayManager');
+const { describeRRule } = require('../utils/recurrence');
+const { buildSettingsPanel } = require('../utils/settingsPanel');
+const { parseDuration, takeDuration } = require('../utils/duration');
+const { toLatinDigits } = require('../utils/jalali');
+const { logModAction } = require('../utils/modLog');
+const { resolveTargetUser } = require('../utils/userResolver');
+const { DELETABLE_HOURS, deleteMessagesInBatches } = require('../utils/messagePurge');
+const { LOCK_TYPES, parseLockType, getLockedTypes } = require('../utils/locks');
+const { normalizeTimeZone, parseTimeRange, getChatTimeZone } = require('../utils/nightMode');
+const { CAPTCHA_MODES } = require('../utils/captcha');
+const { getJoinQuestions } = require('../middlewares/joinRequestHandler');
+const { endLockdown } = require('../utils/antiRaid');
+const { WELCOME_PLACEHOLDERS, parseWelcomeButtons, renderWelcome, postWelcome } = require('../utils/welcome');
+const { parseEscalationPolicy, getEscalationPolicy, getWarningExpiryDays, describeEscalationPolicy, applyEscalation, formatEscalationResult } = require('../utils/escalation');
+
+// Settings that admins can change with !set <key> <value>
+const GROUP_SETTINGS = {
+    welcome: {
+        column: 'welcome_message',
+        param: 'welcomeMessage',
+        label: 'پیام خوش‌آمدگویی',
+        fallback: () => config.welcomeMessage,
+        parse: text => text || null,
+        hint: `متن پیام خوش‌آمدگویی را وارد کنید. این عبارت‌ها جایگزین می‌شوند:\n${Object.entries(WELCOME_PLACEHOLDERS).map(([name, label]) => `{${name}} - ${label}`).join('\n')}`
+    },
+    goodbye: {
+        column: 'goodbye_message',
+        param: 'goodbyeMessage',
+        label: 'پیام خداحافظی',
+        fallback: () => '',
+        parse: text => ['off', 'خاموش'].includes(text.toLowerCase()) ? '' : text || null,
+        format: value => value || 'خاموش',
+        hint: `متن پیام خداحافظی برای اعضایی که خودشان گروه را ترک می‌کنند را وارد کنید، برای خاموش کردن: off\nاین عبارت‌ها جایگزین می‌شوند:\n${Object.entries(WELCOME_PLACEHOLDERS).map(([name, label]) => `{${name}} - ${label}`).join('\n')}`
+    },
+    welcome_buttons: {
+        column: 'welcome_buttons',
+        param: 'welcomeButtons',
+        label: 'دکمه‌های خوش‌آمدگویی',
+        fallback: () => '',
+        parse: text => {
+            if (['off', 'خاموش'].includes(text.toLowerCase())) return '';
+            const buttons = parseWelcomeButtons(text);
+            return buttons && buttons.length > 0 ? buttons.map(button => `${button.text} | ${button.url}`).join('\n') : null;
+        },
+        format: value => value || 'بدون دکمه',
+        hint: 'هر دکمه را در یک خط جدید به شکل «متن | https://...» بنویسید (حداکثر 6 دکمه). برای حذف دکمه‌ها: off'
+    },
+    welcome_replace: {
+        column: 'welcome_replace',
+        param: 'welcomeReplace',
+        label: 'حذف خوش‌آمدگویی قبلی',
+        fallback: () => false,
+        parse: text => {
+            const value = text.toLowerCase();
+            if (['on', 'روشن'].includes(value)) return true;
+            if (['off', 'خاموش'].includes(value)) return false;
+            return null;
+        },
+        format: value => value ? 'روشن (فقط آخرین خوش‌آمدگویی می‌ماند)' : 'خاموش',
+        hint: 'on یا off وارد کنید.'
+    },
+    welcome_autodelete: {
+        column: 'welcome_delete_after',
+        param: 'welcomeDeleteAfter',
+        label: 'حذف خودکار خوش‌آمدگویی',
+        fallback: () => 0,
+        parse: text => {
+            if (['off', 'خاموش'].includes(text.toLowerCase())) return 0;
+            const minutes = parseDuration(text);
+            return Number.isFinite(minutes) && minutes <= 24 * 60 ? minutes : null;
+        },
+        format: value => value > 0 ? `پس از ${formatDuration(value)}` : 'خاموش',
+        hint: 'مدت را مانند 5m یا 1h وارد کنید (حداکثر یک روز). برای خاموش کردن: off'
+    },
+    rules: {
+        column: 'rules',
+        param: 'rules',
+        label: 'قوانین',
+        fallback: () => config.defaultRules,
+        parse: text => text || null,
+        hint: 'متن قوانین را وارد کنید.'
+    },
+    spam_sensitivity: {
+        column: 'spam_sensitivity',
+        param: 'spamSensitivity',
+        label: 'حساسیت به اسپم',
+        fallback: () => config.defaultSpamSensitivity,
+        parse: text => {
+            const value = Number(toLatinDigits(text));
+            return Number.isInteger(value) && value >= 1 && value <= 10 ? value : null;
+        },
+        hint: 'عددی بین 1 تا 10 وارد کنید.'
+    },
+    max_warnings: {
+        column: 'max_warnings',
+        param: 'maxWarnings',
+        label: 'حداکثر اخطارها',
+        fallback: () => config.maxWarnings,
+        parse: text => {
+            const value = Number(toLatinDigits(text));
+            return Number.isInteger(value) && value >= 1 && value <= 100 ? value : null;
+        },
+        hint: 'عددی بین 1 تا 100 وارد کنید.'
+    },
+    mute_duration: {
+        column: 'mute_duration',
+        param: 'muteDuration',
+        label: 'مدت سکوت',
+        fallback: () => parseDuration(config.defaultMuteDuration),
+        parse: text => {
+            const minutes = parseDuration(text);
+            return Number.isFinite(minutes) ? minutes : null;
+        },
+        format: value => formatDuration(value),
+        hint: 'مدت را مانند 30m، 2h، 1d12h یا «2 ساعت» وارد کنید. این مدت سکوت پس از رسیدن به حداکثر اخطارها است، مگر اینکه escalation تنظیم شده باشد.'
+    },
+    ban_duration: {
+        column: 'ban_duration',
+        param: 'banDuration',
+        label: 'مدت مسدودیت',
+        fallback: () => parseDuration(config.defaultBanDuration),
+        parse: text => {
+            const minutes = parseDuration(text);
+            return Number.isFinite(minutes) ? minutes : null;
+        },
+        format: value => formatDuration(value),
+        hint: 'مدت را مانند 30m، 2h، 1d12h یا «2 روز» وارد کنید. این مدت مسدودیت پس از سکوت است، مگر اینکه escalation تنظیم شده باشد.'
+    },
+    escalation: {
+        column: 'escalation_policy',
+        param: 'escalationPolicy',
+        label: 'مراحل برخورد با تخلف',
+        fallback: () => '',
+        parse: text => {
+            if (text.toLowerCase() === 'default') return '';
+            try {
+                return parseEscalationPolicy(text)
+                    .map(step => {
+                        if (step.duration) return `${step.action}:${step.duration}m`;
+                        return step.action === 'MUTE' ? 'MUTE:perm' : step.action;
+                    })
+                    .join(',')
+                    .toLowerCase();
+            } catch (error) {
+                return null;
+            }
+        },
+        format: value => value
+            ? describeEscalationPolicy(getEscalationPolicy({ escalation_policy: value }))
+            : 'پیش‌فرض (اخطار تا حداکثر اخطارها، سپس سکوت و مسدودیت)',
+        hint: 'مراحل را با کاما جدا کنید، مانند warn,warn,mute:1h,mute:1d12h,ban:7d,ban\nمرحله ban بدون مدت یا با perm دائمی است. برای بازگشت به پیش‌فرض: default'
+    },
+    warning_expiry: {
+        column: 'warning_expiry_days',
+        param: 'warningExpiryDays',
+        label: 'انقضای اخطارها',
+        fallback: () => config.warningExpiryDays,
+        parse: text => {
+            const value = Number(toLatinDigits(text));
+            return Number.isInteger(value) && value >= 0 && value <= 3650 ? value : null;
+        },
+        format: value => value > 0 ? `${value} روز` : 'بدون انقضا',
+        hint: 'تعداد روزها را وارد کنید (0 یعنی اخطارها هرگز منقضی نمی‌شوند). تغییر فقط روی اخطارهای جدید اثر دارد.'
+    },
+    slow_mode: {
+        column: 'slow_mode_seconds',
+        param: 'slowModeSeconds',
+        label: 'حالت آهسته',
+        fallback: () => 0,
+        parse: text => {
+            if (['off', 'خاموش'].includes(text.toLowerCase())) return 0;
+            const match = /^(\d+)\s*(s|m|h)?$/.exec(toLatinDigits(text).toLowerCase());
+            if (!match) return null;
+            const seconds = Number(match[1]) * { s: 1, m: 60, h: 3600 }[match[2] || 's'];
+            return seconds <= 3600 ? seconds : null;
+        },
+        format: value => value > 0 ? `هر عضو یک پیام در ${value} ثانیه` : 'خاموش',
+        hint: 'فاصله بین پیام‌های هر عضو را مانند 30، 30s یا 2m وارد کنید (حداکثر 1h). برای خاموش کردن: off'
+    },
+    night_mode: {
+        column: 'night_mode',
+        param: 'nightMode',
+        label: 'حالت شب',
+        fallback: () => '',
+        parse: text => ['off', 'خاموش'].includes(text.toLowerCase()) ? '' : parseTimeRange(text),
+        format: value => value ? `${value} (بسته بودن گفتگو برای اعضای عادی)` : 'خاموش',
+        hint: 'بازه را مانند 01:00-07:00 یا 23-6 به وقت منطقه زمانی گروه وارد کنید. برای خاموش کردن: off'
+    },
+    timezone: {
+        column: 'timezone',
+        param: 'timezone',
+        label: 'منطقه زمانی',
+        fallback: () => '',
+        parse: text => {
+            if (text.toLowerCase() === 'default') return '';
+            return normalizeTimeZone(text);
+        },
+        format: value => value || `پیش‌فرض (${config.timezone})`,
+        hint: 'نام منطقه زمانی را مانند Asia/Tehran یا Europe/Berlin وارد کنید. برای بازگشت به پیش‌فرض: default'
+    },
+    captcha: {
+        column: 'captcha_mode',
+        param: 'captchaMode',
+        label: 'تأیید عضویت (کپچا)',
+        fallback: () => '',
+        parse: text => {
+            const mode = text.toLowerCase();
+            if (['off', 'خاموش'].includes(mode)) return '';
+            return CAPTCHA_MODES[mode] ? mode : null;
+        },
+        format: value => value ? CAPTCHA_MODES[value] : 'خاموش',
+        hint: 'یکی از button، math یا emoji را وارد کنید. برای خاموش کردن: off'
+    },
+    captcha_timeout: {
+        column: 'captcha_timeout',
+        param: 'captchaTimeout',
+        label: 'مهلت کپچا',
+        fallback: () => 5,
+        parse: text => {
+            const minutes = parseDuration(text);
+            return Number.isFinite(minutes) && minutes <= 24 * 60 ? minutes : null;
+        },
+        format: value => formatDuration(value),
+        hint: 'مدت را مانند 5m یا «10 دقیقه» وارد کنید (حداکثر یک روز).'
+    },
+    join_questions: {
+        column: 'join_questions',
+        param: 'joinQuestions',
+        label: 'سوالات درخواست عضویت',
+        fallback: () => '',
+        parse: text => {
+            if (['off', 'خاموش'].includes(text.toLowerCase())) return '';
+            const questions = getJoinQuestions({ join_questions: text });
+            return questions.length > 0 && questions.length <= 5 ? questions.join('\n') : null;
+        },
+        format: value => value
+            ? getJoinQuestions({ join_questions: value }).map((question, index) => `${index + 1}. ${question}`).join('\n')
+            : 'بدون سوال (درخواست‌ها مستقیم برای بررسی ارسال می‌شوند)',
+        hint: 'هر سوال را در یک خط جدید بعد از دستور بنویسید (حداکثر 5 سوال). برای حذف سوالات: off\nپاسخ‌ها با دکمه‌های پذیرش و رد به کانال گزارش مدیریت (!modlog) ارسال می‌شوند.'
+    },
+    raid_threshold: {
+        column: 'raid_threshold',
+        param: 'raidThreshold',
+        label: 'آستانه تشخیص حمله',
+        fallback: () => 0,
+        parse: text => {
+            if (['off', 'خاموش'].includes(text.toLowerCase())) return 0;
+            const value = Number(toLatinDigits(text));
+            return Number.isInteger(value) && value >= 2 && value <= 1000 ? value : null;
+        },
+        format: value => value > 0 ? `${value} عضو جدید در بازه تشخیص` : 'خاموش',
+        hint: 'تعداد ورود در بازه تشخیص (raid_window) که گروه را قفل می‌کند وارد کنید (2 تا 1000). برای خاموش کردن: off'
+    },
+    raid_window: {
+        column: 'raid_window_seconds',
+        param: 'raidWindowSeconds',
+        label: 'بازه تشخیص حمله',
+        fallback: () => 60,
+        parse: text => {
+            const match = /^(\d+)\s*(s|m)?$/.exec(toLatinDigits(text).toLowerCase());
+            if (!match) return null;
+            const seconds = Number(match[1]) * { s: 1, m: 60 }[match[2] || 's'];
+            return seconds >= 1 && seconds <= 3600 ? seconds : null;
+        },
+        format: value => `${value} ثانیه`,
+        hint: 'بازه را مانند 60، 30s یا 5m وارد کنید (حداکثر 1 ساعت).'
+    },
+    raid_lockdown: {
+        column: 'raid_lockdown_minutes',
+        param: 'raidLockdownMinutes',
+        label: 'مدت قفل پس از حمله',
+        fallback: () => 30,
+        parse: text => {
+            const minutes = parseDuration(text);
+            return Number.isFinite(minutes) && minutes <= 7 * 24 * 60 ? minutes : null;
+        },
+        format: value => formatDuration(value),
+        hint: 'مدت را مانند 30m یا 2h وارد کنید (حداکثر یک هفته). قفل با !unlockdown زودتر پایان می‌یابد.'
+    },
+    raid_lock_chat: {
+        column: 'raid_lock_chat',
+        param: 'raidLockChat',
+        label: 'بستن گفتگو هنگام حمله',
+        fallback: () => false,
+        parse: text => {
+            const value = text.toLowerCase();
+            if (['on', 'روشن'].includes(value)) return true;
+            if (['off', 'خاموش'].includes(value)) return false;
+            return null;
+        },
+        format: value => value ? 'روشن (ارسال پیام برای همه اعضای عادی بسته می‌شود)' : 'خاموش (فقط اعضای جدید محدود می‌شوند)',
+        hint: 'on یا off وارد کنید.'
+    }
+};
+
+// Infraction types shown by !warns
+const STRIKE_LABELS = {
+    WARN: 'اخطار',
+    SPAM: 'اسپم',
+    BANNED_CONTENT: 'محتوای غیرمجاز'
+};
+
+// Network-wide commands are reserved for the owner of the bot
+function isBotOwner(userId) {
+    return Boolean(config.adminUserId) && String(userId) === String(config.adminUserId);
+}
+
+/**
+ * Get a member for the mod log from the users table, when a command only
+ * knows their ID
+ * @param {number} userId User ID
+ * @returns {Promise<Object>} Telegram-like user
+ */
+async function getLoggedUser(userId) {
+    const user = await queries.getUserById(userId);
+    return { id: Number(userId), username: user?.username, first_name: user?.first_name, last_name: user?.last_name };
+}
+
+/**
+ * Lock or unlock message types of a chat for !lock and !unlock. The pseudo
+ * type "warn" switches warnings for locked messages instead.
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} msg Command message
+ * @param {boolean} lock Whether to lock or unlock
+ */
+async function updateLocks(bot, msg, lock) {
+    const command = lock ? '!lock' : '!unlock';
+    if (!await isModerator(msg.from.id, msg.chat.id, bot)) {
+        await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+        return;
+    }
+
+    const names = msg.text.split(/\s+/).slice(1).map(name => name.toLowerCase());
+    const typeList = Object.keys(LOCK_TYPES).join(', ');
+    if (names.length === 0) {
+        await bot.sendMessage(msg.chat.id, `نحوه استفاده: ${command} <نوع...>\nانواع: ${typeList}, all\n${command} warn - ${lock ? 'روشن' : 'خاموش'} کردن اخطار برای پیام‌های قفل شده`);
+        return;
+    }
+
+    try {
+        if (names.length === 1 && names[0] === 'warn') {
+            await queries.updateGroupSettings(msg.chat.id, { lockWarnings: lock });
+            await logModAction(bot, {
+                chat: msg.chat,
+                action: lock ? 'LOCK' : 'UNLOCK',
+                actor: msg.from,
+                details: `اخطار برای پیام‌های قفل شده: ${lock ? 'روشن' : 'خاموش'}`
+            });
+            await bot.sendMessage(msg.chat.id, lock
+                ? '⚠️ ارسال پیام‌های قفل شده از این پس اخطار هم دارد.'
+                : 'پیام‌های قفل شده از این پس فقط حذف می‌شوند.');
+            return;
+        }
+
+        const unknown = names.filter(name => name !== 'all' && !parseLockType(name));
+        if (unknown.length > 0) {
+            await bot.sendMessage(msg.chat.id, `⚠️ نوع ناشناخته: ${unknown.join(', ')}\nانواع: ${typeList}`);
+            return;
+        }
+
+        // "all" stands for every lock type
+        const types = names.includes('all') ? Object.keys(LOCK_TYPES) : names.map(parseLockType);
+
+        const settings = await queries.getGroupSettings(msg.chat.id);
+        const current = getLockedTypes(settings);
+        const lockedTypes = lock
+            ? [...new Set([...current, ...types])]
+            : current.filter(type => !types.includes(type));
+        await queries.updateGroupSettings(msg.chat.id, { lockedTypes });
+
+        const labels = [...new Set(types)].map(type => LOCK_TYPES[type].label).join('، ');
+        await logModAction(bot, {
+            chat: msg.chat,
+            action: lock ? 'LOCK' : 'UNLOCK',
+            actor: msg.from,
+            details: `انواع: ${labels}`
+        });
+        logger.info('Chat locks changed', {
+            chatId: msg.chat.id,
+            lockedTypes,
+            changedBy: msg.from.id
+        });
+        await bot.sendMessage(msg.chat.id, lock
+            ? `🔒 ارسال ${labels} برای اعضای عادی قفل شد.`
+            : `🔓 قفل ${labels} برداشته شد.`);
+    } catch (error) {
+        logger.error('Error updating chat locks:', {
+            error: error.message,
+            chatId: msg.chat.id,
+            command: msg.text
+        });
+        await bot.sendMessage(msg.chat.id, 'خطایی رخ داد. لطفاً دوباره تلاش کنید.');
+    }
+}
 
 const commands = {
     // Public Commands
     '/start': async (bot, msg) => {
         const chatId = msg.chat.id;
+
+        // Rules links of welcomes open the bot with the chat in the start parameter
+        const match = /^rules_(-?\d+)$/.exec(msg.text.split(/\s+/)[1] || '');
+        if (match) {
+            const settings = await queries.getGroupSettings(match[1]);
+            await bot.sendMessage(chatId, settings?.rules || config.defaultRules);
+            return;
+        }
+
         await bot.sendMessage(chatId, 'سلام! من ربات مدیریت گروه شما هستم. برای دیدن دستورات موجود از /help استفاده کنید.');
     },
 
@@ -23,32 +428,79 @@ const commands = {
 /stats - مشاهده آمار فعالیت شما
 /top - مشاهده کاربران فعال برتر
 /events - لیست رویدادهای پیش رو
+/events_ics - دریافت فایل تقویم (.ics) همه رویدادهای پیش رو
 /feedback <پیام> - ارسال بازخورد
 
 دستورات کاربری:
 /me - مشاهده پروفایل شما
-/birthday <DD-MM> - تنظیم تاریخ تولد
+/birthday <DD-MM> - تنظیم تاریخ تولد (/birthday clear برای حذف)
+/birthdays - تولدهای پیش رو در این گروه
+/birthday_privacy - تعیین گروه‌هایی که تولد شما در آن‌ها نمایش داده می‌شود
 
 دستورات رویداد:
 /event_join <شناسه_رویداد> - پیوستن به رویداد
 /event_leave <شناسه_رویداد> - ترک رویداد
+/event_ics <شناسه_رویداد> - دریافت فایل تقویم (.ics) رویداد
 
 دستورات مدیریتی (نیاز به دسترسی، فقط در سوپرگروه‌ها):
 !ban - پاسخ: !ban <مدت> [دلیل]
-      مستقیم: !ban <@نام‌کاربری> <مدت> [دلیل]
-!unban <@نام‌کاربری> - رفع مسدودیت کاربر
+      مستقیم: !ban <@نام‌کاربری|شناسه|منشن> <مدت> [دلیل]
+!unban <@نام‌کاربری|شناسه|منشن> - رفع مسدودیت کاربر در این گروه
+!gban <@نام‌کاربری|شناسه> [دلیل] - مسدودیت در همه گروه‌ها (فقط مالک ربات)
+!ungban <@نام‌کاربری|شناسه> - رفع مسدودیت سراسری
 !mute - پاسخ: !mute <مدت> [دلیل]
-       مستقیم: !mute <@نام‌کاربری> <مدت> [دلیل]
+       مستقیم: !mute <@نام‌کاربری|شناسه|منشن> <مدت> [دلیل]
 !unmute - پاسخ: !unmute
-         مستقیم: !unmute <@نام‌کاربری>
+         مستقیم: !unmute <@نام‌کاربری|شناسه|منشن>
 !warn - پاسخ: !warn [دلیل]
-       مستقیم: !warn <@نام‌کاربری> [دلیل]
+       مستقیم: !warn <@نام‌کاربری|شناسه|منشن> [دلیل]
+!warns - پاسخ: !warns
+        مستقیم: !warns <@نام‌کاربری|شناسه|منشن> - اخطارهای فعال، منقضی و لغو شده
+!unwarn - پاسخ: !unwarn [دلیل] - لغو آخرین اخطار فعال
+         مستقیم: !unwarn <@نام‌کاربری|شناسه|منشن> [دلیل] یا !unwarn #<شناسه_اخطار> [دلیل]
+!resetwarns - پاسخ: !resetwarns [دلیل]
+             مستقیم: !resetwarns <@نام‌کاربری|شناسه|منشن> [دلیل] - لغو همه اخطارهای فعال
+!revoke #<شناسه_تخلف> [دلیل] - لغو هر تخلف ثبت شده (سابقه حفظ می‌شود)
 !kick - پاسخ: !kick [دلیل]
-       مستقیم: !kick <@نام‌کاربری> [دلیل]
+       مستقیم: !kick <@نام‌کاربری|شناسه|منشن> [دلیل]
+!joins - پاسخ: !joins
+        مستقیم: !joins <@نام‌کاربری|شناسه|منشن> - سابقه ورود و خروج عضو
+!purge - پاسخ: حذف پیام‌ها از پیام انتخاب شده تا دستور
+        !purge <تعداد> یا !purge <@نام‌کاربری|شناسه> [تعداد] - حذف پیام‌های اخیر (تا ۴۸ ساعت قبل)
 !pin - پاسخ به پیام با !pin
 !unpin - پاسخ به پیام با !unpin، یا فقط !unpin برای برداشتن آخرین پیام سنجاق شده
-!settings - مدیریت تنظیمات گروه
+!lock <نوع...|all> / !unlock <نوع...|all> - قفل ارسال sticker، gif، link، forward، voice، poll یا media برای اعضای عادی
+!lock warn / !unlock warn - اخطار برای ارسال پیام‌های قفل شده
+!locks - وضعیت قفل‌های گروه
+!settings - پنل تنظیمات گروه
+!set <تنظیم> <مقدار> - تغییر یک تنظیم گروه (مدت‌ها مانند 30m، 2h، 1d12h یا «2 روز»)
+!set escalation <مراحل> - مراحل برخورد با اخطار، اسپم و محتوای غیرمجاز (مثال: warn,warn,mute:1h,ban:7d,ban)
+!set warning_expiry <روز> - پس از چند روز اخطارها دیگر شمرده نمی‌شوند (0 = هرگز)
+!set welcome <متن> - متن خوش‌آمدگویی با {first}، {mention}، {chatname}، {count} و {rules_link}
+!set welcome_buttons <متن | لینک، هر دکمه در یک خط> - دکمه‌های خوش‌آمدگویی
+!set welcome_replace <on|off> / welcome_autodelete <مدت|off> - حذف خوش‌آمدگویی قبلی یا پس از مدتی
+!welcome media - پاسخ به عکس یا گیف برای ارسال همراه خوش‌آمدگویی (!welcome media off برای حذف)
+!welcome preview - پیش‌نمایش خوش‌آمدگویی
+!set goodbye <متن|off> - پیام خداحافظی برای اعضایی که خودشان می‌روند
+!set slow_mode <ثانیه|off> - هر عضو فقط یک پیام در این فاصله
+!set night_mode <01:00-07:00|off> - بستن گفتگو برای اعضای عادی در این بازه
+!set timezone <منطقه_زمانی> - منطقه زمانی حالت شب، مانند Asia/Tehran
+!set captcha <button|math|emoji|off> - تأیید عضویت اعضای جدید
+!set captcha_timeout <مدت> - مهلت پاسخ به کپچا، پس از آن عضو اخراج می‌شود
+!set join_questions <سوالات، هر کدام در یک خط> - پرسشنامه درخواست‌های عضویت
+!set raid_threshold <تعداد|off> / raid_window <ثانیه> - قفل خودکار گروه وقتی این تعداد عضو در این بازه وارد شوند
+!set raid_lockdown <مدت> / raid_lock_chat <on|off> - مدت قفل و بستن گفتگو برای همه در زمان قفل
+!unlockdown - پایان قفل حمله پیش از موعد
+!joinblock <@نام‌کاربری|شناسه> [دلیل] / !joinunblock <@نام‌کاربری|شناسه> - رد خودکار درخواست عضویت کاربر
+!modlog <شناسه|off> - کانال یا گروه دریافت گزارش اقدامات مدیریتی
+!calendar <jalali|gregorian> [fa|en] - تقویم و ارقام نمایش تاریخ‌ها
+!birthdays <on|off> - فعال یا غیرفعال کردن تبریک تولد در گروه
+!birthdays hour <0-23> / message <متن> - ساعت و متن تبریک تولد
 !poll - ایجاد نظرسنجی (سوال و گزینه‌ها را در خطوط جدید بنویسید)
+!event create - ایجاد رویداد (جزئیات را در خطوط جدید بنویسید)
+!event cancel <شناسه_رویداد> - لغو رویداد (در رویداد تکراری فقط همان نوبت)
+!event reschedule <شناسه_رویداد> <زمان> - تغییر زمان رویداد
+!event stop <شناسه_سری> - توقف رویداد تکراری
 !announce - ارسال اطلاعیه
 !stats_all - مشاهده آمار گروه
 `;
@@ -66,13 +518,16 @@ const commands = {
         const settings = await queries.getGroupSettings(chatId);
         const chat = await bot.getChat(chatId);
         const memberCount = await bot.getChatMemberCount(chatId);
+        const week = await queries.getMembershipStats(chatId, 7);
         
         const info = `
 📊 اطلاعات گروه
 نام: ${chat.title}
 تعداد اعضا: ${memberCount}
+ورود در ۷ روز گذشته: ${week.joins}
+خروج در ۷ روز گذشته: ${week.leaves}
 توضیحات: ${chat.description || 'بدون توضیحات'}
-تاریخ ایجاد: ${new Date(chat.date * 1000).toLocaleDateString('fa-IR')}
+تاریخ ایجاد: ${formatDate(new Date(chat.date * 1000), { ...getCalendarOptions(settings), time: false })}
 `;
         await bot.sendMessage(chatId, info);
     },
@@ -119,56 +574,279 @@ const commands = {
         await bot.sendMessage(msg.chat.id, 'از بازخورد شما متشکریم! 🙏');
     },
 
-    // Admin Commands
-    '!ban': async (bot, msg) => {
-        if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
-            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+    '/me': async (bot, msg) => {
+        const user = await queries.getUserById(msg.from.id);
+        const dateOptions = await eventManager.getChatDateOptions(msg.chat.id);
+        const birthday = await birthdayManager.getBirthday(msg.from.id, dateOptions);
+
+        let birthdayText = 'ثبت نشده (/birthday <DD-MM>)';
+        if (birthday && !await birthdayManager.isBirthdayVisible(user, msg.chat.id)) {
+            birthdayText = '🔒 فقط در گروه‌های انتخابی یا پیام خصوصی';
+        } else if (birthday) {
+            birthdayText = birthday.age !== null ? `${birthday.display} (${birthday.age} ساله)` : birthday.display;
+        }
+
+        const profile = `
+👤 پروفایل شما
+نام: ${[msg.from.first_name, msg.from.last_name].filter(Boolean).join(' ')}
+نام کاربری: ${msg.from.username ? '@' + msg.from.username : 'ندارد'}
+شناسه: ${msg.from.id}
+عضویت از: ${formatDate(user?.joined_date || new Date(), { ...dateOptions, time: false })}
+پیام‌ها: ${user?.total_messages || 0}
+تولد: ${birthdayText}
+`;
+        const warningsText = msg.chat.type === 'private'
+            ? ''
+            : `اخطارهای فعال در این گروه: ${await queries.countActiveStrikes(msg.from.id, msg.chat.id)}\n`;
+        await bot.sendMessage(msg.chat.id, profile + warningsText);
+    },
+
+    '/birthday': async (bot, msg) => {
+        const arg = msg.text.split(' ').slice(1).join(' ').trim();
+        const dateOptions = await eventManager.getChatDateOptions(msg.chat.id);
+        const calendarName = dateOptions.calendar === 'jalali' ? 'شمسی' : 'میلادی';
+
+        if (!arg) {
+            const birthday = await birthdayManager.getBirthday(msg.from.id, dateOptions);
+            const current = birthday ? `تولد شما: ${birthday.display}\n\n` : '';
+            await bot.sendMessage(msg.chat.id, `${current}نحوه استفاده:\n/birthday <DD-MM> - تنظیم تاریخ تولد (${calendarName})\n/birthday <DD-MM-YYYY> - همراه با سال تولد، برای تبریک سن\n/birthday clear - حذف تاریخ تولد\n/birthday_privacy - تعیین گروه‌هایی که تولد شما در آن‌ها نمایش داده می‌شود`);
             return;
         }
 
-        const args = msg.text.split(' ');
-        let targetUser;
-        let duration;
-        let reason;
+        try {
+            if (['clear', 'حذف'].includes(arg.toLowerCase())) {
+                await birthdayManager.removeBirthday(msg.from.id);
+                await bot.sendMessage(msg.chat.id, '🗑 تاریخ تولد شما حذف شد.');
+                return;
+            }
 
-        if (msg.reply_to_message) {
-            targetUser = msg.reply_to_message.from;
-            duration = parseInt(args[1]);
-            reason = args.slice(2).join(' ') || 'دلیلی ذکر نشده';
-        } else {
-            if (args.length < 3) {
-                await bot.sendMessage(msg.chat.id, 'نحوه استفاده:\nپاسخ به پیام: !ban <مدت> [دلیل]\nیا: !ban <@نام‌کاربری> <مدت> [دلیل]\nمدت به دقیقه');
+            await birthdayManager.setBirthday(msg.from.id, arg, dateOptions.calendar);
+            const birthday = await birthdayManager.getBirthday(msg.from.id, dateOptions);
+            await bot.sendMessage(msg.chat.id, `🎂 تاریخ تولد شما ثبت شد: ${birthday.display}`);
+        } catch (error) {
+            if (error.message.startsWith('Invalid date')) {
+                await bot.sendMessage(msg.chat.id, `⚠️ تاریخ نامعتبر است. روز و ماه تولد را به تقویم ${calendarName} و به شکل DD-MM یا DD-MM-YYYY وارد کنید (مثال: 25-12).`);
                 return;
             }
-            duration = parseInt(args[2]);
-            reason = args.slice(3).join(' ') || 'دلیلی ذکر نشده';
+            await bot.sendMessage(msg.chat.id, '❌ خطا در ثبت تاریخ تولد.');
         }
+    },
 
-        if (isNaN(duration) || duration <= 0) {
-            await bot.sendMessage(msg.chat.id, 'لطفاً مدت زمان معتبری به دقیقه وارد کنید.');
-            return;
-        }
+    '/birthday_privacy': async (bot, msg) => {
+        const arg = (msg.text.split(' ')[1] || '').toLowerCase();
+        const isGroup = msg.chat.type !== 'private';
+        const labels = {
+            ALL: 'همه گروه‌ها',
+            SELECTED: 'فقط گروه‌های انتخابی',
+            DM: 'فقط پیام خصوصی'
+        };
 
         try {
-            if (!msg.reply_to_message) {
-                // Get user by username or ID
-                const userIdentifier = args[1].replace('@', '');
-                try {
-                    // Try to parse as user ID first
-                    const userId = parseInt(userIdentifier);
-                    if (!isNaN(userId)) {
-                        const chatMember = await bot.getChatMember(msg.chat.id, userId);
-                        targetUser = chatMember.user;
-                    } else {
-                        // If not a number, treat as username
-                        const chatMember = await bot.getChatMember(msg.chat.id, '@' + userIdentifier);
-                        targetUser = chatMember.user;
-                    }
-                } catch (error) {
-                    throw new Error('Could not find user. Make sure the username or ID is correct.');
+            if (['all', 'selected', 'dm'].includes(arg)) {
+                await birthdayManager.setBirthdayVisibility(msg.from.id, arg);
+                let reply = `🔒 نمایش تولد شما: ${labels[arg.toUpperCase()]}`;
+                if (arg === 'selected') {
+                    reply += '\nدر هر گروهی که می‌خواهید تولدتان نمایش داده شود /birthday_privacy add را بفرستید.';
                 }
+                if (arg === 'dm') {
+                    reply += '\nتبریک تولد در پیام خصوصی ارسال می‌شود؛ اگر هنوز ربات را استارت نکرده‌اید، آن را استارت کنید.';
+                }
+                await bot.sendMessage(msg.chat.id, reply);
+                return;
+            }
+
+            if (['add', 'remove'].includes(arg)) {
+                if (!isGroup) {
+                    await bot.sendMessage(msg.chat.id, '⚠️ این دستور را در گروه مورد نظر بفرستید.');
+                    return;
+                }
+                if (arg === 'add') {
+                    await queries.addBirthdayChat(msg.from.id, msg.chat.id);
+                    await bot.sendMessage(msg.chat.id, '✅ این گروه به گروه‌های انتخابی تولد شما اضافه شد.');
+                } else {
+                    await queries.removeBirthdayChat(msg.from.id, msg.chat.id);
+                    await bot.sendMessage(msg.chat.id, '✅ این گروه از گروه‌های انتخابی تولد شما حذف شد.');
+                }
+                return;
+            }
+
+            const user = await queries.getUserById(msg.from.id);
+            const chats = await queries.getBirthdayChats(msg.from.id);
+            const visibility = user?.birthday_visibility || 'ALL';
+            await bot.sendMessage(msg.chat.id, `🔒 نمایش تولد شما: ${labels[visibility]}
+گروه‌های انتخابی: ${chats.length}
+
+نحوه استفاده:
+/birthday_privacy all - نمایش و تبریک در همه گروه‌ها
+/birthday_privacy selected - فقط در گروه‌های انتخابی
+/birthday_privacy dm - فقط در پیام خصوصی
+/birthday_privacy add - افزودن این گروه به گروه‌های انتخابی
+/birthday_privacy remove - حذف این گروه از گروه‌های انتخابی`);
+        } catch (error) {
+            logger.error('Error updating birthday privacy:', {
+                error: error.message,
+                userId: msg.from.id,
+                chatId: msg.chat.id
+            });
+            await bot.sendMessage(msg.chat.id, '❌ خطا در تغییر تنظیمات حریم خصوصی تولد.');
+        }
+    },
+
+    '/birthdays': async (bot, msg) => {
+        const dateOptions = await eventManager.getChatDateOptions(msg.chat.id);
+        const birthdays = await birthdayManager.getUpcomingBirthdays(msg.chat.id, 10, dateOptions);
+        if (birthdays.length === 0) {
+            await bot.sendMessage(msg.chat.id, 'هنوز تاریخ تولدی در این گروه ثبت نشده است.\nبا /birthday <DD-MM> تاریخ تولد خود را ثبت کنید.');
+            return;
+        }
+
+        let text = '🎂 تولدهای پیش رو:\n\n';
+        birthdays.forEach((birthday, index) => {
+            const name = formatUsername({
+                id: birthday.userId,
+                username: birthday.username,
+                first_name: birthday.firstName,
+                last_name: birthday.lastName
+            });
+            const when = birthday.daysUntil === 0 ? 'امروز 🎉' : `${birthday.daysUntil} روز دیگر`;
+            text += `${index + 1}. ${name} - ${birthday.display} (${when})\n`;
+        });
+        await bot.sendMessage(msg.chat.id, text);
+    },
+
+    '/events': async (bot, msg) => {
+        const events = await eventManager.listEvents(msg.chat.id);
+        if (events.length === 0) {
+            await bot.sendMessage(msg.chat.id, 'رویداد پیش رویی وجود ندارد.');
+            return;
+        }
+
+        let eventsText = '📅 رویدادهای پیش رو:\n';
+        for (const event of events) {
+            const capacity = event.max_participants ? `/${event.max_participants}` : '';
+            eventsText += `\n#${event.event_id} - ${event.title}\n`;
+            eventsText += `🕒 ${event.start_time}\n`;
+            if (event.location) {
+                eventsText += `📍 ${event.location}\n`;
             }
+            eventsText += `✅ ${event.going_count}${capacity}   🤔 ${event.maybe_count}`;
+            eventsText += event.max_participants ? `   ⏳ ${event.waitlist_count}\n` : '\n';
+        }
+        eventsText += '\nبرای شرکت: /event_join <شناسه_رویداد>';
+
+        await bot.sendMessage(msg.chat.id, eventsText);
+    },
+
+    '/event_join': async (bot, msg) => {
+        const eventId = parseInt(msg.text.split(' ')[1]);
+        if (isNaN(eventId)) {
+            await bot.sendMessage(msg.chat.id, 'نحوه استفاده: /event_join <شناسه_رویداد>');
+            return;
+        }
+
+        const event = await queries.getEvent(eventId);
+        if (!event || String(event.chat_id) !== String(msg.chat.id)) {
+            await bot.sendMessage(msg.chat.id, 'رویداد مورد نظر یافت نشد.');
+            return;
+        }
+
+        try {
+            const result = await eventManager.joinEvent(eventId, msg.from.id);
+            await eventManager.announceRsvpChange(bot, result.event, result.promoted);
+
+            const capacity = event.max_participants ? `/${event.max_participants}` : '';
+            const joinMsg = result.status === 'WAITLIST'
+                ? `⏳ ظرفیت رویداد «${event.title}» تکمیل است. شما نفر ${result.waitlistPosition} صف انتظار هستید و در صورت خالی شدن جا خبردار می‌شوید.`
+                : `✅ شما به رویداد «${event.title}» پیوستید. (${result.currentParticipants}${capacity})`;
+            await bot.sendMessage(msg.chat.id, joinMsg, {
+                reply_to_message_id: msg.message_id
+            });
+        } catch (error) {
+            await bot.sendMessage(msg.chat.id, `⚠️ ${error.message}`, {
+                reply_to_message_id: msg.message_id
+            });
+        }
+    },
+
+    '/event_leave': async (bot, msg) => {
+        const eventId = parseInt(msg.text.split(' ')[1]);
+        if (isNaN(eventId)) {
+            await bot.sendMessage(msg.chat.id, 'نحوه استفاده: /event_leave <شناسه_رویداد>');
+            return;
+        }
+
+        const event = await queries.getEvent(eventId);
+        if (!event || String(event.chat_id) !== String(msg.chat.id)) {
+            await bot.sendMessage(msg.chat.id, 'رویداد مورد نظر یافت نشد.');
+            return;
+        }
+
+        try {
+            const result = await eventManager.leaveEvent(eventId, msg.from.id);
+            await eventManager.announceRsvpChange(bot, result.event, result.promoted);
+            await bot.sendMessage(msg.chat.id, `❌ شما از رویداد «${event.title}» انصراف دادید.`, {
+                reply_to_message_id: msg.message_id
+            });
+        } catch (error) {
+            await bot.sendMessage(msg.chat.id, `⚠️ ${error.message}`, {
+                reply_to_message_id: msg.message_id
+            });
+        }
+    },
+
+    '/event_ics': async (bot, msg) => {
+        const eventId = parseInt(msg.text.split(' ')[1]);
+        const event = isNaN(eventId) ? null : await queries.getEvent(eventId);
+        if (!event || event.cancelled_at || String(event.chat_id) !== String(msg.chat.id)) {
+            await bot.sendMessage(msg.chat.id, 'نحوه استفاده: /event_ics <شناسه_رویداد>');
+            return;
+        }
+
+        await eventManager.sendCalendarFile(bot, msg.chat.id, [event], {
+            filename: `event-${eventId}.ics`,
+            caption: `📅 ${event.title}\nفایل را باز کنید تا رویداد به تقویم شما اضافه شود.`,
+            replyTo: msg.message_id
+        });
+    },
+
+    '/events_ics': async (bot, msg) => {
+        const events = await queries.getEvents(msg.chat.id);
+        if (events.length === 0) {
+            await bot.sendMessage(msg.chat.id, 'رویداد پیش رویی وجود ندارد.');
+            return;
+        }
+
+        await eventManager.sendCalendarFile(bot, msg.chat.id, events, {
+            name: msg.chat.title || 'Events',
+            filename: `chat-${Math.abs(msg.chat.id)}-events.ics`,
+            caption: `📅 ${events.length} رویداد پیش رو\nفایل را باز کنید تا رویدادها به تقویم شما اضافه شوند.`,
+            replyTo: msg.message_id
+        });
+    },
+
+    // Admin Commands
+    '!ban': async (bot, msg) => {
+        if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const { user: targetUser, rest, error: targetError } = await resolveTargetUser(bot, msg);
+        if (targetError) {
+            await bot.sendMessage(msg.chat.id, `${targetError}\n\nنحوه استفاده:\nپاسخ به پیام: !ban <مدت> [دلیل]\nیا: !ban <@نام‌کاربری|شناسه|منشن> <مدت> [دلیل]\nمدت مانند 30m، 2h، 1d12h، «2 روز» یا perm برای همیشه`);
+            return;
+        }
+
+        const parsed = takeDuration(rest.split(/\s+/).filter(Boolean));
+        if (!parsed) {
+            await bot.sendMessage(msg.chat.id, 'لطفاً مدت زمان معتبری وارد کنید، مانند 30m، 2h، 1d12h، «2 روز» یا perm.');
+            return;
+        }
+        // A null duration bans permanently
+        const duration = Number.isFinite(parsed.minutes) ? parsed.minutes : null;
+        const reason = parsed.rest.join(' ') || 'دلیلی ذکر نشده';
 
+        try {
             // Don't allow banning admins/moderators
             const isTargetAdmin = await isAdmin(targetUser.id, msg.chat.id, bot);
             const isTargetMod = await isModerator(targetUser.id, msg.chat.id, bot);
@@ -185,14 +863,28 @@ const commands = {
                 targetUser.last_name
             );
 
-            // Ban the user
-            await queries.banUser(targetUser.id, reason, duration, msg.from.id);
+            // Ban the user in this chat (also logs the infraction)
+            await queries.banUser(targetUser.id, msg.chat.id, reason, duration, msg.from.id);
             await bot.banChatMember(msg.chat.id, targetUser.id, {
-                until_date: Math.floor(Date.now() / 1000) + (duration * 60),
+                until_date: duration ? Math.floor(Date.now() / 1000) + (duration * 60) : 0,
                 revoke_messages: false // Don't delete previous messages
             });
             
-            const banMsg = `🚫 ${targetUser.username ? '@' + targetUser.username : targetUser.first_name} به مدت ${duration} دقیقه مسدود شد.\nدلیل: ${reason}`;
+            await logModAction(bot, {
+                chat: msg.chat,
+                action: 'BAN',
+                actor: msg.from,
+                target: targetUser,
+                reason,
+                duration,
+                messageId: msg.reply_to_message?.message_id
+            });
+
+            const period = duration ? `به مدت ${formatDuration(duration)}` : 'برای همیشه';
+            const until = duration
+                ? `\nتا: ${formatDate(new Date(Date.now() + duration * 60 * 1000), await eventManager.getChatDateOptions(msg.chat.id))}`
+                : '';
+            const banMsg = `🚫 ${formatUsername(targetUser)} ${period} مسدود شد.${until}\nدلیل: ${reason}`;
             try {
                 await bot.sendMessage(msg.chat.id, banMsg);
             } catch (sendError) {
@@ -202,11 +894,8 @@ const commands = {
                     targetUser: targetUser.id
                 });
                 // Try sending without the @ mention if that fails
-                await bot.sendMessage(msg.chat.id, `🚫 کاربر به مدت ${duration} دقیقه مسدود شد.\nدلیل: ${reason}`);
+                await bot.sendMessage(msg.chat.id, `🚫 کاربر ${period} مسدود شد.\nدلیل: ${reason}`);
             }
-
-            // Log the ban
-            await queries.logInfraction(targetUser.id, 'BAN', reason, 'BAN', `${duration} minutes`, msg.from.id);
         } catch (error) {
             logger.error('Error banning user:', {
                 error: error.message,
@@ -218,9 +907,7 @@ const commands = {
 
             // Send more specific error messages
             let errorMessage;
-            if (error.message.includes('Could not find user')) {
-                errorMessage = error.message;
-            } else if (error.message.includes('User not found')) {
+            if (error.message.includes('User not found')) {
                 errorMessage = 'کاربر مورد نظر یافت نشد.';
             } else if (error.message.includes('ETELEGRAM')) {
                 errorMessage = 'خطا در ارتباط با تلگرام. لطفاً دوباره تلاش کنید.';
@@ -242,123 +929,144 @@ const commands = {
             return;
         }
 
-        const args = msg.text.split(' ');
-        if (args.length < 2) {
-            await bot.sendMessage(msg.chat.id, 'نحوه استفاده: !unban <کاربر>\nمی‌توانید کاربر را با نام کاربری (@username) یا شناسه مشخص کنید.');
+        const { user: targetUser, error: targetError } = await resolveTargetUser(bot, msg);
+        if (targetError) {
+            await bot.sendMessage(msg.chat.id, `${targetError}\n\nنحوه استفاده: !unban <@نام‌کاربری|شناسه|منشن>`);
             return;
         }
 
-        let targetUser;
         try {
-            // Get user by username or ID
-            const userIdentifier = args[1].replace('@', '');
-            try {
-                // Try to parse as user ID first
-                const userId = parseInt(userIdentifier);
-                if (!isNaN(userId)) {
-                    targetUser = { id: userId, username: userIdentifier };
-                } else {
-                    // If not a number, treat as username
-                    targetUser = { id: null, username: userIdentifier };
-                }
-            } catch (error) {
-                throw new Error('Could not process user identifier. Please provide a valid username or ID.');
-            }
-
-            // Unban the user
-            if (targetUser.id) {
-                await queries.unbanUser(targetUser.id);
-                await bot.unbanChatMember(msg.chat.id, targetUser.id);
-            } else {
-                await bot.unbanChatMember(msg.chat.id, '@' + targetUser.username);
-            }
+            await queries.unbanUser(targetUser.id, msg.chat.id);
+            await bot.unbanChatMember(msg.chat.id, targetUser.id, { only_if_banned: true });
+
+            await logModAction(bot, {
+                chat: msg.chat,
+                action: 'UNBAN',
+                actor: msg.from,
+                target: targetUser
+            });
 
-            const unbanMsg = `✅ کاربر ${targetUser.username ? '@' + targetUser.username : `شناسه: ${targetUser.id}`} از مسدودیت خارج شد.`;
-            await bot.sendMessage(msg.chat.id, unbanMsg);
+            await bot.sendMessage(msg.chat.id, `✅ کاربر ${formatUsername(targetUser)} از مسدودیت خارج شد.`);
         } catch (error) {
-            logger.error('Error unbanning user:', error);
-            await bot.sendMessage(
-                msg.chat.id,
-                error.message.includes('Could not process user identifier')
-                    ? error.message
-                    : 'Failed to unban user. Please check the username/ID and try again.'
-            );
+            logger.error('Error unbanning user:', {
+                error: error.message,
+                targetId: targetUser.id,
+                chatId: msg.chat.id
+            });
+            await bot.sendMessage(msg.chat.id, 'رفع مسدودیت ناموفق بود. لطفاً دوباره تلاش کنید.');
         }
     },
 
-    '!warn': async (bot, msg) => {
-        if (!await isModerator(msg.from.id, msg.chat.id, bot)) {
-            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+    '!gban': async (bot, msg) => {
+        if (!isBotOwner(msg.from.id)) {
+            await bot.sendMessage(msg.chat.id, 'این دستور فقط برای مالک ربات در دسترس است.');
             return;
         }
 
-        const args = msg.text.split(' ');
-        let targetUser;
-        let reason;
-
-        // Check if command is a reply to a message
-        if (msg.reply_to_message) {
-            targetUser = msg.reply_to_message.from;
-            reason = args.slice(1).join(' ') || 'دلیلی ذکر نشده';
-        } else {
-            if (args.length < 2) {
-                await bot.sendMessage(msg.chat.id, 'نحوه استفاده:\nپاسخ به پیام: !warn [دلیل]\nیا: !warn <@نام‌کاربری> [دلیل]');
-                return;
-            }
-            reason = args.slice(2).join(' ') || 'دلیلی ذکر نشده';
+        const { user: target, rest, error: targetError } = await resolveTargetUser(bot, msg);
+        if (targetError) {
+            await bot.sendMessage(msg.chat.id, `${targetError}\n\nنحوه استفاده:\nپاسخ به پیام: !gban [دلیل]\nیا: !gban <@نام‌کاربری|شناسه|منشن> [دلیل]\nکاربر در همه گروه‌های ربات مسدود می‌شود.`);
+            return;
         }
+        const targetId = target.id;
+        const reason = rest || 'دلیلی ذکر نشده';
 
         try {
-            if (!msg.reply_to_message) {
-                // Get user by username or ID
-                const userIdentifier = args[1].startsWith('@') ? args[1].substring(1) : args[1];
+            await queries.saveUser(target.id, target.username, target.first_name, target.last_name);
+
+            const chats = await queries.networkBanUser(targetId, reason, msg.from.id, msg.chat.id);
+            let failed = 0;
+            for (const { chat_id: chatId } of chats) {
                 try {
-                    // Try to parse as user ID first
-                    const userId = parseInt(userIdentifier);
-                    if (!isNaN(userId)) {
-                        logger.debug('Looking up user by ID:', { userId });
-                        const chatMember = await bot.getChatMember(msg.chat.id, userId);
-                        targetUser = chatMember.user;
-                    } else {
-                        // If not a number, treat as username
-                        logger.debug('Looking up user by username:', { username: userIdentifier });
-                        
-                        try {
-                            // Try direct lookup with @ symbol first
-                            const chatMember = await bot.getChatMember(msg.chat.id, `@${userIdentifier}`);
-                            targetUser = chatMember.user;
-                            logger.debug('Found user by direct lookup:', { user: targetUser });
-                        } catch (directLookupError) {
-                            logger.error('Direct lookup failed:', directLookupError);
-                            try {
-                                // Try without @ symbol as last resort
-                                const chatMember = await bot.getChatMember(msg.chat.id, userIdentifier);
-                                targetUser = chatMember.user;
-                                logger.debug('Found user by username without @:', { user: targetUser });
-                            } catch (error) {
-                                logger.error('All lookup attempts failed:', {
-                                    error: error.message,
-                                    userIdentifier,
-                                    chatId: msg.chat.id
-                                });
-                                throw new Error(`Could not find user "${args[1]}" in this chat. Make sure the username or ID is correct and the user is in the chat.`);
-                            }
-                        }
-                    }
+                    await bot.banChatMember(chatId, targetId);
                 } catch (error) {
-                    logger.error('Error getting chat member:', {
+                    failed++;
+                    logger.error('Error applying network ban in chat:', {
                         error: error.message,
-                        userIdentifier,
-                        chatId: msg.chat.id
+                        chatId,
+                        targetId
                     });
-                    throw new Error(`Could not find user "${args[1]}" in this chat. Make sure the username or ID is correct and the user is in the chat.`);
                 }
             }
 
-            if (!targetUser) {
-                throw new Error('Could not identify the target user. Please use a valid @username or user ID, or reply to the user\'s message.');
+            await logModAction(bot, {
+                chat: msg.chat,
+                action: 'NETWORK_BAN',
+                actor: msg.from,
+                target,
+                reason,
+                details: `گروه‌ها: ${chats.length - failed}${failed > 0 ? ` (${failed} ناموفق)` : ''}`
+            });
+
+            let reply = `🌐 کاربر ${targetId} در ${chats.length - failed} گروه مسدود شد.\nدلیل: ${reason}`;
+            if (failed > 0) reply += `\n⚠️ مسدودسازی در ${failed} گروه ناموفق بود.`;
+            await bot.sendMessage(msg.chat.id, reply);
+        } catch (error) {
+            logger.error('Error applying network ban:', {
+                error: error.message,
+                targetId
+            });
+            await bot.sendMessage(msg.chat.id, error.message.includes('User not found')
+                ? 'کاربر مورد نظر یافت نشد.'
+                : 'خطایی رخ داد. لطفاً دوباره تلاش کنید.');
+        }
+    },
+
+    '!ungban': async (bot, msg) => {
+        if (!isBotOwner(msg.from.id)) {
+            await bot.sendMessage(msg.chat.id, 'این دستور فقط برای مالک ربات در دسترس است.');
+            return;
+        }
+
+        const { user: target, error: targetError } = await resolveTargetUser(bot, msg);
+        if (targetError) {
+            await bot.sendMessage(msg.chat.id, `${targetError}\n\nنحوه استفاده: !ungban <@نام‌کاربری|شناسه|منشن>`);
+            return;
+        }
+        const targetId = target.id;
+
+        try {
+            const chats = await queries.networkUnbanUser(targetId, msg.from.id);
+            for (const { chat_id: chatId } of chats) {
+                await bot.unbanChatMember(chatId, targetId, { only_if_banned: true }).catch(error =>
+                    logger.error('Error lifting network ban in chat:', {
+                        error: error.message,
+                        chatId,
+                        targetId
+                    })
+                );
             }
+            await logModAction(bot, {
+                chat: msg.chat,
+                action: 'NETWORK_UNBAN',
+                actor: msg.from,
+                target,
+                details: `گروه‌ها: ${chats.length}`
+            });
+            await bot.sendMessage(msg.chat.id, `✅ مسدودیت سراسری کاربر ${targetId} برداشته شد (${chats.length} گروه).`);
+        } catch (error) {
+            logger.error('Error lifting network ban:', {
+                error: error.message,
+                targetId
+            });
+            await bot.sendMessage(msg.chat.id, 'خطایی رخ داد. لطفاً دوباره تلاش کنید.');
+        }
+    },
+
+    '!warn': async (bot, msg) => {
+        if (!await isModerator(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
 
+        const { user: targetUser, rest, error: targetError } = await resolveTargetUser(bot, msg);
+        if (targetError) {
+            await bot.sendMessage(msg.chat.id, `${targetError}\n\nنحوه استفاده:\nپاسخ به پیام: !warn [دلیل]\nیا: !warn <@نام‌کاربری|شناسه|منشن> [دلیل]`);
+            return;
+        }
+        const reason = rest || 'دلیلی ذکر نشده';
+
+        try {
             // Don't allow warning admins/moderators
             const isTargetAdmin = await isAdmin(targetUser.id, msg.chat.id, bot);
             const isTargetMod = await isModerator(targetUser.id, msg.chat.id, bot);
@@ -375,31 +1083,20 @@ const commands = {
                 targetUser.last_name
             );
 
-            // Log the warning
-            await queries.logInfraction(targetUser.id, 'WARN', reason, 'WARN', null, msg.from.id);
-            
-            // Send warning message
-            const warningMsg = `⚠️ ${targetUser.username ? '@' + targetUser.username : targetUser.first_name} اخطار دریافت کرد.\nدلیل: ${reason}`;
-            await bot.sendMessage(msg.chat.id, warningMsg);
+            // Warnings share the chat's escalation ladder with the automatic moderation
+            const result = await applyEscalation(bot, {
+                chat: msg.chat,
+                user: targetUser,
+                type: 'WARN',
+                reason,
+                actor: msg.from,
+                messageId: msg.reply_to_message?.message_id || msg.message_id
+            });
 
-            // Get warning count
-            const warnings = await queries.getUserInfractions(targetUser.id);
-            const warningCount = warnings.filter(w => w.type === 'WARN').length;
-            
-            // If user has too many warnings, take additional action
-            const settings = await queries.getGroupSettings(msg.chat.id);
-            const maxWarnings = settings?.max_warnings || config.maxWarnings;
-            
-            if (warningCount >= maxWarnings) {
-                await bot.restrictChatMember(msg.chat.id, targetUser.id, {
-                    can_send_messages: false,
-                    until_date: Math.floor(Date.now() / 1000) + 3600 // 1 hour mute
-                });
-                await bot.sendMessage(
-                    msg.chat.id,
-                    `کاربر به ${warningCount} اخطار رسید و به مدت 1 ساعت سکوت شد.`
-                );
-            }
+            await bot.sendMessage(
+                msg.chat.id,
+                `⚠️ ${formatUsername(targetUser)} اخطار دریافت کرد.\nدلیل: ${reason}\n${formatEscalationResult(result)}`
+            );
         } catch (error) {
             logger.error('Error warning user:', {
                 error: error.message,
@@ -408,31 +1105,302 @@ const commands = {
                 chatId: msg.chat.id,
                 fromUser: msg.from.id
             });
-            await bot.sendMessage(msg.chat.id, error.message);
+            await bot.sendMessage(msg.chat.id, 'خطا در اخطار دادن به کاربر. لطفاً دوباره تلاش کنید.');
         }
     },
 
-    '!poll': async (bot, msg) => {
-        if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
+    '!warns': async (bot, msg) => {
+        if (!await isModerator(msg.from.id, msg.chat.id, bot)) {
             await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
             return;
         }
 
-        const text = msg.text.trim();
-        const lines = text.split('\n').filter(line => line.trim().length > 0);
-
-        if (lines.length < 3) {
-            const usage = `نحوه استفاده: !poll
-<سوال>
-<گزینه 1>
-<گزینه 2>
-[گزینه 3]
-...
+        const { user: targetUser, error: targetError } = await resolveTargetUser(bot, msg);
+        if (targetError) {
+            await bot.sendMessage(msg.chat.id, `${targetError}\n\nنحوه استفاده:\nپاسخ به پیام: !warns\nیا: !warns <@نام‌کاربری|شناسه|منشن>`);
+            return;
+        }
 
-مثال:
-!poll
-رنگ مورد علاقه شما چیست؟
-قرمز
+        try {
+            const settings = await queries.getGroupSettings(msg.chat.id);
+            const dateOptions = getCalendarOptions(settings);
+            const warnings = await queries.getUserWarnings(targetUser.id, msg.chat.id);
+            const active = warnings.filter(warning => !warning.expired && !warning.revoked_at);
+            const expired = warnings.filter(warning => warning.expired && !warning.revoked_at);
+            const revoked = warnings.filter(warning => warning.revoked_at);
+            const expiryDays = getWarningExpiryDays(settings);
+
+            const describe = warning => {
+                const issuer = warning.issued_by
+                    ? (warning.issued_by_username ? '@' + warning.issued_by_username : warning.issued_by_first_name || warning.issued_by)
+                    : 'خودکار';
+                let line = `#${warning.infraction_id} | ${formatDate(warning.issued_at, dateOptions)} | ${STRIKE_LABELS[warning.type] || warning.type}\n` +
+                    `   دلیل: ${warning.reason || '-'} | توسط: ${issuer}`;
+                if (warning.revoked_at) {
+                    const revoker = warning.revoked_by_username ? '@' + warning.revoked_by_username : warning.revoked_by_first_name || warning.revoked_by;
+                    line += `\n   لغو: ${formatDate(warning.revoked_at, dateOptions)} توسط ${revoker}` +
+                        (warning.revoke_reason ? ` | ${warning.revoke_reason}` : '');
+                } else if (warning.expires_at) {
+                    line += `\n   ${warning.expired ? 'منقضی شد' : 'انقضا'}: ${formatDate(warning.expires_at, dateOptions)}`;
+                }
+                return line;
+            };
+
+            let text = `📋 اخطارهای ${formatUsername(targetUser)}\n` +
+                `انقضای اخطارها: ${expiryDays > 0 ? `${expiryDays} روز` : 'بدون انقضا'}\n\n` +
+                `✅ فعال (${active.length}):\n${active.map(describe).join('\n') || 'هیچ'}`;
+            if (expired.length > 0) {
+                // Only the latest expired warnings, the list can grow long
+                text += `\n\n⌛️ منقضی (${expired.length}):\n${expired.slice(0, 10).map(describe).join('\n')}`;
+            }
+            if (revoked.length > 0) {
+                text += `\n\n↩️ لغو شده (${revoked.length}):\n${revoked.slice(0, 10).map(describe).join('\n')}`;
+            }
+            await bot.sendMessage(msg.chat.id, text);
+        } catch (error) {
+            logger.error('Error listing warnings:', {
+                error: error.message,
+                targetId: targetUser.id,
+                chatId: msg.chat.id
+            });
+            await bot.sendMessage(msg.chat.id, 'خطایی رخ داد. لطفاً دوباره تلاش کنید.');
+        }
+    },
+
+    '!joins': async (bot, msg) => {
+        if (!await isModerator(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const { user: targetUser, error: targetError } = await resolveTargetUser(bot, msg);
+        if (targetError) {
+            await bot.sendMessage(msg.chat.id, `${targetError}\n\nنحوه استفاده:\nپاسخ به پیام: !joins\nیا: !joins <@نام‌کاربری|شناسه|منشن>`);
+            return;
+        }
+
+        try {
+            const settings = await queries.getGroupSettings(msg.chat.id);
+            const dateOptions = getCalendarOptions(settings);
+            const [summary, history] = await Promise.all([
+                queries.getMembershipSummary(msg.chat.id, targetUser.id, config.repeatJoinDays),
+                queries.getMembershipHistory(msg.chat.id, targetUser.id)
+            ]);
+
+            if (history.length === 0) {
+                await bot.sendMessage(msg.chat.id, `هیچ سابقه ورود یا خروجی از ${formatUsername(targetUser)} در این گروه ثبت نشده است.`);
+                return;
+            }
+
+            const actor = (id, username, firstName) => username ? '@' + username : firstName || id;
+            const describe = membership => {
+                const joined = membership.joined_at
+                    ? `ورود: ${formatDate(membership.joined_at, dateOptions)}${membership.added_by ? ` (افزوده شده توسط ${actor(membership.added_by, membership.added_by_username, membership.added_by_first_name)})` : ''}`
+                    : 'ورود: نامشخص';
+                let left = 'هنوز عضو است';
+                if (membership.left_at) {
+                    const removed = membership.removed_by && Number(membership.removed_by) !== Number(membership.user_id);
+                    left = `خروج: ${formatDate(membership.left_at, dateOptions)}` +
+                        (removed ? ` (حذف توسط ${actor(membership.removed_by, membership.removed_by_username, membership.removed_by_first_name)})` : ' (خودش رفت)');
+                }
+                return `• ${joined}\n   ${left}`;
+            };
+
+            let text = `📋 سابقه عضویت ${formatUsername(targetUser)}\n` +
+                `ورود: ${summary.joins} بار (${summary.recent_joins} بار در ${config.repeatJoinDays} روز گذشته)\n` +
+                `خروج: ${summary.leaves} بار، ${summary.removals} بار با حذف توسط دیگران`;
+            if (summary.recent_joins >= config.repeatJoinCount) {
+                text += '\n🔁 این کاربر مکرراً وارد و خارج می‌شود.';
+            }
+            text += `\n\nآخرین دوره‌ها:\n${history.map(describe).join('\n')}`;
+            await bot.sendMessage(msg.chat.id, text);
+        } catch (error) {
+            logger.error('Error listing membership history:', {
+                error: error.message,
+                chatId: msg.chat.id,
+                targetId: targetUser.id
+            });
+            await bot.sendMessage(msg.chat.id, 'خطایی رخ داد. لطفاً دوباره تلاش کنید.');
+        }
+    },
+
+    '!unwarn': async (bot, msg) => {
+        if (!await isModerator(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const args = msg.text.split(/\s+/).slice(1);
+        const byId = /^#\d+$/.test(args[0] || '');
+        let targetUser = null;
+        let reason = args.slice(1).join(' ') || null;
+        if (!byId) {
+            const resolved = await resolveTargetUser(bot, msg);
+            if (resolved.error) {
+                await bot.sendMessage(msg.chat.id, `${resolved.error}\n\nنحوه استفاده:\nپاسخ به پیام: !unwarn [دلیل] - لغو آخرین اخطار فعال\nیا: !unwarn <@نام‌کاربری|شناسه|منشن> [دلیل]\nیا: !unwarn #<شناسه_اخطار> [دلیل]`);
+                return;
+            }
+            targetUser = resolved.user;
+            reason = resolved.rest || null;
+        }
+
+        try {
+            let revoked;
+            if (byId) {
+                revoked = await queries.revokeInfraction(Number(args[0].slice(1)), msg.chat.id, msg.from.id, reason, true);
+            } else {
+                [revoked] = await queries.revokeUserWarnings(targetUser.id, msg.chat.id, msg.from.id, reason, true);
+            }
+
+            if (!revoked) {
+                await bot.sendMessage(msg.chat.id, byId
+                    ? `⚠️ اخطار فعالی با شناسه ${args[0]} در این گروه پیدا نشد.`
+                    : `⚠️ ${formatUsername(targetUser)} اخطار فعالی ندارد.`);
+                return;
+            }
+
+            const remaining = await queries.countActiveStrikes(revoked.user_id, msg.chat.id);
+            await logModAction(bot, {
+                chat: msg.chat,
+                action: 'REVOKE',
+                actor: msg.from,
+                target: targetUser || await getLoggedUser(revoked.user_id),
+                reason,
+                infractionId: revoked.infraction_id,
+                details: `اخطارهای فعال باقی‌مانده: ${remaining}`
+            });
+            logger.info('Warning revoked', {
+                infractionId: revoked.infraction_id,
+                chatId: msg.chat.id,
+                revokedBy: msg.from.id
+            });
+            await bot.sendMessage(msg.chat.id, `↩️ اخطار #${revoked.infraction_id} لغو شد.\nاخطارهای فعال باقی‌مانده: ${remaining}`);
+        } catch (error) {
+            logger.error('Error revoking warning:', {
+                error: error.message,
+                command: msg.text,
+                chatId: msg.chat.id
+            });
+            await bot.sendMessage(msg.chat.id, 'خطایی رخ داد. لطفاً دوباره تلاش کنید.');
+        }
+    },
+
+    '!resetwarns': async (bot, msg) => {
+        if (!await isModerator(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const { user: targetUser, rest, error: targetError } = await resolveTargetUser(bot, msg);
+        if (targetError) {
+            await bot.sendMessage(msg.chat.id, `${targetError}\n\nنحوه استفاده:\nپاسخ به پیام: !resetwarns [دلیل]\nیا: !resetwarns <@نام‌کاربری|شناسه|منشن> [دلیل]`);
+            return;
+        }
+        const reason = rest || null;
+
+        try {
+            const revoked = await queries.revokeUserWarnings(targetUser.id, msg.chat.id, msg.from.id, reason);
+            if (revoked.length > 0) {
+                await logModAction(bot, {
+                    chat: msg.chat,
+                    action: 'REVOKE',
+                    actor: msg.from,
+                    target: targetUser,
+                    reason,
+                    details: `لغو همه اخطارهای فعال: ${revoked.map(warning => `#${warning.infraction_id}`).join('، ')}`
+                });
+            }
+            logger.info('Warnings reset', {
+                userId: targetUser.id,
+                chatId: msg.chat.id,
+                count: revoked.length,
+                revokedBy: msg.from.id
+            });
+            await bot.sendMessage(msg.chat.id, revoked.length > 0
+                ? `↩️ ${revoked.length} اخطار فعال ${formatUsername(targetUser)} لغو شد.`
+                : `${formatUsername(targetUser)} اخطار فعالی ندارد.`);
+        } catch (error) {
+            logger.error('Error resetting warnings:', {
+                error: error.message,
+                userId: targetUser.id,
+                chatId: msg.chat.id
+            });
+            await bot.sendMessage(msg.chat.id, 'خطایی رخ داد. لطفاً دوباره تلاش کنید.');
+        }
+    },
+
+    '!revoke': async (bot, msg) => {
+        if (!await isModerator(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const args = msg.text.split(/\s+/).slice(1);
+        const infractionId = parseInt((args[0] || '').replace(/^#/, ''));
+        if (isNaN(infractionId)) {
+            await bot.sendMessage(msg.chat.id, 'نحوه استفاده: !revoke <شناسه_تخلف> [دلیل]\nشناسه‌ها در !warns نمایش داده می‌شوند.');
+            return;
+        }
+
+        try {
+            const revoked = await queries.revokeInfraction(infractionId, msg.chat.id, msg.from.id, args.slice(1).join(' ') || null);
+            if (!revoked) {
+                await bot.sendMessage(msg.chat.id, `⚠️ تخلف فعالی با شناسه #${infractionId} در این گروه پیدا نشد.`);
+                return;
+            }
+
+            await logModAction(bot, {
+                chat: msg.chat,
+                action: 'REVOKE',
+                actor: msg.from,
+                target: await getLoggedUser(revoked.user_id),
+                reason: args.slice(1).join(' ') || null,
+                infractionId,
+                details: `نوع: ${STRIKE_LABELS[revoked.type] || revoked.type}`
+            });
+            logger.info('Infraction revoked', {
+                infractionId,
+                type: revoked.type,
+                chatId: msg.chat.id,
+                revokedBy: msg.from.id
+            });
+            let reply = `↩️ تخلف #${infractionId} (${STRIKE_LABELS[revoked.type] || revoked.type}) لغو شد.`;
+            if (['BAN', 'MUTE'].includes(revoked.action)) {
+                // Revoking only clears the record, the restriction itself stays
+                reply += `\nمحدودیت کاربر برداشته نشده است، در صورت نیاز از ${revoked.action === 'BAN' ? '!unban' : '!unmute'} استفاده کنید.`;
+            }
+            await bot.sendMessage(msg.chat.id, reply);
+        } catch (error) {
+            logger.error('Error revoking infraction:', {
+                error: error.message,
+                infractionId,
+                chatId: msg.chat.id
+            });
+            await bot.sendMessage(msg.chat.id, 'خطایی رخ داد. لطفاً دوباره تلاش کنید.');
+        }
+    },
+
+    '!poll': async (bot, msg) => {
+        if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const text = msg.text.trim();
+        const lines = text.split('\n').filter(line => line.trim().length > 0);
+
+        if (lines.length < 3) {
+            const usage = `نحوه استفاده: !poll
+<سوال>
+<گزینه 1>
+<گزینه 2>
+[گزینه 3]
+...
+
+مثال:
+!poll
+رنگ مورد علاقه شما چیست؟
+قرمز
 آبی
 سبز`;
             await bot.sendMessage(msg.chat.id, usage);
@@ -483,6 +1451,182 @@ const commands = {
         }
     },
 
+    '!event': async (bot, msg) => {
+        if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const lines = msg.text.trim().split('\n').map(line => line.trim());
+        const [, subcommand, ...args] = lines[0].split(/\s+/);
+
+        if (subcommand === 'cancel' || subcommand === 'reschedule') {
+            const eventId = parseInt(args[0]);
+            const event = isNaN(eventId) ? null : await queries.getEvent(eventId);
+            if (!event || event.cancelled_at || String(event.chat_id) !== String(msg.chat.id)) {
+                await bot.sendMessage(msg.chat.id, subcommand === 'cancel'
+                    ? 'نحوه استفاده: !event cancel <شناسه_رویداد>'
+                    : 'نحوه استفاده: !event reschedule <شناسه_رویداد> <YYYY-MM-DD HH:MM>');
+                return;
+            }
+
+            try {
+                if (subcommand === 'cancel') {
+                    const cancelled = await eventManager.cancelEvent(eventId, msg.from.id, true);
+                    if (event.message_id) {
+                        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+                            chat_id: msg.chat.id,
+                            message_id: event.message_id
+                        }).catch(error => logger.error('Failed to remove event buttons:', error));
+                    }
+                    // Lets members who imported the event remove it from their calendars
+                    await eventManager.sendCalendarFile(bot, msg.chat.id, [cancelled], {
+                        method: 'CANCEL',
+                        filename: `event-${eventId}-cancel.ics`,
+                        caption: `🚫 رویداد «${event.title}» لغو شد.`,
+                        replyTo: event.message_id
+                    });
+                } else {
+                    const startTime = eventManager.parseEventTime(args.slice(1).join(' '));
+                    if (!startTime) {
+                        await bot.sendMessage(msg.chat.id, '⚠️ تاریخ نامعتبر است. از قالب YYYY-MM-DD HH:MM استفاده کنید.');
+                        return;
+                    }
+                    const updated = await eventManager.rescheduleEvent(eventId, startTime);
+                    await eventManager.refreshEventCard(bot, eventId);
+                    await eventManager.sendCalendarFile(bot, msg.chat.id, [updated], {
+                        filename: `event-${eventId}.ics`,
+                        caption: `🔁 زمان رویداد «${event.title}» تغییر کرد.\n🕒 ${formatDate(updated.start_time, await eventManager.getChatDateOptions(msg.chat.id))}`,
+                        replyTo: event.message_id
+                    });
+                }
+            } catch (error) {
+                await bot.sendMessage(msg.chat.id, `⚠️ ${error.message}`);
+            }
+            return;
+        }
+
+        if (subcommand === 'stop') {
+            const seriesId = parseInt(args[0]);
+            const series = isNaN(seriesId) ? null : await queries.getEventSeries(seriesId);
+            if (!series || String(series.chat_id) !== String(msg.chat.id)) {
+                await bot.sendMessage(msg.chat.id, 'نحوه استفاده: !event stop <شناسه_سری>');
+                return;
+            }
+
+            const cancelled = await queries.endEventSeries(seriesId);
+            for (const event of cancelled) {
+                if (!event.message_id) continue;
+                await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+                    chat_id: msg.chat.id,
+                    message_id: event.message_id
+                }).catch(error => logger.error('Failed to remove event buttons:', error));
+            }
+
+            const stopMsg = `🛑 رویدادهای تکراری «${series.title}» متوقف شد.`;
+            if (cancelled.length > 0) {
+                await eventManager.sendCalendarFile(bot, msg.chat.id, cancelled, {
+                    method: 'CANCEL',
+                    filename: `series-${seriesId}-cancel.ics`,
+                    caption: stopMsg
+                });
+            } else {
+                await bot.sendMessage(msg.chat.id, stopMsg);
+            }
+            return;
+        }
+
+        // An optional RRULE line makes the event recurring
+        const ruleLine = lines.slice(1).find(line => /^RRULE:/i.test(line));
+        const detailLines = lines.slice(1).filter(line => line !== ruleLine);
+
+        if (subcommand !== 'create' || detailLines.length < 2) {
+            const usage = `نحوه استفاده: !event create
+<عنوان>
+<تاریخ و ساعت: YYYY-MM-DD HH:MM، شمسی یا میلادی> [مدت، مانند 2h یا «1 ساعت و 30 دقیقه»]
+[مکان]
+[ظرفیت، 0 برای نامحدود]
+[توضیحات]
+
+مثال:
+!event create
+شب بازی
+1403-03-31 19:30 3h
+کافه دنج
+12
+بازی‌های رومیزی با بچه‌های گروه
+
+برای رویداد تکراری یک خط RRULE اضافه کنید:
+RRULE:FREQ=WEEKLY;BYDAY=TH;COUNT=10
+RRULE:FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20241231
+
+مدیریت رویدادها:
+!event cancel <شناسه_رویداد>
+!event reschedule <شناسه_رویداد> <YYYY-MM-DD HH:MM>
+!event stop <شناسه_سری>`;
+            await bot.sendMessage(msg.chat.id, usage);
+            return;
+        }
+
+        const [title, timeText, location, capacityText, ...descriptionLines] = detailLines;
+        const timeRange = eventManager.parseEventTimeRange(timeText);
+        if (!timeRange) {
+            await bot.sendMessage(msg.chat.id, '⚠️ تاریخ یا مدت نامعتبر است. از قالب YYYY-MM-DD HH:MM و در صورت نیاز مدتی مانند 2h استفاده کنید.');
+            return;
+        }
+        const { startTime, durationMinutes } = timeRange;
+
+        const capacity = capacityText ? parseInt(toLatinDigits(capacityText)) : 0;
+        if (isNaN(capacity) || capacity < 0) {
+            await bot.sendMessage(msg.chat.id, '⚠️ ظرفیت باید یک عدد مثبت یا 0 (نامحدود) باشد.');
+            return;
+        }
+
+        try {
+            if (ruleLine) {
+                const { series, rule, nextOccurrence } = await eventManager.createEventSeries(
+                    msg.chat.id,
+                    title,
+                    descriptionLines.join('\n') || null,
+                    startTime,
+                    durationMinutes,
+                    ruleLine,
+                    location || null,
+                    capacity || null,
+                    msg.from.id
+                );
+                const dateOptions = await eventManager.getChatDateOptions(msg.chat.id);
+                await bot.sendMessage(
+                    msg.chat.id,
+                    `🔁 رویداد تکراری «${series.title}» ایجاد شد (${describeRRule(rule, dateOptions)}).\nنوبت بعدی: ${formatDate(nextOccurrence, dateOptions)}\nشناسه سری: ${series.series_id}`
+                );
+                await eventManager.generateSeriesOccurrences(bot, series);
+                return;
+            }
+
+            const event = await eventManager.createEvent(
+                msg.chat.id,
+                title,
+                descriptionLines.join('\n') || null,
+                startTime,
+                durationMinutes ? new Date(startTime.getTime() + durationMinutes * 60 * 1000) : null,
+                location || null,
+                capacity || null,
+                msg.from.id
+            );
+            await eventManager.postEventCard(bot, event);
+        } catch (error) {
+            logger.error('Error creating event:', {
+                error: error.message,
+                stack: error.stack,
+                command: msg.text,
+                chatId: msg.chat.id,
+                fromUser: msg.from.id
+            });
+            await bot.sendMessage(msg.chat.id, `⚠️ ${error.message}`);
+        }
+    },
+
     '!settings': async (bot, msg) => {
         if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
             await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
@@ -490,108 +1634,451 @@ const commands = {
         }
 
         const settings = await queries.getGroupSettings(msg.chat.id);
-        const settingsText = `
-تنظیمات فعلی گروه:
-
-پیام خوش‌آمدگویی: ${settings?.welcome_message || config.welcomeMessage}
-قوانین: ${settings?.rules || config.defaultRules}
-حساسیت به اسپم: ${settings?.spam_sensitivity || config.defaultSpamSensitivity}
-حداکثر اخطارها: ${settings?.max_warnings || config.maxWarnings}
-مدت سکوت: ${formatDuration(settings?.mute_duration || config.defaultMuteDuration)}
-مدت مسدودیت: ${formatDuration(settings?.ban_duration || config.defaultBanDuration)}
-
-برای تغییر تنظیمات از دستورات زیر استفاده کنید:
-!set welcome <پیام>
-!set rules <قوانین>
-!set spam_sensitivity <1-10>
-!set max_warnings <تعداد>
-!set mute_duration <مدت>
-!set ban_duration <مدت>
-`;
-        await bot.sendMessage(msg.chat.id, settingsText);
+        const panel = buildSettingsPanel(settings);
+        await bot.sendMessage(msg.chat.id, panel.text, { reply_markup: panel.reply_markup });
     },
 
-    '!mute': async (bot, msg) => {
-        if (!await isModerator(msg.from.id, msg.chat.id, bot)) {
+    '!set': async (bot, msg) => {
+        if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
             await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
             return;
         }
 
-        const args = msg.text.split(' ');
-        let targetUser;
-        let duration;
-        let reason;
+        const key = (msg.text.split(/\s+/)[1] || '').toLowerCase();
+        const setting = GROUP_SETTINGS[key];
+        if (!setting) {
+            const keys = Object.keys(GROUP_SETTINGS).map(name => `!set ${name} <مقدار>`).join('\n');
+            await bot.sendMessage(msg.chat.id, `نحوه استفاده:\n${keys}`);
+            return;
+        }
 
-        // Check if command is a reply to a message
-        if (msg.reply_to_message) {
-            targetUser = msg.reply_to_message.from;
-            duration = parseInt(args[1]);
-            reason = args.slice(2).join(' ') || 'دلیلی ذکر نشده';
-        } else {
-            if (args.length < 3) {
-                await bot.sendMessage(msg.chat.id, 'نحوه استفاده:\nپاسخ به پیام: !mute <مدت> [دلیل]\nیا: !mute <@نام‌کاربری> <مدت> [دلیل]\nمدت به دقیقه');
+        // Welcome messages and rules may span several lines
+        const rawValue = msg.text.replace(/^\S+\s+\S+/, '').trim();
+        const value = setting.parse(rawValue);
+        if (value === null) {
+            await bot.sendMessage(msg.chat.id, `⚠️ مقدار نامعتبر برای ${setting.label}.\n${setting.hint}`);
+            return;
+        }
+
+        try {
+            const format = setting.format || (item => String(item));
+            const before = await queries.getGroupSettings(msg.chat.id);
+            const beforeValue = before?.[setting.column] ?? setting.fallback();
+            const after = await queries.updateGroupSettings(msg.chat.id, { [setting.param]: value });
+
+            logger.info('Group setting updated', {
+                chatId: msg.chat.id,
+                setting: key,
+                updatedBy: msg.from.id
+            });
+            await logModAction(bot, {
+                chat: msg.chat,
+                action: 'SETTINGS',
+                actor: msg.from,
+                details: `${setting.label}: ${format(beforeValue)} ← ${format(after[setting.column])}`,
+                undoSetting: typeof beforeValue === 'number' ? { param: setting.param, value: beforeValue } : null
+            });
+            await bot.sendMessage(msg.chat.id, `✅ ${setting.label} تغییر کرد.\n\nقبل:\n${format(beforeValue)}\n\nبعد:\n${format(after[setting.column])}`);
+        } catch (error) {
+            logger.error('Error updating group setting:', {
+                error: error.message,
+                chatId: msg.chat.id,
+                setting: key
+            });
+            await bot.sendMessage(msg.chat.id, '❌ خطا در ذخیره تنظیمات.');
+        }
+    },
+
+    '!joinblock': async (bot, msg) => {
+        if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const { user: targetUser, rest, error: targetError } = await resolveTargetUser(bot, msg);
+        if (targetError) {
+            await bot.sendMessage(msg.chat.id, `${targetError}\n\nنحوه استفاده: !joinblock <@نام‌کاربری|شناسه|منشن> [دلیل]\nدرخواست‌های عضویت این کاربر خودکار رد می‌شوند.`);
+            return;
+        }
+
+        try {
+            await queries.saveUser(targetUser.id, targetUser.username, targetUser.first_name, targetUser.last_name);
+            await queries.addJoinBlock(msg.chat.id, targetUser.id, rest || null, msg.from.id);
+            logger.info('User added to join blocklist', {
+                chatId: msg.chat.id,
+                userId: targetUser.id,
+                addedBy: msg.from.id
+            });
+            await bot.sendMessage(msg.chat.id, `🚫 درخواست‌های عضویت ${formatUsername(targetUser)} از این پس خودکار رد می‌شوند.`);
+        } catch (error) {
+            logger.error('Error adding to join blocklist:', {
+                error: error.message,
+                chatId: msg.chat.id,
+                targetId: targetUser.id
+            });
+            await bot.sendMessage(msg.chat.id, 'خطایی رخ داد. لطفاً دوباره تلاش کنید.');
+        }
+    },
+
+    '!joinunblock': async (bot, msg) => {
+        if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const { user: targetUser, error: targetError } = await resolveTargetUser(bot, msg);
+        if (targetError) {
+            await bot.sendMessage(msg.chat.id, `${targetError}\n\nنحوه استفاده: !joinunblock <@نام‌کاربری|شناسه|منشن>`);
+            return;
+        }
+
+        try {
+            const removed = await queries.removeJoinBlock(msg.chat.id, targetUser.id);
+            await bot.sendMessage(msg.chat.id, removed
+                ? `✅ ${formatUsername(targetUser)} از فهرست مسدود ورود حذف شد.`
+                : `${formatUsername(targetUser)} در فهرست مسدود ورود نیست.`);
+        } catch (error) {
+            logger.error('Error removing from join blocklist:', {
+                error: error.message,
+                chatId: msg.chat.id,
+                targetId: targetUser.id
+            });
+            await bot.sendMessage(msg.chat.id, 'خطایی رخ داد. لطفاً دوباره تلاش کنید.');
+        }
+    },
+
+    '!unlockdown': async (bot, msg) => {
+        if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        try {
+            const raid = await queries.getActiveRaid(msg.chat.id);
+            // endLockdown announces the end in the chat
+            if (!raid || !await endLockdown(bot, raid, msg.from)) {
+                await bot.sendMessage(msg.chat.id, 'گروه در حالت قفل نیست.');
                 return;
             }
-            duration = parseInt(args[2]);
-            reason = args.slice(3).join(' ') || 'دلیلی ذکر نشده';
+            logger.info('Raid lockdown ended by admin', {
+                chatId: msg.chat.id,
+                raidId: raid.raid_id,
+                endedBy: msg.from.id
+            });
+        } catch (error) {
+            logger.error('Error ending raid lockdown:', {
+                error: error.message,
+                chatId: msg.chat.id
+            });
+            await bot.sendMessage(msg.chat.id, 'خطایی رخ داد. لطفاً دوباره تلاش کنید.');
         }
+    },
 
-        if (isNaN(duration) || duration <= 0) {
-            await bot.sendMessage(msg.chat.id, 'لطفاً مدت زمان معتبری به دقیقه وارد کنید.');
+    '!modlog': async (bot, msg) => {
+        if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
             return;
         }
 
+        const arg = (msg.text.split(/\s+/)[1] || '').toLowerCase();
         try {
-            if (!msg.reply_to_message) {
-                // Get user by username or ID
-                const userIdentifier = args[1].startsWith('@') ? args[1].substring(1) : args[1];
-                try {
-                    // Try to parse as user ID first
-                    const userId = parseInt(userIdentifier);
-                    if (!isNaN(userId)) {
-                        logger.debug('Looking up user by ID:', { userId });
-                        const chatMember = await bot.getChatMember(msg.chat.id, userId);
-                        targetUser = chatMember.user;
-                    } else {
-                        // If not a number, treat as username
-                        logger.debug('Looking up user by username:', { username: userIdentifier });
-                        
-                        try {
-                            // Try direct lookup with @ symbol first
-                            const chatMember = await bot.getChatMember(msg.chat.id, `@${userIdentifier}`);
-                            targetUser = chatMember.user;
-                            logger.debug('Found user by direct lookup:', { user: targetUser });
-                        } catch (directLookupError) {
-                            logger.error('Direct lookup failed:', directLookupError);
-                            try {
-                                // Try without @ symbol as last resort
-                                const chatMember = await bot.getChatMember(msg.chat.id, userIdentifier);
-                                targetUser = chatMember.user;
-                                logger.debug('Found user by username without @:', { user: targetUser });
-                            } catch (error) {
-                                logger.error('All lookup attempts failed:', {
-                                    error: error.message,
-                                    userIdentifier,
-                                    chatId: msg.chat.id
-                                });
-                                throw new Error(`Could not find user "${args[1]}" in this chat. Make sure the username or ID is correct and the user is in the chat.`);
-                            }
-                        }
-                    }
-                } catch (error) {
-                    logger.error('Error getting chat member:', {
-                        error: error.message,
-                        userIdentifier,
-                        chatId: msg.chat.id
+            if (!arg) {
+                const settings = await queries.getGroupSettings(msg.chat.id);
+                const current = settings?.mod_log_chat_id
+                    ? `گزارش مدیریت به ${settings.mod_log_chat_id} ارسال می‌شود.`
+                    : 'گزارش مدیریت خاموش است.';
+                await bot.sendMessage(msg.chat.id, `${current}\n\nنحوه استفاده:\n!modlog <شناسه_کانال_یا_گروه> - تنظیم مقصد گزارش\n!modlog off - خاموش کردن گزارش\nربات باید در مقصد عضو و مجاز به ارسال پیام باشد و شما باید در آن مدیر باشید.`);
+                return;
+            }
+
+            if (arg === 'off') {
+                await queries.updateGroupSettings(msg.chat.id, { modLogChatId: 0 });
+                await bot.sendMessage(msg.chat.id, '🔕 گزارش مدیریت خاموش شد.');
+                return;
+            }
+
+            const logChatId = Number(arg);
+            if (!/^-\d+$/.test(arg)) {
+                await bot.sendMessage(msg.chat.id, '⚠️ شناسه کانال یا گروه باید عددی منفی باشد، مانند -1001234567890');
+                return;
+            }
+            if (logChatId === msg.chat.id) {
+                await bot.sendMessage(msg.chat.id, '⚠️ گزارش مدیریت باید به کانال یا گروه دیگری ارسال شود.');
+                return;
+            }
+
+            // Only admins of the destination may send a group's log there
+            const member = await bot.getChatMember(logChatId, msg.from.id).catch(() => null);
+            if (!member || !['creator', 'administrator'].includes(member.status)) {
+                await bot.sendMessage(msg.chat.id, '⚠️ شما باید در مقصد گزارش مدیر باشید و ربات باید به آن دسترسی داشته باشد.');
+                return;
+            }
+
+            await bot.sendMessage(logChatId, `📋 گزارش مدیریت گروه ${msg.chat.title || msg.chat.id} از این پس اینجا ارسال می‌شود.`);
+            await queries.updateGroupSettings(msg.chat.id, { modLogChatId: logChatId });
+            logger.info('Mod log chat set', {
+                chatId: msg.chat.id,
+                logChatId,
+                setBy: msg.from.id
+            });
+            await bot.sendMessage(msg.chat.id, '✅ مقصد گزارش مدیریت تنظیم شد.');
+        } catch (error) {
+            logger.error('Error setting mod log chat:', {
+                error: error.message,
+                chatId: msg.chat.id,
+                arg
+            });
+            await bot.sendMessage(msg.chat.id, '❌ ربات نمی‌تواند در مقصد پیام ارسال کند. ربات را به آن اضافه کنید و دوباره تلاش کنید.');
+        }
+    },
+
+    '!lock': async (bot, msg) => updateLocks(bot, msg, true),
+
+    '!unlock': async (bot, msg) => updateLocks(bot, msg, false),
+
+    '!locks': async (bot, msg) => {
+        if (!await isModerator(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        try {
+            const settings = await queries.getGroupSettings(msg.chat.id);
+            const lockedTypes = getLockedTypes(settings);
+            const lines = Object.entries(LOCK_TYPES).map(([type, { label }]) =>
+                `${lockedTypes.includes(type) ? '🔒' : '🔓'} ${label} (${type})`
+            );
+            await bot.sendMessage(
+                msg.chat.id,
+                `قفل‌های گروه:\n${lines.join('\n')}\n\nاخطار برای پیام‌های قفل شده: ${settings?.lock_warnings ? 'روشن' : 'خاموش'}`
+            );
+        } catch (error) {
+            logger.error('Error listing chat locks:', {
+                error: error.message,
+                chatId: msg.chat.id
+            });
+            await bot.sendMessage(msg.chat.id, 'خطایی رخ داد. لطفاً دوباره تلاش کنید.');
+        }
+    },
+
+    '!calendar': async (bot, msg) => {
+        if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const args = msg.text.split(' ').slice(1).map(arg => arg.toLowerCase());
+        const calendar = args[0];
+        const digits = args[1];
+        if (!['jalali', 'gregorian'].includes(calendar) || (digits && !['fa', 'en'].includes(digits))) {
+            await bot.sendMessage(msg.chat.id, 'نحوه استفاده: !calendar <jalali|gregorian> [fa|en]\njalali: تقویم شمسی، gregorian: تقویم میلادی\nfa: ارقام فارسی، en: ارقام لاتین');
+            return;
+        }
+
+        try {
+            await queries.updateGroupSettings(msg.chat.id, {
+                calendar,
+                persianDigits: digits ? digits === 'fa' : undefined
+            });
+            await logModAction(bot, {
+                chat: msg.chat,
+                action: 'SETTINGS',
+                actor: msg.from,
+                details: `تقویم: ${calendar}${digits ? ` (ارقام ${digits})` : ''}`
+            });
+            const dateOptions = await eventManager.getChatDateOptions(msg.chat.id);
+            await bot.sendMessage(msg.chat.id, `✅ تقویم گروه تغییر کرد.\nامروز: ${formatDate(new Date(), { ...dateOptions, time: false })}`);
+        } catch (error) {
+            logger.error('Error updating calendar setting:', {
+                error: error.message,
+                chatId: msg.chat.id
+            });
+            await bot.sendMessage(msg.chat.id, '❌ خطا در تغییر تقویم.');
+        }
+    },
+
+    '!birthdays': async (bot, msg) => {
+        if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const value = (msg.text.split(/\s+/)[1] || '').toLowerCase();
+
+        try {
+            if (['on', 'off'].includes(value)) {
+                await queries.updateGroupSettings(msg.chat.id, { birthdayAnnouncements: value === 'on' });
+                await logModAction(bot, {
+                    chat: msg.chat,
+                    action: 'SETTINGS',
+                    actor: msg.from,
+                    details: `تبریک تولد: ${value === 'on' ? 'فعال' : 'غیرفعال'}`,
+                    undoSetting: { param: 'birthdayAnnouncements', value: value !== 'on' }
+                });
+                await bot.sendMessage(msg.chat.id, value === 'on' ? '🎂 تبریک تولد در این گروه فعال شد.' : '🔕 تبریک تولد در این گروه غیرفعال شد.');
+                return;
+            }
+
+            if (value === 'hour') {
+                const hour = parseInt(msg.text.split(/\s+/)[2]);
+                if (isNaN(hour) || hour < 0 || hour > 23) {
+                    await bot.sendMessage(msg.chat.id, 'نحوه استفاده: !birthdays hour <0-23>');
+                    return;
+                }
+                const before = await queries.getGroupSettings(msg.chat.id);
+                await queries.updateGroupSettings(msg.chat.id, { birthdayHour: hour });
+                await logModAction(bot, {
+                    chat: msg.chat,
+                    action: 'SETTINGS',
+                    actor: msg.from,
+                    details: `ساعت تبریک تولد: ${hour}`,
+                    undoSetting: { param: 'birthdayHour', value: before?.birthday_hour ?? config.birthdayGreetingHour }
+                });
+                await bot.sendMessage(msg.chat.id, `🕘 تبریک‌های تولد از ساعت ${hour} به وقت ${getChatTimeZone(before)} ارسال می‌شوند.`);
+                return;
+            }
+
+            if (value === 'message') {
+                // The template may span several lines
+                const template = msg.text.replace(/^\S+\s+message/i, '').trim();
+                if (!template) {
+                    await bot.sendMessage(msg.chat.id, 'نحوه استفاده: !birthdays message <متن تبریک>\n{name} با نام عضو و {age} با سن او جایگزین می‌شود. خطوطی که {age} دارند برای اعضایی که سال تولد ثبت نکرده‌اند حذف می‌شوند.\nبرای بازگشت به متن پیش‌فرض: !birthdays message default');
+                    return;
+                }
+
+                if (['default', 'reset', 'پیش‌فرض'].includes(template.toLowerCase())) {
+                    await queries.updateGroupSettings(msg.chat.id, { birthdayMessage: '' });
+                    await logModAction(bot, {
+                        chat: msg.chat,
+                        action: 'SETTINGS',
+                        actor: msg.from,
+                        details: 'متن تبریک تولد: پیش‌فرض'
                     });
-                    throw new Error(`Could not find user "${args[1]}" in this chat. Make sure the username or ID is correct and the user is in the chat.`);
+                    await bot.sendMessage(msg.chat.id, `✅ متن تبریک تولد به پیش‌فرض برگشت:\n\n${config.birthdayMessage}`);
+                    return;
                 }
+
+                await queries.updateGroupSettings(msg.chat.id, { birthdayMessage: template });
+                await logModAction(bot, {
+                    chat: msg.chat,
+                    action: 'SETTINGS',
+                    actor: msg.from,
+                    details: `متن تبریک تولد:\n${template}`
+                });
+                const dateOptions = await eventManager.getChatDateOptions(msg.chat.id);
+                const preview = birthdayManager.renderBirthdayGreeting(template, {
+                    user_id: msg.from.id,
+                    first_name: msg.from.first_name,
+                    username: msg.from.username,
+                    birthday: new Date(new Date().getFullYear() - 30, 0, 1),
+                    birthday_year_known: true
+                }, dateOptions);
+                await bot.sendMessage(msg.chat.id, `✅ متن تبریک تولد تغییر کرد. پیش‌نمایش:\n\n${preview}`);
+                return;
             }
 
-            if (!targetUser) {
-                throw new Error('Could not identify the target user. Please use a valid @username or user ID, or reply to the user\'s message.');
+            const settings = await queries.getGroupSettings(msg.chat.id);
+            const enabled = settings?.birthday_announcements ?? true;
+            await bot.sendMessage(msg.chat.id, `تبریک تولد در این گروه ${enabled ? 'فعال' : 'غیرفعال'} است.
+ساعت ارسال: ${settings?.birthday_hour ?? config.birthdayGreetingHour} به وقت ${getChatTimeZone(settings)}
+متن تبریک:
+${settings?.birthday_message || config.birthdayMessage}
+
+نحوه استفاده:
+!birthdays <on|off>
+!birthdays hour <0-23>
+!birthdays message <متن تبریک با {name} و {age}|default>`);
+        } catch (error) {
+            logger.error('Error updating birthday announcements:', {
+                error: error.message,
+                chatId: msg.chat.id
+            });
+            await bot.sendMessage(msg.chat.id, '❌ خطا در تغییر تنظیمات تبریک تولد.');
+        }
+    },
+
+    '!welcome': async (bot, msg) => {
+        if (!await isAdmin(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const [, subcommand = '', value = ''] = msg.text.split(/\s+/).map(part => part.toLowerCase());
+
+        try {
+            if (subcommand === 'media') {
+                const reply = msg.reply_to_message;
+                let media = null;
+                if (value === 'off') {
+                    media = { type: '', fileId: '' };
+                } else if (reply?.animation) {
+                    media = { type: 'animation', fileId: reply.animation.file_id };
+                } else if (reply?.photo) {
+                    // The last size is the largest
+                    media = { type: 'photo', fileId: reply.photo[reply.photo.length - 1].file_id };
+                }
+                if (!media) {
+                    await bot.sendMessage(msg.chat.id, 'نحوه استفاده: به یک عکس یا گیف با !welcome media پاسخ دهید، یا !welcome media off برای حذف.');
+                    return;
+                }
+
+                await queries.updateGroupSettings(msg.chat.id, { welcomeMediaType: media.type, welcomeMediaFileId: media.fileId });
+                await logModAction(bot, {
+                    chat: msg.chat,
+                    action: 'SETTINGS',
+                    actor: msg.from,
+                    details: `رسانه خوش‌آمدگویی: ${media.type === 'photo' ? 'عکس' : media.type === 'animation' ? 'گیف' : 'حذف شد'}`
+                });
+                await bot.sendMessage(msg.chat.id, media.type ? '🖼 رسانه خوش‌آمدگویی ذخیره شد.' : '✅ رسانه خوش‌آمدگویی حذف شد.');
+                return;
             }
 
+            if (subcommand === 'preview') {
+                const settings = await queries.getGroupSettings(msg.chat.id);
+                const text = await renderWelcome(bot, settings?.welcome_message, msg.from, msg.chat);
+                await postWelcome(bot, msg.chat.id, text, settings);
+                return;
+            }
+
+            await bot.sendMessage(msg.chat.id, `نحوه استفاده:
+!welcome preview - پیش‌نمایش خوش‌آمدگویی
+!welcome media - پاسخ به عکس یا گیف
+!welcome media off - حذف رسانه
+!set welcome <متن> - تغییر متن
+!set welcome_buttons <دکمه‌ها> - دکمه‌های لینک
+!set welcome_replace <on|off> - حذف خوش‌آمدگویی قبلی
+!set welcome_autodelete <مدت|off> - حذف خودکار پس از مدتی`);
+        } catch (error) {
+            logger.error('Error updating welcome:', {
+                error: error.message,
+                chatId: msg.chat.id
+            });
+            await bot.sendMessage(msg.chat.id, '❌ خطا در تغییر تنظیمات خوش‌آمدگویی.');
+        }
+    },
+
+    '!mute': async (bot, msg) => {
+        if (!await isModerator(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const { user: targetUser, rest, error: targetError } = await resolveTargetUser(bot, msg);
+        if (targetError) {
+            await bot.sendMessage(msg.chat.id, `${targetError}\n\nنحوه استفاده:\nپاسخ به پیام: !mute <مدت> [دلیل]\nیا: !mute <@نام‌کاربری|شناسه|منشن> <مدت> [دلیل]\nمدت مانند 30m، 2h، 1d12h، «2 ساعت» یا perm برای همیشه`);
+            return;
+        }
+
+        const parsed = takeDuration(rest.split(/\s+/).filter(Boolean));
+        if (!parsed) {
+            await bot.sendMessage(msg.chat.id, 'لطفاً مدت زمان معتبری وارد کنید، مانند 30m، 2h، 1d12h، «2 ساعت» یا perm.');
+            return;
+        }
+        // A null duration mutes permanently
+        const duration = Number.isFinite(parsed.minutes) ? parsed.minutes : null;
+        const reason = parsed.rest.join(' ') || 'دلیلی ذکر نشده';
+
+        try {
             // Don't allow muting admins/moderators
             const isTargetAdmin = await isAdmin(targetUser.id, msg.chat.id, bot);
             const isTargetMod = await isModerator(targetUser.id, msg.chat.id, bot);
@@ -614,13 +2101,27 @@ const commands = {
                 can_send_media_messages: false,
                 can_send_other_messages: false,
                 can_add_web_page_previews: false,
-                until_date: Math.floor(Date.now() / 1000) + (duration * 60)
+                until_date: duration ? Math.floor(Date.now() / 1000) + (duration * 60) : 0
             });
 
             // Log the mute
-            await queries.logInfraction(targetUser.id, 'MUTE', reason, 'MUTE', `${duration} minutes`, msg.from.id);
+            const infraction = await queries.logInfraction(targetUser.id, msg.chat.id, 'MUTE', reason, 'MUTE', duration, msg.from.id);
+            await logModAction(bot, {
+                chat: msg.chat,
+                action: 'MUTE',
+                actor: msg.from,
+                target: targetUser,
+                reason,
+                duration,
+                messageId: msg.reply_to_message?.message_id,
+                infractionId: infraction.infraction_id
+            });
             
-            const muteMsg = `🔇 ${targetUser.username ? '@' + targetUser.username : targetUser.first_name} به مدت ${duration} دقیقه سکوت شد.\nدلیل: ${reason}`;
+            const period = duration ? `به مدت ${formatDuration(duration)}` : 'برای همیشه';
+            const until = duration
+                ? `\nتا: ${formatDate(new Date(Date.now() + duration * 60 * 1000), await eventManager.getChatDateOptions(msg.chat.id))}`
+                : '';
+            const muteMsg = `🔇 ${formatUsername(targetUser)} ${period} سکوت شد.${until}\nدلیل: ${reason}`;
             await bot.sendMessage(msg.chat.id, muteMsg);
         } catch (error) {
             logger.error('Error muting user:', {
@@ -630,7 +2131,7 @@ const commands = {
                 chatId: msg.chat.id,
                 fromUser: msg.from.id
             });
-            await bot.sendMessage(msg.chat.id, error.message);
+            await bot.sendMessage(msg.chat.id, 'خطا در سکوت کردن کاربر. لطفاً دوباره تلاش کنید.');
         }
     },
 
@@ -640,36 +2141,13 @@ const commands = {
             return;
         }
 
-        const args = msg.text.split(' ');
-        if (args.length < 2) {
-            await bot.sendMessage(msg.chat.id, 'نحوه استفاده: !unmute <کاربر>\nمی‌توانید کاربر را با نام کاربری (@username) یا با پاسخ به پیام آن انتخاب کنید.');
+        const { user: targetUser, error: targetError } = await resolveTargetUser(bot, msg);
+        if (targetError) {
+            await bot.sendMessage(msg.chat.id, `${targetError}\n\nنحوه استفاده:\nپاسخ به پیام: !unmute\nیا: !unmute <@نام‌کاربری|شناسه|منشن>`);
             return;
         }
 
-        let targetUser;
         try {
-            // Check if command is a reply to a message
-            if (msg.reply_to_message) {
-                targetUser = msg.reply_to_message.from;
-            } else {
-                // Get user by username or ID
-                const userIdentifier = args[1].replace('@', '');
-                try {
-                    // Try to parse as user ID first
-                    const userId = parseInt(userIdentifier);
-                    if (!isNaN(userId)) {
-                        const chatMember = await bot.getChatMember(msg.chat.id, userId);
-                        targetUser = chatMember.user;
-                    } else {
-                        // If not a number, treat as username
-                        const chatMember = await bot.getChatMember(msg.chat.id, '@' + userIdentifier);
-                        targetUser = chatMember.user;
-                    }
-                } catch (error) {
-                    throw new Error('Could not find user. Make sure the username or ID is correct.');
-                }
-            }
-
             // Unmute the user
             await bot.restrictChatMember(msg.chat.id, targetUser.id, {
                 can_send_messages: true,
@@ -678,16 +2156,22 @@ const commands = {
                 can_add_web_page_previews: true
             });
             
-            const unmuteMsg = `🔊 ${targetUser.username ? '@' + targetUser.username : targetUser.first_name} از سکوت خارج شد.`;
+            await logModAction(bot, {
+                chat: msg.chat,
+                action: 'UNMUTE',
+                actor: msg.from,
+                target: targetUser
+            });
+
+            const unmuteMsg = `🔊 ${formatUsername(targetUser)} از سکوت خارج شد.`;
             await bot.sendMessage(msg.chat.id, unmuteMsg);
         } catch (error) {
-            logger.error('Error unmuting user:', error);
-            await bot.sendMessage(
-                msg.chat.id,
-                error.message === 'Could not find user. Make sure the username or ID is correct.'
-                    ? error.message
-                    : 'Failed to unmute user. Please check the username/ID and try again.'
-            );
+            logger.error('Error unmuting user:', {
+                error: error.message,
+                targetId: targetUser.id,
+                chatId: msg.chat.id
+            });
+            await bot.sendMessage(msg.chat.id, 'خطا در رفع سکوت کاربر. لطفاً دوباره تلاش کنید.');
         }
     },
 
@@ -697,73 +2181,14 @@ const commands = {
             return;
         }
 
-        const args = msg.text.split(' ');
-        let targetUser;
-        let reason;
-
-        // Check if command is a reply to a message
-        if (msg.reply_to_message) {
-            targetUser = msg.reply_to_message.from;
-            reason = args.slice(1).join(' ') || 'دلیلی ذکر نشده';
-        } else {
-            if (args.length < 2) {
-                await bot.sendMessage(msg.chat.id, 'نحوه استفاده:\nپاسخ به پیام: !kick [دلیل]\nیا: !kick <@نام‌کاربری> [دلیل]');
-                return;
-            }
-            reason = args.slice(2).join(' ') || 'دلیلی ذکر نشده';
+        const { user: targetUser, rest, error: targetError } = await resolveTargetUser(bot, msg);
+        if (targetError) {
+            await bot.sendMessage(msg.chat.id, `${targetError}\n\nنحوه استفاده:\nپاسخ به پیام: !kick [دلیل]\nیا: !kick <@نام‌کاربری|شناسه|منشن> [دلیل]`);
+            return;
         }
+        const reason = rest || 'دلیلی ذکر نشده';
 
         try {
-            if (!msg.reply_to_message) {
-                // Get user by username or ID
-                const userIdentifier = args[1].startsWith('@') ? args[1].substring(1) : args[1];
-                try {
-                    // Try to parse as user ID first
-                    const userId = parseInt(userIdentifier);
-                    if (!isNaN(userId)) {
-                        logger.debug('Looking up user by ID:', { userId });
-                        const chatMember = await bot.getChatMember(msg.chat.id, userId);
-                        targetUser = chatMember.user;
-                    } else {
-                        // If not a number, treat as username
-                        logger.debug('Looking up user by username:', { username: userIdentifier });
-                        
-                        try {
-                            // Try direct lookup with @ symbol first
-                            const chatMember = await bot.getChatMember(msg.chat.id, `@${userIdentifier}`);
-                            targetUser = chatMember.user;
-                            logger.debug('Found user by direct lookup:', { user: targetUser });
-                        } catch (directLookupError) {
-                            logger.error('Direct lookup failed:', directLookupError);
-                            try {
-                                // Try without @ symbol as last resort
-                                const chatMember = await bot.getChatMember(msg.chat.id, userIdentifier);
-                                targetUser = chatMember.user;
-                                logger.debug('Found user by username without @:', { user: targetUser });
-                            } catch (error) {
-                                logger.error('All lookup attempts failed:', {
-                                    error: error.message,
-                                    userIdentifier,
-                                    chatId: msg.chat.id
-                                });
-                                throw new Error(`Could not find user "${args[1]}" in this chat. Make sure the username or ID is correct and the user is in the chat.`);
-                            }
-                        }
-                    }
-                } catch (error) {
-                    logger.error('Error getting chat member:', {
-                        error: error.message,
-                        userIdentifier,
-                        chatId: msg.chat.id
-                    });
-                    throw new Error(`Could not find user "${args[1]}" in this chat. Make sure the username or ID is correct and the user is in the chat.`);
-                }
-            }
-
-            if (!targetUser) {
-                throw new Error('Could not identify the target user. Please use a valid @username or user ID, or reply to the user\'s message.');
-            }
-
             // Don't allow kicking admins/moderators
             const isTargetAdmin = await isAdmin(targetUser.id, msg.chat.id, bot);
             const isTargetMod = await isModerator(targetUser.id, msg.chat.id, bot);
@@ -785,9 +2210,18 @@ const commands = {
             await bot.unbanChatMember(msg.chat.id, targetUser.id); // Immediately unban to allow them to rejoin
 
             // Log the kick
-            await queries.logInfraction(targetUser.id, 'KICK', reason, 'KICK', null, msg.from.id);
+            const infraction = await queries.logInfraction(targetUser.id, msg.chat.id, 'KICK', reason, 'KICK', null, msg.from.id);
+            await logModAction(bot, {
+                chat: msg.chat,
+                action: 'KICK',
+                actor: msg.from,
+                target: targetUser,
+                reason,
+                messageId: msg.reply_to_message?.message_id,
+                infractionId: infraction.infraction_id
+            });
             
-            const kickMsg = `👢 ${targetUser.username ? '@' + targetUser.username : targetUser.first_name} از گروه اخراج شد.\nدلیل: ${reason}`;
+            const kickMsg = `👢 ${formatUsername(targetUser)} از گروه اخراج شد.\nدلیل: ${reason}`;
             await bot.sendMessage(msg.chat.id, kickMsg);
         } catch (error) {
             logger.error('Error kicking user:', {
@@ -797,7 +2231,83 @@ const commands = {
                 chatId: msg.chat.id,
                 fromUser: msg.from.id
             });
-            await bot.sendMessage(msg.chat.id, error.message);
+            await bot.sendMessage(msg.chat.id, 'خطا در اخراج کاربر. لطفاً دوباره تلاش کنید.');
+        }
+    },
+
+    '!purge': async (bot, msg) => {
+        if (!await isModerator(msg.from.id, msg.chat.id, bot)) {
+            await bot.sendMessage(msg.chat.id, 'شما دسترسی لازم برای استفاده از این دستور را ندارید.');
+            return;
+        }
+
+        const usage = 'نحوه استفاده:\nپاسخ به پیام: !purge - حذف همه پیام‌ها از آن پیام تا دستور\n!purge <تعداد> - حذف آخرین پیام‌ها\n!purge <@نام‌کاربری|شناسه|منشن> [تعداد] - حذف پیام‌های اخیر یک کاربر';
+        const args = toLatinDigits(msg.text).split(/\s+/).slice(1);
+        let targetUser = null;
+        let messageIds;
+
+        try {
+            if (msg.reply_to_message) {
+                // Everything from the replied message up to the command, the
+                // part older than 48 hours can no longer be deleted
+                let fromId = msg.reply_to_message.message_id;
+                if (Date.now() / 1000 - msg.reply_to_message.date > DELETABLE_HOURS * 60 * 60) {
+                    fromId = await queries.getFirstDeletableMessageId(msg.chat.id, fromId, DELETABLE_HOURS) || msg.message_id;
+                }
+                if (msg.message_id - fromId > config.purgeMaxMessages) {
+                    await bot.sendMessage(msg.chat.id, `⚠️ هر بار حداکثر ${config.purgeMaxMessages} پیام قابل حذف است.`);
+                    return;
+                }
+                messageIds = [];
+                for (let messageId = msg.message_id - 1; messageId >= fromId; messageId--) {
+                    messageIds.push(messageId);
+                }
+            } else {
+                // A lone number is a count, otherwise the first argument is the user
+                const byCount = args.length === 1 && /^\d+$/.test(args[0]);
+                let count;
+                if (byCount) {
+                    count = Number(args[0]);
+                } else {
+                    const resolved = await resolveTargetUser(bot, msg);
+                    if (resolved.error) {
+                        await bot.sendMessage(msg.chat.id, `${resolved.error}\n\n${usage}`);
+                        return;
+                    }
+                    targetUser = resolved.user;
+                    count = resolved.rest ? Number(toLatinDigits(resolved.rest)) : 100;
+                }
+
+                if (!Number.isInteger(count) || count < 1 || count > config.purgeMaxMessages) {
+                    await bot.sendMessage(msg.chat.id, `تعداد باید بین 1 و ${config.purgeMaxMessages} باشد.\n\n${usage}`);
+                    return;
+                }
+                messageIds = await queries.getRecentMessageIds(msg.chat.id, msg.message_id, count, targetUser?.id, DELETABLE_HOURS);
+            }
+
+            const { deleted, failed } = await deleteMessagesInBatches(bot, msg.chat.id, messageIds);
+            await bot.deleteMessage(msg.chat.id, msg.message_id).catch(() => {});
+
+            await logModAction(bot, {
+                chat: msg.chat,
+                action: 'PURGE',
+                actor: msg.from,
+                target: targetUser,
+                details: `پیام‌های حذف شده: ${deleted}`
+            });
+
+            let report = `🗑 ${deleted} پیام${targetUser ? ` از ${formatUsername(targetUser)}` : ''} حذف شد.`;
+            if (failed > 0) {
+                report += `\n⚠️ ${failed} پیام قابل حذف نبود (قدیمی‌تر از ${DELETABLE_HOURS} ساعت یا قبلاً حذف شده).`;
+            }
+            await bot.sendMessage(msg.chat.id, report);
+        } catch (error) {
+            logger.error('Error purging messages:', {
+                error: error.message,
+                command: msg.text,
+                chatId: msg.chat.id
+            });
+            await bot.sendMessage(msg.chat.id, 'خطا در حذف پیام‌ها. لطفاً دوباره تلاش کنید.');
         }
     },
 
@@ -15,8 +15,15 @@ module.exports = {
     // Moderation Settings
     defaultSpamSensitivity: 5,
     maxWarnings: 3,
+    // Once max warnings are reached, chats without an escalation policy mute,
+    // ban for a while and then ban for good
     defaultMuteDuration: '1 hour',
     defaultBanDuration: '1 day',
+    warningExpiryDays: 30, // warnings older than this stop counting, 0 keeps them forever
+    purgeMaxMessages: 500, // most messages one !purge deletes
+    purgeBatchSize: 20, // deletions sent to Telegram at once
+    repeatJoinCount: 3, // members who join this often within repeatJoinDays are flagged to moderators
+    repeatJoinDays: 30,
     
     // Message Limits
     maxMessagesPerMinute: 10,
@@ -26,6 +33,7 @@ module.exports = {
     enableAntiSpam: true,
     enableContentFilter: true,
     enableWelcomeMessage: true,
+    enableReactionActions: true, // groups still opt in from the !settings panel
     enableAutoModeration: true,
     enableUserStats: true,
     enablePolls: true,
@@ -43,6 +51,16 @@ module.exports = {
 
 Breaking these rules may result in warnings, mutes, or bans.`,
     
+    // Date Display (per-chat settings override these)
+    defaultCalendar: 'jalali', // jalali or gregorian
+    defaultPersianDigits: true,
+
+    // Birthdays (per-chat settings override these)
+    // {name} is the member's name, lines with {age} need a known birth year
+    birthdayMessage: `🎉 تولدت مبارک {name}! 🎂
+{age} سالگی‌ات مبارک!`,
+    birthdayGreetingHour: 9, // hour of the day in the chat's time zone
+
     // Command Prefixes
     commandPrefix: '/',
     adminCommandPrefix: '!',
@@ -51,11 +69,17 @@ Breaking these rules may result in warnings, mutes, or bans.`,
     userStatsUpdateInterval: 5 * 60 * 1000, // 5 minutes
     dailySummaryTime: '00:00', // UTC time for daily summary
     temporaryBanCheckInterval: 60 * 1000, // 1 minute
+    eventReminderOffsets: [24 * 60, 60], // minutes before an event starts
+    eventSeriesLeadDays: 7, // recurring event occurrences are posted this many days ahead
     
     // Backup Settings
     backupInterval: 24 * 60 * 60 * 1000, // 24 hours
     maxBackupAge: 7 * 24 * 60 * 60 * 1000, // 7 days
     
+    // Calendar export
+    timezone: process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    icsDomain: process.env.ICS_DOMAIN || 'telegram-group-bot',
+
     // Logging
     logLevel: process.env.LOG_LEVEL || 'info',
     
@@ -23,6 +23,13 @@ const getUserById = async (userId) => {
     return result.rows[0];
 };
 
+// Usernames can be stale, so more than one user may still carry the same one
+const getUsersByUsername = async (username) => {
+    const query = 'SELECT * FROM users WHERE LOWER(username) = LOWER($1)';
+    const result = await pool.query(query, [username]);
+    return result.rows;
+};
+
 // Role Management
 const assignRole = async (userId, roleName, assignedBy) => {
     const roleQuery = 'SELECT role_id FROM roles WHERE role_name = $1';
@@ -49,46 +56,145 @@ const getUserRoles = async (userId) => {
 };
 
 // Ban Management
-const banUser = async (userId, reason, duration, issuedBy) => {
+const banUser = async (userId, chatId, reason, duration, issuedBy) => {
     try {
-        // Convert duration to integer
+        // Convert duration to integer, no duration bans permanently
         const durationInt = duration ? parseInt(duration) : null;
         const banUntil = durationInt ? new Date(Date.now() + (durationInt * 60 * 1000)) : null;
-        
-        // Update user's ban status
-        const userQuery = `
-            UPDATE users 
-            SET is_banned = true,
-                ban_until = $2
-            WHERE user_id = $1
+
+        // Record the ban in this chat only
+        const banQuery = `
+            INSERT INTO chat_bans (user_id, chat_id, banned_until, reason, banned_by)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (user_id, chat_id)
+            DO UPDATE SET
+                banned_until = EXCLUDED.banned_until,
+                reason = EXCLUDED.reason,
+                banned_by = EXCLUDED.banned_by,
+                is_network = FALSE,
+                created_at = CURRENT_TIMESTAMP
             RETURNING *;
         `;
-        await pool.query(userQuery, [userId, banUntil]);
+        await pool.query(banQuery, [userId, chatId, banUntil, reason, issuedBy]);
 
         // Log the infraction
-        return await logInfraction(userId, 'BAN', reason, 'BAN', durationInt, issuedBy);
+        return await logInfraction(userId, chatId, 'BAN', reason, 'BAN', durationInt, issuedBy);
     } catch (error) {
         logger.error('Error banning user:', {
             error: error.message,
-            userId
+            userId,
+            chatId
         });
         throw error;
     }
 };
 
-const unbanUser = async (userId) => {
+const unbanUser = async (userId, chatId) => {
     try {
         const query = `
-            UPDATE users 
-            SET is_banned = false,
-                ban_until = null
-            WHERE user_id = $1
+            DELETE FROM chat_bans
+            WHERE user_id = $1 AND chat_id = $2
             RETURNING *;
         `;
-        const result = await pool.query(query, [userId]);
+        const result = await pool.query(query, [userId, chatId]);
         return result.rows[0];
     } catch (error) {
         logger.error('Error unbanning user:', {
+            error: error.message,
+            userId,
+            chatId
+        });
+        throw error;
+    }
+};
+
+const getChatBan = async (userId, chatId) => {
+    try {
+        const query = `
+            SELECT * FROM chat_bans
+            WHERE user_id = $1 AND chat_id = $2
+            AND (banned_until IS NULL OR banned_until > NOW());
+        `;
+        const result = await pool.query(query, [userId, chatId]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error('Error getting chat ban:', {
+            error: error.message,
+            userId,
+            chatId
+        });
+        throw error;
+    }
+};
+
+// Network-wide bans apply to every group the bot manages
+const networkBanUser = async (userId, reason, issuedBy, issuedIn = null) => {
+    try {
+        const userQuery = `
+            UPDATE users
+            SET is_banned = true,
+                ban_until = NULL
+            WHERE user_id = $1
+            RETURNING *;
+        `;
+        const userResult = await pool.query(userQuery, [userId]);
+        if (!userResult.rows[0]) {
+            throw new Error('User not found');
+        }
+
+        // Ban in every group with settings or recorded members, and the group the
+        // ban was issued in; existing chat bans are kept as they are. Groups the
+        // bot learns about later ban the user when they join.
+        const chatsQuery = `
+            INSERT INTO chat_bans (user_id, chat_id, banned_until, reason, banned_by, is_network)
+            SELECT $1::bigint, chat_id, NULL::timestamp, $2, $3::bigint, TRUE
+            FROM (
+                SELECT chat_id FROM group_settings
+                UNION
+                SELECT chat_id FROM chat_memberships
+                UNION
+                SELECT chat_id FROM message_logs WHERE user_id = $1
+                UNION
+                SELECT $4::bigint
+            ) chats
+            WHERE chat_id < 0
+            ON CONFLICT (user_id, chat_id) DO NOTHING;
+        `;
+        await pool.query(chatsQuery, [userId, reason, issuedBy, issuedIn]);
+
+        await logInfraction(userId, null, 'NETWORK_BAN', reason, 'BAN', null, issuedBy);
+        return await getNetworkBanChats(userId);
+    } catch (error) {
+        logger.error('Error applying network ban:', {
+            error: error.message,
+            userId
+        });
+        throw error;
+    }
+};
+
+const networkUnbanUser = async (userId, issuedBy) => {
+    try {
+        const userQuery = `
+            UPDATE users
+            SET is_banned = false,
+                ban_until = NULL
+            WHERE user_id = $1;
+        `;
+        await pool.query(userQuery, [userId]);
+
+        // Only lift the bans the network ban created
+        const chatsQuery = `
+            DELETE FROM chat_bans
+            WHERE user_id = $1 AND is_network
+            RETURNING chat_id;
+        `;
+        const result = await pool.query(chatsQuery, [userId]);
+
+        await logInfraction(userId, null, 'NETWORK_UNBAN', 'Network ban lifted', 'UNBAN', null, issuedBy);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error lifting network ban:', {
             error: error.message,
             userId
         });
@@ -96,28 +202,67 @@ const unbanUser = async (userId) => {
     }
 };
 
-const getBannedUsers = async () => {
+const getNetworkBanChats = async (userId) => {
     try {
         const query = `
-            SELECT u.*, i.created_at as ban_start, i.duration as ban_duration
-            FROM users u
-            JOIN infractions i ON u.user_id = i.user_id
-            WHERE u.is_banned = true 
-            AND i.type = 'BAN'
-            AND i.expires_at <= NOW()
-            AND NOT EXISTS (
-                SELECT 1 FROM infractions i2
-                WHERE i2.user_id = i.user_id
-                AND i2.type = 'BAN'
-                AND i2.expires_at > NOW()
-            )
-            ORDER BY i.created_at DESC;
+            SELECT chat_id FROM chat_bans
+            WHERE user_id = $1 AND is_network;
         `;
-        const result = await pool.query(query);
+        const result = await pool.query(query, [userId]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting network ban chats:', {
+            error: error.message,
+            userId
+        });
+        throw error;
+    }
+};
+
+// Extend a network ban to a group it did not reach yet, with the reason of the ban
+const addNetworkChatBan = async (userId, chatId) => {
+    try {
+        const query = `
+            INSERT INTO chat_bans (user_id, chat_id, banned_until, reason, banned_by, is_network)
+            SELECT $1::bigint, $2::bigint, NULL::timestamp, ban.reason, ban.banned_by, TRUE
+            FROM (SELECT 1) one
+            LEFT JOIN LATERAL (
+                SELECT reason, banned_by FROM chat_bans
+                WHERE user_id = $1 AND is_network
+                ORDER BY created_at
+                LIMIT 1
+            ) ban ON TRUE
+            ON CONFLICT (user_id, chat_id) DO NOTHING
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [userId, chatId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error extending network ban:', {
+            error: error.message,
+            userId,
+            chatId
+        });
+        throw error;
+    }
+};
+
+const getBannedUsers = async (chatId) => {
+    try {
+        const query = `
+            SELECT u.*, b.created_at as ban_start, b.banned_until, b.reason as ban_reason, b.is_network
+            FROM chat_bans b
+            JOIN users u ON u.user_id = b.user_id
+            WHERE b.chat_id = $1
+            AND (b.banned_until IS NULL OR b.banned_until > NOW())
+            ORDER BY b.created_at DESC;
+        `;
+        const result = await pool.query(query, [chatId]);
         return result.rows;
     } catch (error) {
         logger.error('Error getting banned users:', {
-            error: error.message
+            error: error.message,
+            chatId
         });
         throw error;
     }
@@ -125,16 +270,10 @@ const getBannedUsers = async () => {
 
 const getUserBannedChats = async (userId) => {
     const query = `
-        SELECT DISTINCT chat_id 
-        FROM message_logs 
+        SELECT chat_id, banned_until, is_network
+        FROM chat_bans
         WHERE user_id = $1
-        AND chat_id IN (
-            SELECT chat_id 
-            FROM infractions 
-            WHERE user_id = $1 
-            AND type = 'BAN' 
-            AND created_at >= NOW() - INTERVAL '30 days'
-        )
+        AND (banned_until IS NULL OR banned_until > NOW());
     `;
     const result = await pool.query(query, [userId]);
     return result.rows;
@@ -144,7 +283,7 @@ const getUserBannedChats = async (userId) => {
 const logMessage = async (messageId, userId, chatId, messageType, content) => {
     try {
         // Validate message type
-        const validTypes = ['TEXT', 'PHOTO', 'VIDEO', 'AUDIO', 'DOCUMENT', 'STICKER', 'ANIMATION'];
+        const validTypes = ['TEXT', 'PHOTO', 'VIDEO', 'AUDIO', 'DOCUMENT', 'STICKER', 'ANIMATION', 'OTHER'];
         if (!validTypes.includes(messageType.toUpperCase())) {
             throw new Error('Invalid message type. Must be one of: ' + validTypes.join(', '));
         }
@@ -196,15 +335,79 @@ const deleteMessage = async (messageId, deletedBy) => {
     }
 };
 
+// Logged messages of a chat sent before a message, newest first, optionally
+// only those of one user. Telegram only lets bots delete messages younger
+// than maxAgeHours, so older ones are left out.
+const getRecentMessageIds = async (chatId, beforeMessageId, limit, userId = null, maxAgeHours = 48) => {
+    try {
+        const query = `
+            SELECT message_id
+            FROM (
+                SELECT message_id, user_id, created_at AS sent_at FROM message_logs WHERE chat_id = $1
+                UNION
+                SELECT message_id, user_id, sent_at FROM messages WHERE chat_id = $1
+            ) logged
+            WHERE message_id < $2
+            AND ($4::bigint IS NULL OR user_id = $4)
+            AND sent_at > NOW() - make_interval(hours => $5)
+            GROUP BY message_id
+            ORDER BY message_id DESC
+            LIMIT $3;
+        `;
+        const result = await pool.query(query, [chatId, beforeMessageId, limit, userId, maxAgeHours]);
+        return result.rows.map(row => Number(row.message_id));
+    } catch (error) {
+        logger.error('Error getting recent message IDs:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        throw error;
+    }
+};
+
+// Oldest logged message of a chat from fromMessageId on that is still young
+// enough to be deleted
+const getFirstDeletableMessageId = async (chatId, fromMessageId, maxAgeHours = 48) => {
+    try {
+        const query = `
+            SELECT MIN(message_id) AS message_id
+            FROM (
+                SELECT message_id, created_at AS sent_at FROM message_logs WHERE chat_id = $1
+                UNION
+                SELECT message_id, sent_at FROM messages WHERE chat_id = $1
+            ) logged
+            WHERE message_id >= $2
+            AND sent_at > NOW() - make_interval(hours => $3);
+        `;
+        const result = await pool.query(query, [chatId, fromMessageId, maxAgeHours]);
+        return result.rows[0].message_id ? Number(result.rows[0].message_id) : null;
+    } catch (error) {
+        logger.error('Error getting first deletable message:', {
+            error: error.message,
+            chatId,
+            fromMessageId
+        });
+        throw error;
+    }
+};
+
 // Infractions
-const logInfraction = async (userId, type, reason, action, duration, issuedBy) => {
+// Infraction types that count towards the escalation ladder
+const STRIKE_TYPES = ['WARN', 'SPAM', 'BANNED_CONTENT'];
+
+// chatId is null for network-wide actions. expiresIn (minutes) defaults to the
+// duration of the restriction; strikes pass their warning expiry, null for never.
+const logInfraction = async (userId, chatId, type, reason, action, duration, issuedBy, expiresIn) => {
     try {
         // Convert duration to integer if provided
         const durationInt = duration ? parseInt(duration) : null;
+        const expiryMinutes = expiresIn === undefined ? durationInt : expiresIn;
         
         const query = `
             INSERT INTO infractions (
                 user_id, 
+                chat_id,
                 type, 
                 reason, 
                 action, 
@@ -213,21 +416,22 @@ const logInfraction = async (userId, type, reason, action, duration, issuedBy) =
                 expires_at
             )
             VALUES (
-                $1, $2, $3, $4, $5::integer, $6,
+                $1, $2, $3, $4, $5, $6::integer, $7,
                 CASE 
-                    WHEN $5::integer IS NOT NULL 
-                    THEN NOW() + ($5::integer * interval '1 minute')
+                    WHEN $8::integer IS NOT NULL 
+                    THEN NOW() + ($8::integer * interval '1 minute')
                     ELSE NULL 
                 END
             )
             RETURNING *;
         `;
-        const result = await pool.query(query, [userId, type, reason, action, durationInt, issuedBy]);
+        const result = await pool.query(query, [userId, chatId, type, reason, action, durationInt, issuedBy, expiryMinutes]);
         return result.rows[0];
     } catch (error) {
         logger.error('Error logging infraction:', {
             error: error.message,
             userId,
+            chatId,
             type,
             action,
             duration
@@ -236,7 +440,8 @@ const logInfraction = async (userId, type, reason, action, duration, issuedBy) =
     }
 };
 
-const getUserInfractions = async (userId) => {
+// Infractions of a user in one chat, or in every chat when chatId is null
+const getUserInfractions = async (userId, chatId) => {
     try {
         const query = `
             SELECT 
@@ -246,14 +451,174 @@ const getUserInfractions = async (userId) => {
             FROM infractions i
             LEFT JOIN users u ON i.issued_by = u.user_id
             WHERE i.user_id = $1
+            AND ($2::bigint IS NULL OR i.chat_id = $2)
             ORDER BY i.issued_at DESC;
         `;
-        const result = await pool.query(query, [userId]);
+        const result = await pool.query(query, [userId, chatId ?? null]);
         return result.rows;
     } catch (error) {
         logger.error('Error getting user infractions:', {
             error: error.message,
-            userId
+            userId,
+            chatId
+        });
+        throw error;
+    }
+};
+
+// Strikes that still count towards the escalation ladder of a chat
+const countActiveStrikes = async (userId, chatId) => {
+    try {
+        const query = `
+            SELECT COUNT(*)::int AS count
+            FROM infractions
+            WHERE user_id = $1
+            AND chat_id = $2
+            AND type = ANY($3)
+            AND revoked_at IS NULL
+            AND NOT is_expired
+            AND (expires_at IS NULL OR expires_at > NOW());
+        `;
+        const result = await pool.query(query, [userId, chatId, STRIKE_TYPES]);
+        return result.rows[0].count;
+    } catch (error) {
+        logger.error('Error counting active strikes:', {
+            error: error.message,
+            userId,
+            chatId
+        });
+        throw error;
+    }
+};
+
+// Warnings of a user in a chat, newest first, with whether each still counts
+const getUserWarnings = async (userId, chatId) => {
+    try {
+        const query = `
+            SELECT 
+                i.*,
+                (i.is_expired OR i.expires_at <= NOW()) AS expired,
+                u.username as issued_by_username,
+                u.first_name as issued_by_first_name,
+                r.username as revoked_by_username,
+                r.first_name as revoked_by_first_name
+            FROM infractions i
+            LEFT JOIN users u ON i.issued_by = u.user_id
+            LEFT JOIN users r ON i.revoked_by = r.user_id
+            WHERE i.user_id = $1
+            AND i.chat_id = $2
+            AND i.type = ANY($3)
+            ORDER BY i.issued_at DESC;
+        `;
+        const result = await pool.query(query, [userId, chatId, STRIKE_TYPES]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting user warnings:', {
+            error: error.message,
+            userId,
+            chatId
+        });
+        throw error;
+    }
+};
+
+// Mark warnings past their expiry so they stop counting
+const expireWarnings = async () => {
+    try {
+        const query = `
+            UPDATE infractions
+            SET is_expired = TRUE
+            WHERE type = ANY($1)
+            AND revoked_at IS NULL
+            AND NOT is_expired
+            AND expires_at <= NOW()
+            RETURNING infraction_id, user_id, chat_id;
+        `;
+        const result = await pool.query(query, [STRIKE_TYPES]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error expiring warnings:', {
+            error: error.message
+        });
+        throw error;
+    }
+};
+
+// Revoke an infraction of a chat by its ID, the row is kept for the audit trail.
+// With strikesOnly set, only warnings can be revoked.
+const revokeInfraction = async (infractionId, chatId, revokedBy, reason, strikesOnly = false) => {
+    try {
+        const query = `
+            UPDATE infractions
+            SET revoked_by = $3, revoked_at = NOW(), revoke_reason = $4
+            WHERE infraction_id = $1
+            AND chat_id = $2
+            AND revoked_at IS NULL
+            AND (NOT $5::boolean OR type = ANY($6))
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [infractionId, chatId, revokedBy, reason, strikesOnly, STRIKE_TYPES]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error revoking infraction:', {
+            error: error.message,
+            infractionId,
+            chatId
+        });
+        throw error;
+    }
+};
+
+// Undo a revocation, for mistakes caught in the mod log
+const restoreInfraction = async (infractionId, chatId) => {
+    try {
+        const query = `
+            UPDATE infractions
+            SET revoked_by = NULL, revoked_at = NULL, revoke_reason = NULL
+            WHERE infraction_id = $1
+            AND chat_id = $2
+            AND revoked_at IS NOT NULL
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [infractionId, chatId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error restoring infraction:', {
+            error: error.message,
+            infractionId,
+            chatId
+        });
+        throw error;
+    }
+};
+
+// Revoke the active warnings of a user in a chat, only the latest one when latestOnly is set
+const revokeUserWarnings = async (userId, chatId, revokedBy, reason, latestOnly = false) => {
+    try {
+        const query = `
+            UPDATE infractions
+            SET revoked_by = $3, revoked_at = NOW(), revoke_reason = $4
+            WHERE infraction_id IN (
+                SELECT infraction_id
+                FROM infractions
+                WHERE user_id = $1
+                AND chat_id = $2
+                AND type = ANY($5)
+                AND revoked_at IS NULL
+                AND NOT is_expired
+                AND (expires_at IS NULL OR expires_at > NOW())
+                ORDER BY issued_at DESC
+                LIMIT CASE WHEN $6::boolean THEN 1 END
+            )
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [userId, chatId, revokedBy, reason, STRIKE_TYPES, latestOnly]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error revoking user warnings:', {
+            error: error.message,
+            userId,
+            chatId
         });
         throw error;
     }
@@ -271,25 +636,67 @@ const getGroupSettings = async (chatId) => {
 
 const updateGroupSettings = async (chatId, settings) => {
     try {
-        // Validate and convert numeric settings
-        const spamSensitivity = settings.spamSensitivity ? parseInt(settings.spamSensitivity) : 5;
-        const maxWarnings = settings.maxWarnings ? parseInt(settings.maxWarnings) : 3;
-        const muteDuration = settings.muteDuration ? parseInt(settings.muteDuration) : 60;
-        const banDuration = settings.banDuration ? parseInt(settings.banDuration) : 1440;
+        // Only the settings that are given are changed, the rest keep their value
+        const toInt = value => (value === undefined || value === null) ? null : parseInt(value);
+        const spamSensitivity = toInt(settings.spamSensitivity);
+        const maxWarnings = toInt(settings.maxWarnings);
+        const muteDuration = toInt(settings.muteDuration);
+        const banDuration = toInt(settings.banDuration);
+        const birthdayHour = toInt(settings.birthdayHour);
+        const warningExpiryDays = toInt(settings.warningExpiryDays);
+        const slowModeSeconds = toInt(settings.slowModeSeconds);
+        const captchaTimeout = toInt(settings.captchaTimeout);
+        const raidThreshold = toInt(settings.raidThreshold);
+        const raidWindowSeconds = toInt(settings.raidWindowSeconds);
+        const raidLockdownMinutes = toInt(settings.raidLockdownMinutes);
+        const welcomeDeleteAfter = toInt(settings.welcomeDeleteAfter);
 
         // Validate ranges
-        if (spamSensitivity < 1 || spamSensitivity > 10) {
+        if (spamSensitivity !== null && (isNaN(spamSensitivity) || spamSensitivity < 1 || spamSensitivity > 10)) {
             throw new Error('Spam sensitivity must be between 1 and 10');
         }
-        if (maxWarnings < 1) {
+        if (maxWarnings !== null && (isNaN(maxWarnings) || maxWarnings < 1)) {
             throw new Error('Max warnings must be at least 1');
         }
-        if (muteDuration < 1) {
+        if (muteDuration !== null && (isNaN(muteDuration) || muteDuration < 1)) {
             throw new Error('Mute duration must be at least 1 minute');
         }
-        if (banDuration < 1) {
+        if (banDuration !== null && (isNaN(banDuration) || banDuration < 1)) {
             throw new Error('Ban duration must be at least 1 minute');
         }
+        if (birthdayHour !== null && (isNaN(birthdayHour) || birthdayHour < 0 || birthdayHour > 23)) {
+            throw new Error('Birthday hour must be between 0 and 23');
+        }
+        if (warningExpiryDays !== null && (isNaN(warningExpiryDays) || warningExpiryDays < 0)) {
+            throw new Error('Warning expiry must be zero or more days');
+        }
+        if (slowModeSeconds !== null && (isNaN(slowModeSeconds) || slowModeSeconds < 0)) {
+            throw new Error('Slow mode must be zero or more seconds');
+        }
+        if (captchaTimeout !== null && (isNaN(captchaTimeout) || captchaTimeout < 1)) {
+            throw new Error('CAPTCHA timeout must be at least 1 minute');
+        }
+        if (raidThreshold !== null && (isNaN(raidThreshold) || raidThreshold < 0)) {
+            throw new Error('Raid threshold must be zero or more joins');
+        }
+        if (raidWindowSeconds !== null && (isNaN(raidWindowSeconds) || raidWindowSeconds < 1)) {
+            throw new Error('Raid window must be at least 1 second');
+        }
+        if (raidLockdownMinutes !== null && (isNaN(raidLockdownMinutes) || raidLockdownMinutes < 1)) {
+            throw new Error('Raid lockdown must be at least 1 minute');
+        }
+        if (welcomeDeleteAfter !== null && (isNaN(welcomeDeleteAfter) || welcomeDeleteAfter < 0)) {
+            throw new Error('Welcome deletion must be zero or more minutes');
+        }
+        if (settings.welcomeMediaType && !['photo', 'animation'].includes(settings.welcomeMediaType)) {
+            throw new Error('Welcome media must be a photo or an animation');
+        }
+        if (settings.captchaMode && !['button', 'math', 'emoji'].includes(settings.captchaMode)) {
+            throw new Error('CAPTCHA mode must be button, math or emoji');
+        }
+        if (settings.calendar !== undefined && settings.calendar !== null && !['jalali', 'gregorian'].includes(settings.calendar)) {
+            throw new Error('Calendar must be jalali or gregorian');
+        }
 
         const query = `
             INSERT INTO group_settings (
@@ -299,17 +706,120 @@ const updateGroupSettings = async (chatId, settings) => {
                 spam_sensitivity,
                 max_warnings,
                 mute_duration,
-                ban_duration
+                ban_duration,
+                calendar,
+                persian_digits,
+                birthday_announcements,
+                birthday_message,
+                birthday_hour,
+                anti_spam_enabled,
+                content_filter_enabled,
+                welcome_enabled,
+                reaction_actions_enabled,
+                escalation_policy,
+                warning_expiry_days,
+                mod_log_chat_id,
+                locked_types,
+                lock_warnings,
+                slow_mode_seconds,
+                night_mode,
+                timezone,
+                captcha_mode,
+                captcha_timeout,
+                join_questions,
+                raid_threshold,
+                raid_window_seconds,
+                raid_lockdown_minutes,
+                raid_lock_chat,
+                welcome_media_type,
+                welcome_media_file_id,
+                welcome_buttons,
+                welcome_replace,
+                welcome_delete_after,
+                goodbye_message
+            )
+            VALUES (
+                $1, $2, $3,
+                COALESCE($4, 5),
+                COALESCE($5, 3),
+                COALESCE($6, 60),
+                COALESCE($7, 1440),
+                COALESCE($8, 'jalali'),
+                COALESCE($9, TRUE),
+                COALESCE($10, TRUE),
+                NULLIF($11::text, ''),
+                COALESCE($12, 9),
+                COALESCE($13, TRUE),
+                COALESCE($14, TRUE),
+                COALESCE($15, TRUE),
+                COALESCE($16, FALSE),
+                NULLIF($17::text, ''),
+                $18,
+                NULLIF($19::bigint, 0),
+                COALESCE($20::text[], '{}'),
+                COALESCE($21, FALSE),
+                COALESCE($22, 0),
+                NULLIF($23::text, ''),
+                NULLIF($24::text, ''),
+                NULLIF($25::text, ''),
+                COALESCE($26, 5),
+                NULLIF($27::text, ''),
+                COALESCE($28, 0),
+                COALESCE($29, 60),
+                COALESCE($30, 30),
+                COALESCE($31, FALSE),
+                NULLIF($32::text, ''),
+                NULLIF($33::text, ''),
+                NULLIF($34::text, ''),
+                COALESCE($35, FALSE),
+                COALESCE($36, 0),
+                NULLIF($37::text, '')
             )
-            VALUES ($1, $2, $3, $4, $5, $6, $7)
             ON CONFLICT (chat_id) 
             DO UPDATE SET
-                welcome_message = EXCLUDED.welcome_message,
-                rules = EXCLUDED.rules,
-                spam_sensitivity = EXCLUDED.spam_sensitivity,
-                max_warnings = EXCLUDED.max_warnings,
-                mute_duration = EXCLUDED.mute_duration,
-                ban_duration = EXCLUDED.ban_duration,
+                welcome_message = COALESCE($2, group_settings.welcome_message),
+                rules = COALESCE($3, group_settings.rules),
+                spam_sensitivity = COALESCE($4, group_settings.spam_sensitivity),
+                max_warnings = COALESCE($5, group_settings.max_warnings),
+                mute_duration = COALESCE($6, group_settings.mute_duration),
+                ban_duration = COALESCE($7, group_settings.ban_duration),
+                calendar = COALESCE($8, group_settings.calendar),
+                persian_digits = COALESCE($9, group_settings.persian_digits),
+                birthday_announcements = COALESCE($10, group_settings.birthday_announcements),
+                birthday_message = CASE WHEN $11::text IS NULL THEN group_settings.birthday_message ELSE NULLIF($11::text, '') END,
+                birthday_hour = COALESCE($12, group_settings.birthday_hour),
+                anti_spam_enabled = COALESCE($13, group_settings.anti_spam_enabled),
+                content_filter_enabled = COALESCE($14, group_settings.content_filter_enabled),
+                welcome_enabled = COALESCE($15, group_settings.welcome_enabled),
+                reaction_actions_enabled = COALESCE($16, group_settings.reaction_actions_enabled),
+                -- An empty policy resets the chat to the default ladder
+                escalation_policy = CASE WHEN $17::text IS NULL THEN group_settings.escalation_policy ELSE NULLIF($17::text, '') END,
+                warning_expiry_days = COALESCE($18, group_settings.warning_expiry_days),
+                -- A mod log chat of 0 turns the mod log off
+                mod_log_chat_id = CASE WHEN $19::bigint IS NULL THEN group_settings.mod_log_chat_id ELSE NULLIF($19::bigint, 0) END,
+                locked_types = COALESCE($20::text[], group_settings.locked_types),
+                lock_warnings = COALESCE($21, group_settings.lock_warnings),
+                slow_mode_seconds = COALESCE($22, group_settings.slow_mode_seconds),
+                -- Empty values turn night mode off and reset the time zone to the default
+                night_mode = CASE WHEN $23::text IS NULL THEN group_settings.night_mode ELSE NULLIF($23::text, '') END,
+                timezone = CASE WHEN $24::text IS NULL THEN group_settings.timezone ELSE NULLIF($24::text, '') END,
+                -- An empty mode turns verification off
+                captcha_mode = CASE WHEN $25::text IS NULL THEN group_settings.captcha_mode ELSE NULLIF($25::text, '') END,
+                captcha_timeout = COALESCE($26, group_settings.captcha_timeout),
+                -- An empty questionnaire sends join requests straight to review
+                join_questions = CASE WHEN $27::text IS NULL THEN group_settings.join_questions ELSE NULLIF($27::text, '') END,
+                raid_threshold = COALESCE($28, group_settings.raid_threshold),
+                raid_window_seconds = COALESCE($29, group_settings.raid_window_seconds),
+                raid_lockdown_minutes = COALESCE($30, group_settings.raid_lockdown_minutes),
+                raid_lock_chat = COALESCE($31, group_settings.raid_lock_chat),
+                -- Empty values remove the welcome media and buttons
+                welcome_media_type = CASE WHEN $32::text IS NULL THEN group_settings.welcome_media_type ELSE NULLIF($32::text, '') END,
+                welcome_media_file_id = CASE WHEN $33::text IS NULL THEN group_settings.welcome_media_file_id ELSE NULLIF($33::text, '') END,
+                welcome_buttons = CASE WHEN $34::text IS NULL THEN group_settings.welcome_buttons ELSE NULLIF($34::text, '') END,
+                welcome_replace = COALESCE($35, group_settings.welcome_replace),
+                welcome_delete_after = COALESCE($36, group_settings.welcome_delete_after),
+                -- An empty goodbye turns goodbyes off
+                goodbye_message = CASE WHEN $37::text IS NULL THEN group_settings.goodbye_message ELSE NULLIF($37::text, '') END,
                 updated_at = CURRENT_TIMESTAMP
             RETURNING *;
         `;
@@ -321,326 +831,1733 @@ const updateGroupSettings = async (chatId, settings) => {
             spamSensitivity,
             maxWarnings,
             muteDuration,
-            banDuration
+            banDuration,
+            settings.calendar,
+            settings.persianDigits,
+            settings.birthdayAnnouncements,
+            settings.birthdayMessage,
+            birthdayHour,
+            settings.antiSpamEnabled,
+            settings.contentFilterEnabled,
+            settings.welcomeEnabled,
+            settings.reactionActionsEnabled,
+            settings.escalationPolicy,
+            warningExpiryDays,
+            settings.modLogChatId,
+            settings.lockedTypes,
+            settings.lockWarnings,
+            slowModeSeconds,
+            settings.nightMode,
+            settings.timezone,
+            settings.captchaMode,
+            captchaTimeout,
+            settings.joinQuestions,
+            raidThreshold,
+            raidWindowSeconds,
+            raidLockdownMinutes,
+            settings.raidLockChat,
+            settings.welcomeMediaType,
+            settings.welcomeMediaFileId,
+            settings.welcomeButtons,
+            settings.welcomeReplace,
+            welcomeDeleteAfter,
+            settings.goodbyeMessage
         ]);
         
         return result.rows[0];
     } catch (error) {
-        logger.error('Error updating group settings:', {
+        logger.error('Error updating group settings:', {
+            error: error.message,
+            chatId,
+            settings
+        });
+        throw error;
+    }
+};
+
+// Chats with night mode configured, or still active after it was turned off
+const getNightModeChats = async () => {
+    try {
+        const query = `
+            SELECT chat_id, night_mode, timezone, night_mode_permissions
+            FROM group_settings
+            WHERE night_mode IS NOT NULL
+            OR night_mode_permissions IS NOT NULL;
+        `;
+        const result = await pool.query(query);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting night mode chats:', {
+            error: error.message
+        });
+        throw error;
+    }
+};
+
+// Permissions are kept while night mode is active and cleared when it ends
+const setNightModePermissions = async (chatId, permissions) => {
+    try {
+        const query = `
+            UPDATE group_settings
+            SET night_mode_permissions = $2,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE chat_id = $1
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [chatId, permissions ? JSON.stringify(permissions) : null]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error saving night mode permissions:', {
+            error: error.message,
+            chatId
+        });
+        throw error;
+    }
+};
+
+// CAPTCHA challenges
+// A member who joins again gets a fresh challenge in place of the old one
+const createCaptchaChallenge = async (chatId, userId, mode, answer, timeoutMinutes) => {
+    try {
+        const query = `
+            INSERT INTO captcha_challenges (chat_id, user_id, mode, answer, expires_at)
+            VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+            ON CONFLICT (chat_id, user_id)
+            DO UPDATE SET
+                mode = EXCLUDED.mode,
+                answer = EXCLUDED.answer,
+                message_id = NULL,
+                expires_at = EXCLUDED.expires_at,
+                created_at = CURRENT_TIMESTAMP
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [chatId, userId, mode, answer, timeoutMinutes]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error creating CAPTCHA challenge:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        throw error;
+    }
+};
+
+const setCaptchaMessage = async (challengeId, messageId) => {
+    try {
+        const query = 'UPDATE captcha_challenges SET message_id = $2 WHERE challenge_id = $1 RETURNING *;';
+        const result = await pool.query(query, [challengeId, messageId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error saving CAPTCHA message:', {
+            error: error.message,
+            challengeId
+        });
+        throw error;
+    }
+};
+
+const getCaptchaChallenge = async (chatId, userId) => {
+    try {
+        const query = 'SELECT * FROM captcha_challenges WHERE chat_id = $1 AND user_id = $2;';
+        const result = await pool.query(query, [chatId, userId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error getting CAPTCHA challenge:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        throw error;
+    }
+};
+
+// Deleting claims the challenge, so only one of a click and the expiry job acts on it
+const deleteCaptchaChallenge = async (challengeId) => {
+    try {
+        const query = 'DELETE FROM captcha_challenges WHERE challenge_id = $1 RETURNING *;';
+        const result = await pool.query(query, [challengeId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error deleting CAPTCHA challenge:', {
+            error: error.message,
+            challengeId
+        });
+        throw error;
+    }
+};
+
+const getExpiredCaptchaChallenges = async () => {
+    try {
+        const query = 'SELECT * FROM captcha_challenges WHERE expires_at <= NOW();';
+        const result = await pool.query(query);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting expired CAPTCHA challenges:', {
+            error: error.message
+        });
+        throw error;
+    }
+};
+
+// Join Requests
+const createJoinRequest = async (chatId, userId, userChatId, questions) => {
+    try {
+        const query = `
+            INSERT INTO join_requests (chat_id, user_id, user_chat_id, questions, status)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *;
+        `;
+        const status = questions.length > 0 ? 'ANSWERING' : 'PENDING';
+        const result = await pool.query(query, [chatId, userId, userChatId, JSON.stringify(questions), status]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error creating join request:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        throw error;
+    }
+};
+
+const getJoinRequest = async (requestId) => {
+    try {
+        const result = await pool.query('SELECT * FROM join_requests WHERE request_id = $1;', [requestId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error getting join request:', {
+            error: error.message,
+            requestId
+        });
+        throw error;
+    }
+};
+
+// Undecided request of a user in a chat, Telegram may deliver a request twice
+const getOpenJoinRequest = async (chatId, userId) => {
+    try {
+        const query = `
+            SELECT * FROM join_requests
+            WHERE chat_id = $1 AND user_id = $2
+            AND status IN ('ANSWERING', 'PENDING')
+            ORDER BY created_at DESC
+            LIMIT 1;
+        `;
+        const result = await pool.query(query, [chatId, userId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error getting open join request:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        throw error;
+    }
+};
+
+// The questionnaire a user is answering in private, the oldest first when
+// they applied to several chats at once
+const getAnsweringJoinRequest = async (userId) => {
+    try {
+        const query = `
+            SELECT * FROM join_requests
+            WHERE user_id = $1 AND status = 'ANSWERING'
+            ORDER BY created_at
+            LIMIT 1;
+        `;
+        const result = await pool.query(query, [userId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error getting answering join request:', {
+            error: error.message,
+            userId
+        });
+        throw error;
+    }
+};
+
+// The request goes to review once every question is answered
+const addJoinRequestAnswer = async (requestId, answer) => {
+    try {
+        const query = `
+            UPDATE join_requests
+            SET answers = answers || jsonb_build_array($2::text),
+                status = CASE
+                    WHEN jsonb_array_length(answers) + 1 >= jsonb_array_length(questions) THEN 'PENDING'
+                    ELSE status
+                END
+            WHERE request_id = $1 AND status = 'ANSWERING'
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [requestId, answer]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error saving join request answer:', {
+            error: error.message,
+            requestId
+        });
+        throw error;
+    }
+};
+
+const setJoinReviewMessage = async (requestId, messageId) => {
+    try {
+        const query = 'UPDATE join_requests SET review_message_id = $2 WHERE request_id = $1 RETURNING *;';
+        const result = await pool.query(query, [requestId, messageId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error saving join review message:', {
+            error: error.message,
+            requestId
+        });
+        throw error;
+    }
+};
+
+// Only an undecided request can be decided, so two admins never both act on it
+const decideJoinRequest = async (requestId, status, decidedBy) => {
+    try {
+        const query = `
+            UPDATE join_requests
+            SET status = $2,
+                decided_by = $3,
+                decided_at = CURRENT_TIMESTAMP
+            WHERE request_id = $1 AND status IN ('ANSWERING', 'PENDING')
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [requestId, status, decidedBy]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error deciding join request:', {
+            error: error.message,
+            requestId,
+            status
+        });
+        throw error;
+    }
+};
+
+// Whether a user was in the chat before, and whether they were removed from it
+const getJoinHistory = async (userId, chatId) => {
+    try {
+        const query = `
+            SELECT
+                EXISTS (SELECT 1 FROM message_logs WHERE chat_id = $2 AND user_id = $1)
+                    OR EXISTS (SELECT 1 FROM join_requests WHERE chat_id = $2 AND user_id = $1 AND status = 'APPROVED')
+                    OR EXISTS (SELECT 1 FROM chat_memberships WHERE chat_id = $2 AND user_id = $1)
+                    AS was_member,
+                EXISTS (
+                    SELECT 1 FROM infractions
+                    WHERE chat_id = $2 AND user_id = $1
+                    AND action IN ('BAN', 'KICK')
+                    AND revoked_at IS NULL
+                ) OR EXISTS (
+                    SELECT 1 FROM chat_memberships
+                    WHERE chat_id = $2 AND user_id = $1
+                    AND removed_by IS NOT NULL AND removed_by <> user_id
+                ) AS was_removed;
+        `;
+        const result = await pool.query(query, [userId, chatId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error getting join history:', {
+            error: error.message,
+            userId,
+            chatId
+        });
+        throw error;
+    }
+};
+
+const getJoinBlock = async (chatId, userId) => {
+    try {
+        const query = 'SELECT * FROM join_blocklist WHERE chat_id = $1 AND user_id = $2;';
+        const result = await pool.query(query, [chatId, userId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error checking join blocklist:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        throw error;
+    }
+};
+
+const addJoinBlock = async (chatId, userId, reason, addedBy) => {
+    try {
+        const query = `
+            INSERT INTO join_blocklist (chat_id, user_id, reason, added_by)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (chat_id, user_id)
+            DO UPDATE SET reason = EXCLUDED.reason, added_by = EXCLUDED.added_by, created_at = CURRENT_TIMESTAMP
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [chatId, userId, reason, addedBy]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error adding to join blocklist:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        throw error;
+    }
+};
+
+const removeJoinBlock = async (chatId, userId) => {
+    try {
+        const query = 'DELETE FROM join_blocklist WHERE chat_id = $1 AND user_id = $2 RETURNING *;';
+        const result = await pool.query(query, [chatId, userId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error removing from join blocklist:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        throw error;
+    }
+};
+
+// Raids
+const createRaid = async (chatId, userIds, lockdownMinutes, savedPermissions) => {
+    try {
+        const query = `
+            INSERT INTO raids (chat_id, user_ids, lockdown_until, saved_permissions)
+            VALUES ($1, $2, NOW() + make_interval(mins => $3), $4)
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [
+            chatId,
+            userIds,
+            lockdownMinutes,
+            savedPermissions ? JSON.stringify(savedPermissions) : null
+        ]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error creating raid:', {
+            error: error.message,
+            chatId
+        });
+        throw error;
+    }
+};
+
+const getRaid = async (raidId) => {
+    try {
+        const result = await pool.query('SELECT * FROM raids WHERE raid_id = $1;', [raidId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error getting raid:', {
+            error: error.message,
+            raidId
+        });
+        throw error;
+    }
+};
+
+const getActiveRaid = async (chatId) => {
+    try {
+        const query = `
+            SELECT * FROM raids
+            WHERE chat_id = $1 AND ended_at IS NULL
+            ORDER BY created_at DESC
+            LIMIT 1;
+        `;
+        const result = await pool.query(query, [chatId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error getting active raid:', {
+            error: error.message,
+            chatId
+        });
+        throw error;
+    }
+};
+
+// Add a member who joined during a lockdown, returns nothing when they are already listed
+const addRaidParticipant = async (raidId, userId) => {
+    try {
+        const query = `
+            UPDATE raids
+            SET user_ids = array_append(user_ids, $2::bigint)
+            WHERE raid_id = $1 AND NOT ($2::bigint = ANY(user_ids))
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [raidId, userId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error adding raid participant:', {
+            error: error.message,
+            raidId,
+            userId
+        });
+        throw error;
+    }
+};
+
+const setRaidAlertMessage = async (raidId, messageId) => {
+    try {
+        const query = 'UPDATE raids SET alert_message_id = $2 WHERE raid_id = $1 RETURNING *;';
+        const result = await pool.query(query, [raidId, messageId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error saving raid alert message:', {
+            error: error.message,
+            raidId
+        });
+        throw error;
+    }
+};
+
+// Claims the bulk ban of a raid, so a second click does not ban everyone again
+const markRaidBanned = async (raidId) => {
+    try {
+        const query = 'UPDATE raids SET banned_at = CURRENT_TIMESTAMP WHERE raid_id = $1 AND banned_at IS NULL RETURNING *;';
+        const result = await pool.query(query, [raidId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error marking raid banned:', {
+            error: error.message,
+            raidId
+        });
+        throw error;
+    }
+};
+
+const getExpiredRaids = async () => {
+    try {
+        const query = 'SELECT * FROM raids WHERE ended_at IS NULL AND lockdown_until <= NOW();';
+        const result = await pool.query(query);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting expired raids:', {
+            error: error.message
+        });
+        throw error;
+    }
+};
+
+// Claims the end of a lockdown, so the cooldown and !unlockdown never both end it
+const endRaid = async (raidId) => {
+    try {
+        const query = 'UPDATE raids SET ended_at = CURRENT_TIMESTAMP WHERE raid_id = $1 AND ended_at IS NULL RETURNING *;';
+        const result = await pool.query(query, [raidId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error ending raid:', {
+            error: error.message,
+            raidId
+        });
+        throw error;
+    }
+};
+
+// Welcome messages
+// Remember a welcome that is replaced by the next one or deleted after a while
+const addWelcomeMessage = async (chatId, messageId, deleteAfterMinutes) => {
+    try {
+        const query = `
+            INSERT INTO welcome_messages (chat_id, message_id, delete_at)
+            VALUES ($1, $2, CASE WHEN $3::int > 0 THEN NOW() + make_interval(mins => $3::int) END)
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [chatId, messageId, deleteAfterMinutes || 0]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error saving welcome message:', {
+            error: error.message,
+            chatId,
+            messageId
+        });
+        throw error;
+    }
+};
+
+// Claims the earlier welcomes of a chat for deletion
+const takeWelcomeMessages = async (chatId) => {
+    try {
+        const query = 'DELETE FROM welcome_messages WHERE chat_id = $1 RETURNING *;';
+        const result = await pool.query(query, [chatId]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error taking welcome messages:', {
+            error: error.message,
+            chatId
+        });
+        throw error;
+    }
+};
+
+// Claims the welcomes whose time is up for deletion
+const takeExpiredWelcomeMessages = async () => {
+    try {
+        const query = 'DELETE FROM welcome_messages WHERE delete_at <= NOW() RETURNING *;';
+        const result = await pool.query(query);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error taking expired welcome messages:', {
+            error: error.message
+        });
+        throw error;
+    }
+};
+
+// Membership history
+// Start a membership, closing one whose leave was never seen
+const recordMemberJoin = async (chatId, userId, addedBy) => {
+    try {
+        const query = `
+            WITH closed AS (
+                UPDATE chat_memberships
+                SET left_at = NOW()
+                WHERE chat_id = $1 AND user_id = $2 AND left_at IS NULL
+            )
+            INSERT INTO chat_memberships (chat_id, user_id, joined_at, added_by)
+            VALUES ($1, $2, NOW(), $3)
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [chatId, userId, addedBy]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error recording member join:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        throw error;
+    }
+};
+
+// End the open membership, members from before the bot kept track get one without a join
+const recordMemberLeave = async (chatId, userId, removedBy) => {
+    try {
+        const query = `
+            WITH ended AS (
+                UPDATE chat_memberships
+                SET left_at = NOW(), removed_by = $3
+                WHERE membership_id = (
+                    SELECT membership_id FROM chat_memberships
+                    WHERE chat_id = $1 AND user_id = $2 AND left_at IS NULL
+                    ORDER BY membership_id DESC
+                    LIMIT 1
+                )
+                RETURNING *
+            ), untracked AS (
+                INSERT INTO chat_memberships (chat_id, user_id, left_at, removed_by)
+                SELECT $1, $2, NOW(), $3
+                WHERE NOT EXISTS (SELECT 1 FROM ended)
+                RETURNING *
+            )
+            SELECT * FROM ended
+            UNION ALL
+            SELECT * FROM untracked;
+        `;
+        const result = await pool.query(query, [chatId, userId, removedBy]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error recording member leave:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        throw error;
+    }
+};
+
+// Joins and leaves of a chat in the last days
+const getMembershipStats = async (chatId, days) => {
+    try {
+        const query = `
+            SELECT
+                COUNT(*) FILTER (WHERE joined_at > NOW() - make_interval(days => $2))::int AS joins,
+                COUNT(*) FILTER (WHERE left_at > NOW() - make_interval(days => $2))::int AS leaves
+            FROM chat_memberships
+            WHERE chat_id = $1;
+        `;
+        const result = await pool.query(query, [chatId, days]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error getting membership stats:', {
+            error: error.message,
+            chatId
+        });
+        throw error;
+    }
+};
+
+// How often a member came and went, recent_joins counts the joins of the last days
+const getMembershipSummary = async (chatId, userId, days) => {
+    try {
+        const query = `
+            SELECT
+                COUNT(joined_at)::int AS joins,
+                COUNT(left_at)::int AS leaves,
+                COUNT(*) FILTER (WHERE removed_by IS NOT NULL AND removed_by <> user_id)::int AS removals,
+                COUNT(*) FILTER (WHERE joined_at > NOW() - make_interval(days => $3))::int AS recent_joins
+            FROM chat_memberships
+            WHERE chat_id = $1 AND user_id = $2;
+        `;
+        const result = await pool.query(query, [chatId, userId, days]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error getting membership summary:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        throw error;
+    }
+};
+
+// Memberships of a member in a chat, newest first, with who added and removed them
+const getMembershipHistory = async (chatId, userId, limit = 10) => {
+    try {
+        const query = `
+            SELECT
+                m.*,
+                a.username AS added_by_username,
+                a.first_name AS added_by_first_name,
+                r.username AS removed_by_username,
+                r.first_name AS removed_by_first_name
+            FROM chat_memberships m
+            LEFT JOIN users a ON m.added_by = a.user_id
+            LEFT JOIN users r ON m.removed_by = r.user_id
+            WHERE m.chat_id = $1 AND m.user_id = $2
+            ORDER BY m.membership_id DESC
+            LIMIT $3;
+        `;
+        const result = await pool.query(query, [chatId, userId, limit]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting membership history:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        throw error;
+    }
+};
+
+// Content Moderation
+const addBannedContent = async (content, contentType, severity, addedBy) => {
+    try {
+        // Validate severity
+        const severityInt = parseInt(severity);
+        if (isNaN(severityInt) || severityInt < 1 || severityInt > 5) {
+            throw new Error('Severity must be a number between 1 and 5');
+        }
+
+        // Validate content type
+        const validTypes = ['WORD', 'PHRASE', 'REGEX', 'LINK'];
+        if (!validTypes.includes(contentType.toUpperCase())) {
+            throw new Error('Invalid content type. Must be one of: ' + validTypes.join(', '));
+        }
+
+        const query = `
+            INSERT INTO banned_content (content, content_type, severity, added_by)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [content, contentType.toUpperCase(), severityInt, addedBy]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error adding banned content:', {
+            error: error.message,
+            content,
+            contentType,
+            severity,
+            addedBy
+        });
+        throw error;
+    }
+};
+
+const getBannedContent = async () => {
+    const query = 'SELECT * FROM banned_content ORDER BY severity DESC;';
+    const result = await pool.query(query);
+    return result.rows;
+};
+
+// Custom Commands
+const addCustomCommand = async (command, response, createdBy) => {
+    try {
+        // Validate command format
+        if (!command.startsWith('/')) {
+            throw new Error('Custom commands must start with /');
+        }
+        if (command.length < 2) {
+            throw new Error('Command must be at least 2 characters long');
+        }
+        if (!response || response.trim().length === 0) {
+            throw new Error('Response cannot be empty');
+        }
+
+        const query = `
+            INSERT INTO custom_commands (command, response, created_by)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (command) 
+            DO UPDATE SET
+                response = EXCLUDED.response,
+                created_by = EXCLUDED.created_by,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [command.toLowerCase(), response, createdBy]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error adding custom command:', {
+            error: error.message,
+            command,
+            createdBy
+        });
+        throw error;
+    }
+};
+
+const getCustomCommand = async (command) => {
+    const query = 'SELECT * FROM custom_commands WHERE command = $1 AND is_active = true;';
+    const result = await pool.query(query, [command]);
+    return result.rows[0];
+};
+
+// Activity Tracking
+const updateUserActivity = async (userId, type) => {
+    try {
+        const today = new Date().toISOString().split('T')[0];
+        const query = `
+            INSERT INTO activity_stats (user_id, date, messages_sent, reactions_added, commands_used)
+            VALUES ($1, $2, 
+                CASE WHEN $3 = 'messages_sent' THEN 1 ELSE 0 END,
+                CASE WHEN $3 = 'reaction_added' THEN 1 ELSE 0 END,
+                CASE WHEN $3 = 'command_used' THEN 1 ELSE 0 END
+            )
+            ON CONFLICT (user_id, date)
+            DO UPDATE SET
+                messages_sent = activity_stats.messages_sent + 
+                    CASE WHEN $3 = 'messages_sent' THEN 1 ELSE 0 END,
+                reactions_added = activity_stats.reactions_added + 
+                    CASE WHEN $3 = 'reaction_added' THEN 1 ELSE 0 END,
+                commands_used = activity_stats.commands_used + 
+                    CASE WHEN $3 = 'command_used' THEN 1 ELSE 0 END
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [userId, today, type]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error updating user activity:', error);
+        throw error;
+    }
+};
+
+const getTopUsers = async (limit = 10) => {
+    try {
+        const query = `
+            SELECT 
+                u.user_id, 
+                u.username, 
+                u.first_name, 
+                u.last_name,
+                COALESCE(SUM(a.messages_sent), 0) as total_messages,
+                COALESCE(SUM(a.reactions_added), 0) as total_reactions,
+                COALESCE(SUM(a.commands_used), 0) as total_commands
+            FROM users u
+            LEFT JOIN activity_stats a ON u.user_id = a.user_id
+            GROUP BY u.user_id, u.username, u.first_name, u.last_name
+            HAVING COALESCE(SUM(a.messages_sent), 0) > 0
+            ORDER BY total_messages DESC
+            LIMIT $1;
+        `;
+        const result = await pool.query(query, [limit]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting top users:', {
+            error: error.message,
+            limit
+        });
+        throw error;
+    }
+};
+
+const getActiveUsers = async (days = 7) => {
+    try {
+        const query = `
+            SELECT DISTINCT 
+                u.*, 
+                COALESCE(SUM(a.messages_sent), 0) as messages_in_period,
+                COALESCE(SUM(a.reactions_added), 0) as reactions_in_period,
+                COALESCE(SUM(a.commands_used), 0) as commands_in_period,
+                MAX(a.date) as last_active_date
+            FROM users u
+            JOIN activity_stats a ON u.user_id = a.user_id
+            WHERE a.date >= CURRENT_DATE - ($1 || ' days')::interval
+            GROUP BY u.user_id, u.username, u.first_name, u.last_name
+            HAVING COALESCE(SUM(a.messages_sent), 0) > 0
+            ORDER BY last_active_date DESC;
+        `;
+        const result = await pool.query(query, [days]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting active users:', {
+            error: error.message,
+            days
+        });
+        throw error;
+    }
+};
+
+// User Stats
+const calculateUserStats = async (userId) => {
+    try {
+        const query = `
+            SELECT 
+                SUM(messages_sent) as total_messages,
+                COUNT(DISTINCT date) as active_days,
+                SUM(reactions_added) as total_reactions,
+                SUM(commands_used) as total_commands
+            FROM activity_stats
+            WHERE user_id = $1
+            AND date >= CURRENT_DATE - INTERVAL '30 days'
+        `;
+        const result = await pool.query(query, [userId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error calculating user stats:', {
+            error: error.message,
+            userId
+        });
+        throw error;
+    }
+};
+
+const getUserAchievements = async (userId) => {
+    try {
+        const query = `
+            SELECT a.* 
+            FROM achievements a
+            JOIN user_achievements ua ON a.achievement_id = ua.achievement_id
+            WHERE ua.user_id = $1
+            ORDER BY ua.awarded_at DESC;
+        `;
+        const result = await pool.query(query, [userId]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting user achievements:', {
+            error: error.message,
+            userId
+        });
+        throw error;
+    }
+};
+
+const awardAchievement = async (userId, achievementId) => {
+    try {
+        const query = `
+            INSERT INTO user_achievements (user_id, achievement_id)
+            VALUES ($1, $2)
+            ON CONFLICT (user_id, achievement_id) DO NOTHING
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [userId, achievementId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error awarding achievement:', {
+            error: error.message,
+            userId,
+            achievementId
+        });
+        throw error;
+    }
+};
+
+const getUserChats = async (userId) => {
+    try {
+        const query = `
+            SELECT DISTINCT 
+                m.chat_id,
+                COUNT(*) as message_count,
+                MAX(m.created_at) as last_message_at
+            FROM message_logs m
+            WHERE m.user_id = $1
+            AND NOT m.is_deleted
+            GROUP BY m.chat_id
+            ORDER BY last_message_at DESC;
+        `;
+        const result = await pool.query(query, [userId]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting user chats:', {
+            error: error.message,
+            userId
+        });
+        throw error;
+    }
+};
+
+// Birthdays
+// jalali holds the month and day of birthdays given in the Jalali calendar
+const updateUserBirthday = async (userId, birthday, yearKnown = false, jalali = null) => {
+    try {
+        const query = `
+            UPDATE users
+            SET birthday = $2,
+                birthday_year_known = $3,
+                birthday_jalali_month = $4,
+                birthday_jalali_day = $5
+            WHERE user_id = $1
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [
+            userId,
+            birthday,
+            Boolean(birthday) && yearKnown,
+            birthday ? jalali?.month ?? null : null,
+            birthday ? jalali?.day ?? null : null
+        ]);
+        if (!result.rows[0]) {
+            throw new Error('User not found');
+        }
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error updating user birthday:', {
+            error: error.message,
+            userId
+        });
+        throw error;
+    }
+};
+
+const getTodaysBirthdays = async (defaultHour, defaultTimeZone, jalaliDays, activeDays = 90) => {
+    try {
+        // One row per user and group they wrote in recently, once the group's
+        // greeting hour has come in the group's time zone. "Today" is the date
+        // there too. Feb 29 birthdays are celebrated on Feb 28 in common years.
+        // Jalali birthdays are matched on their Jalali month and day, looked up
+        // in jalaliDays as PostgreSQL knows no Jalali calendar. Members who keep
+        // their birthday to DMs get a row with their own user ID as chat.
+        // Greetings already sent today are skipped.
+        const query = `
+            WITH jalali_days AS (
+                SELECT * FROM unnest($4::date[], $5::int[], $6::int[]) AS d(gregorian, month, day)
+            ),
+            recipients AS (
+                SELECT DISTINCT u.user_id, m.chat_id, gs.birthday_message, gs.persian_digits,
+                    COALESCE(gs.birthday_hour, $1) AS greeting_hour,
+                    NOW() AT TIME ZONE COALESCE(gs.timezone, $2) AS local_now
+                FROM users u
+                JOIN message_logs m ON m.user_id = u.user_id
+                LEFT JOIN group_settings gs ON gs.chat_id = m.chat_id
+                WHERE u.birthday IS NOT NULL
+                AND m.chat_id < 0
+                AND m.created_at > NOW() - make_interval(days => $3)
+                AND COALESCE(gs.birthday_announcements, TRUE)
+                AND (
+                    COALESCE(u.birthday_visibility, 'ALL') = 'ALL'
+                    OR (
+                        u.birthday_visibility = 'SELECTED'
+                        AND EXISTS (
+                            SELECT 1 FROM birthday_chats bc
+                            WHERE bc.user_id = u.user_id
+                            AND bc.chat_id = m.chat_id
+                        )
+                    )
+                )
+                UNION ALL
+                SELECT u.user_id, u.user_id, NULL, NULL, $1, NOW() AT TIME ZONE $2
+                FROM users u
+                WHERE u.birthday IS NOT NULL
+                AND u.birthday_visibility = 'DM'
+            )
+            SELECT c.user_id, c.username, c.first_name, c.last_name, c.birthday,
+                c.birthday_year_known, c.birthday_jalali_month, c.birthday_jalali_day, r.chat_id, r.birthday_message, r.persian_digits,
+                TO_CHAR(r.local_now, 'YYYY-MM-DD') AS local_date
+            FROM recipients r
+            JOIN users c ON c.user_id = r.user_id
+            WHERE EXTRACT(HOUR FROM r.local_now) >= r.greeting_hour
+            AND CASE
+                WHEN c.birthday_jalali_month IS NOT NULL THEN EXISTS (
+                    SELECT 1 FROM jalali_days jd
+                    WHERE jd.gregorian = r.local_now::date
+                    AND jd.month = c.birthday_jalali_month
+                    AND jd.day = c.birthday_jalali_day
+                )
+                ELSE (
+                    TO_CHAR(c.birthday, 'MM-DD') = TO_CHAR(r.local_now, 'MM-DD')
+                    OR (
+                        TO_CHAR(c.birthday, 'MM-DD') = '02-29'
+                        AND TO_CHAR(r.local_now, 'MM-DD') = '02-28'
+                        AND TO_CHAR(r.local_now + INTERVAL '1 day', 'MM-DD') = '03-01'
+                    )
+                )
+            END
+            AND NOT EXISTS (
+                SELECT 1 FROM birthday_greetings bg
+                WHERE bg.user_id = c.user_id
+                AND bg.chat_id = r.chat_id
+                AND bg.greeted_on = r.local_now::date
+            );
+        `;
+        const result = await pool.query(query, [
+            defaultHour,
+            defaultTimeZone,
+            activeDays,
+            jalaliDays.map(jalaliDay => jalaliDay.date),
+            jalaliDays.map(jalaliDay => jalaliDay.month),
+            jalaliDays.map(jalaliDay => jalaliDay.day)
+        ]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting today\'s birthdays:', {
+            error: error.message
+        });
+        throw error;
+    }
+};
+
+// greetedOn is today's date in the time zone of the chat
+const markBirthdayGreeted = async (userId, chatId, greetedOn) => {
+    try {
+        const query = `
+            INSERT INTO birthday_greetings (user_id, chat_id, greeted_on)
+            VALUES ($1, $2, $3)
+            ON CONFLICT DO NOTHING
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [userId, chatId, greetedOn]);
+        return result.rows[0] || null;
+    } catch (error) {
+        logger.error('Error marking birthday greeted:', {
+            error: error.message,
+            userId,
+            chatId
+        });
+        throw error;
+    }
+};
+
+const setBirthdayVisibility = async (userId, visibility) => {
+    try {
+        const query = `
+            UPDATE users
+            SET birthday_visibility = $2
+            WHERE user_id = $1
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [userId, visibility]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error setting birthday visibility:', {
+            error: error.message,
+            userId,
+            visibility
+        });
+        throw error;
+    }
+};
+
+const getBirthdayChats = async (userId) => {
+    try {
+        const query = `
+            SELECT chat_id FROM birthday_chats
+            WHERE user_id = $1;
+        `;
+        const result = await pool.query(query, [userId]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting birthday chats:', {
+            error: error.message,
+            userId
+        });
+        throw error;
+    }
+};
+
+const addBirthdayChat = async (userId, chatId) => {
+    try {
+        const query = `
+            INSERT INTO birthday_chats (user_id, chat_id)
+            VALUES ($1, $2)
+            ON CONFLICT DO NOTHING;
+        `;
+        await pool.query(query, [userId, chatId]);
+    } catch (error) {
+        logger.error('Error adding birthday chat:', {
+            error: error.message,
+            userId,
+            chatId
+        });
+        throw error;
+    }
+};
+
+const removeBirthdayChat = async (userId, chatId) => {
+    try {
+        const query = `
+            DELETE FROM birthday_chats
+            WHERE user_id = $1 AND chat_id = $2;
+        `;
+        const result = await pool.query(query, [userId, chatId]);
+        return result.rowCount > 0;
+    } catch (error) {
+        logger.error('Error removing birthday chat:', {
+            error: error.message,
+            userId,
+            chatId
+        });
+        throw error;
+    }
+};
+
+// Every birthday shown in the chat. They are ordered by the caller, Jalali
+// birthdays fall on another Gregorian day every year.
+const getChatBirthdays = async (chatId) => {
+    try {
+        const query = `
+            SELECT u.user_id, u.username, u.first_name, u.last_name, u.birthday,
+                u.birthday_jalali_month, u.birthday_jalali_day
+            FROM users u
+            WHERE u.birthday IS NOT NULL
+            AND EXISTS (
+                SELECT 1 FROM message_logs m
+                WHERE m.user_id = u.user_id
+                AND m.chat_id = $1
+            )
+            AND (
+                COALESCE(u.birthday_visibility, 'ALL') = 'ALL'
+                OR (
+                    u.birthday_visibility = 'SELECTED'
+                    AND EXISTS (
+                        SELECT 1 FROM birthday_chats bc
+                        WHERE bc.user_id = u.user_id
+                        AND bc.chat_id = $1
+                    )
+                )
+            );
+        `;
+        const result = await pool.query(query, [chatId]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting chat birthdays:', {
+            error: error.message,
+            chatId
+        });
+        throw error;
+    }
+};
+
+// Events
+const createEvent = async (chatId, title, description, startTime, endTime, location, maxParticipants, createdBy) => {
+    try {
+        const query = `
+            INSERT INTO events (
+                chat_id,
+                title, 
+                description, 
+                start_time, 
+                end_time, 
+                location,
+                max_participants,
+                created_by
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [
+            chatId,
+            title,
+            description,
+            startTime,
+            endTime,
+            location,
+            maxParticipants,
+            createdBy
+        ]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error creating event:', {
+            error: error.message,
+            chatId,
+            title,
+            createdBy
+        });
+        throw error;
+    }
+};
+
+const getEvent = async (eventId) => {
+    try {
+        const query = 'SELECT * FROM events WHERE event_id = $1';
+        const result = await pool.query(query, [eventId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error getting event:', {
+            error: error.message,
+            eventId
+        });
+        throw error;
+    }
+};
+
+const getEvents = async (chatId, includeExpired = false) => {
+    try {
+        const query = `
+            SELECT 
+                e.*,
+                COUNT(ep.user_id) FILTER (WHERE ep.status = 'GOING') as going_count,
+                COUNT(ep.user_id) FILTER (WHERE ep.status = 'MAYBE') as maybe_count,
+                COUNT(ep.user_id) FILTER (WHERE ep.status = 'WAITLIST') as waitlist_count
+            FROM events e
+            LEFT JOIN event_participants ep ON e.event_id = ep.event_id
+            WHERE e.chat_id = $1
+            AND e.cancelled_at IS NULL
+            AND ($2 OR COALESCE(e.end_time, e.start_time) >= NOW())
+            GROUP BY e.event_id
+            ORDER BY e.start_time ASC;
+        `;
+        const result = await pool.query(query, [chatId, includeExpired]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting events:', {
+            error: error.message,
+            chatId
+        });
+        throw error;
+    }
+};
+
+const setEventMessage = async (eventId, messageId) => {
+    try {
+        const query = `
+            UPDATE events
+            SET message_id = $2
+            WHERE event_id = $1
+            RETURNING *;
+        `;
+        const result = await pool.query(query, [eventId, messageId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error setting event message:', {
+            error: error.message,
+            eventId,
+            messageId
+        });
+        throw error;
+    }
+};
+
+const deleteEvent = async (eventId) => {
+    try {
+        await pool.query('DELETE FROM event_participants WHERE event_id = $1', [eventId]);
+        const result = await pool.query('DELETE FROM events WHERE event_id = $1 RETURNING *', [eventId]);
+        return result.rows[0];
+    } catch (error) {
+        logger.error('Error deleting event:', {
+            error: error.message,
+            eventId
+        });
+        throw error;
+    }
+};
+
+const getEventParticipants = async (eventId) => {
+    try {
+        const query = `
+            SELECT 
+                ep.*,
+                u.username,
+                u.first_name,
+                u.last_name
+            FROM event_participants ep
+            JOIN users u ON ep.user_id = u.user_id
+            WHERE ep.event_id = $1
+            ORDER BY ep.joined_at ASC;
+        `;
+        const result = await pool.query(query, [eventId]);
+        return result.rows;
+    } catch (error) {
+        logger.error('Error getting event participants:', {
+            error: error.message,
+            eventId
+        });
+        throw error;
+    }
+};
+
+// Run queries in a transaction that holds the event row, so capacity checks
+// and the writes they decide on cannot interleave with other RSVPs
+const withEventLock = async (eventId, callback) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const eventResult = await client.query('SELECT * FROM events WHERE event_id = $1 FOR UPDATE;', [eventId]);
+        const result = await callback(client, eventResult.rows[0]);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Add or change an RSVP. GOING becomes WAITLIST when the event is full; the row
+// comes back with the number of members going and its place on the waitlist.
+const addEventParticipant = async (eventId, userId, status = 'GOING') => {
+    try {
+        return await withEventLock(eventId, async (client, event) => {
+            const query = `
+                INSERT INTO event_participants (event_id, user_id, status)
+                SELECT $1, $2, CASE
+                    WHEN $3::varchar = 'GOING' AND $4::int IS NOT NULL AND (
+                        SELECT COUNT(*) FROM event_participants
+                        WHERE event_id = $1 AND status = 'GOING' AND user_id <> $2
+                    ) >= $4::int THEN 'WAITLIST'
+                    ELSE $3::varchar
+                END
+                ON CONFLICT (event_id, user_id) 
+                DO UPDATE SET
+                    status = EXCLUDED.status,
+                    joined_at = CASE 
+                        WHEN event_participants.status = EXCLUDED.status THEN event_participants.joined_at
+                        ELSE CURRENT_TIMESTAMP
+                    END
+                RETURNING *;
+            `;
+            const result = await client.query(query, [eventId, userId, status, event?.max_participants || null]);
+            const participant = result.rows[0];
+
+            const countsQuery = `
+                SELECT
+                    COUNT(*) FILTER (WHERE status = 'GOING')::int AS going,
+                    COUNT(*) FILTER (WHERE status = 'WAITLIST' AND joined_at <= $2)::int AS waitlist_position
+                FROM event_participants
+                WHERE event_id = $1;
+            `;
+            const counts = await client.query(countsQuery, [eventId, participant.joined_at]);
+            return { ...participant, ...counts.rows[0] };
+        });
+    } catch (error) {
+        logger.error('Error adding event participant:', {
+            error: error.message,
+            eventId,
+            userId,
+            status
+        });
+        throw error;
+    }
+};
+
+// Promote the member who has waited longest, if the event has a free seat
+const promoteWaitlistedParticipant = async (eventId) => {
+    try {
+        return await withEventLock(eventId, async (client, event) => {
+            const query = `
+                UPDATE event_participants
+                SET status = 'GOING',
+                    joined_at = CURRENT_TIMESTAMP
+                WHERE (event_id, user_id) = (
+                    SELECT event_id, user_id
+                    FROM event_participants
+                    WHERE event_id = $1 AND status = 'WAITLIST'
+                    ORDER BY joined_at ASC
+                    LIMIT 1
+                )
+                AND ($2::int IS NULL OR (
+                    SELECT COUNT(*) FROM event_participants
+                    WHERE event_id = $1 AND status = 'GOING'
+                ) < $2::int)
+                RETURNING *;
+            `;
+            const result = await client.query(query, [eventId, event?.max_participants || null]);
+            return result.rows[0];
+        });
+    } catch (error) {
+        logger.error('Error promoting waitlisted participant:', {
             error: error.message,
-            chatId,
-            settings
+            eventId
         });
         throw error;
     }
 };
 
-// Content Moderation
-const addBannedContent = async (content, contentType, severity, addedBy) => {
+const removeEventParticipant = async (eventId, userId) => {
     try {
-        // Validate severity
-        const severityInt = parseInt(severity);
-        if (isNaN(severityInt) || severityInt < 1 || severityInt > 5) {
-            throw new Error('Severity must be a number between 1 and 5');
-        }
-
-        // Validate content type
-        const validTypes = ['WORD', 'PHRASE', 'REGEX', 'LINK'];
-        if (!validTypes.includes(contentType.toUpperCase())) {
-            throw new Error('Invalid content type. Must be one of: ' + validTypes.join(', '));
-        }
-
         const query = `
-            INSERT INTO banned_content (content, content_type, severity, added_by)
-            VALUES ($1, $2, $3, $4)
+            DELETE FROM event_participants
+            WHERE event_id = $1 AND user_id = $2
             RETURNING *;
         `;
-        const result = await pool.query(query, [content, contentType.toUpperCase(), severityInt, addedBy]);
+        const result = await pool.query(query, [eventId, userId]);
         return result.rows[0];
     } catch (error) {
-        logger.error('Error adding banned content:', {
+        logger.error('Error removing event participant:', {
             error: error.message,
-            content,
-            contentType,
-            severity,
-            addedBy
+            eventId,
+            userId
         });
         throw error;
     }
 };
 
-const getBannedContent = async () => {
-    const query = 'SELECT * FROM banned_content ORDER BY severity DESC;';
-    const result = await pool.query(query);
-    return result.rows;
-};
-
-// Custom Commands
-const addCustomCommand = async (command, response, createdBy) => {
+const cancelEventOccurrence = async (eventId) => {
     try {
-        // Validate command format
-        if (!command.startsWith('/')) {
-            throw new Error('Custom commands must start with /');
-        }
-        if (command.length < 2) {
-            throw new Error('Command must be at least 2 characters long');
-        }
-        if (!response || response.trim().length === 0) {
-            throw new Error('Response cannot be empty');
-        }
-
+        // Series occurrences are kept so the generator doesn't create them again
         const query = `
-            INSERT INTO custom_commands (command, response, created_by)
-            VALUES ($1, $2, $3)
-            ON CONFLICT (command) 
-            DO UPDATE SET
-                response = EXCLUDED.response,
-                created_by = EXCLUDED.created_by,
-                updated_at = CURRENT_TIMESTAMP
+            UPDATE events
+            SET cancelled_at = CURRENT_TIMESTAMP,
+                sequence = sequence + 1
+            WHERE event_id = $1
             RETURNING *;
         `;
-        const result = await pool.query(query, [command.toLowerCase(), response, createdBy]);
+        const result = await pool.query(query, [eventId]);
         return result.rows[0];
     } catch (error) {
-        logger.error('Error adding custom command:', {
+        logger.error('Error cancelling event occurrence:', {
             error: error.message,
-            command,
-            createdBy
+            eventId
         });
         throw error;
     }
 };
 
-const getCustomCommand = async (command) => {
-    const query = 'SELECT * FROM custom_commands WHERE command = $1 AND is_active = true;';
-    const result = await pool.query(query, [command]);
-    return result.rows[0];
-};
-
-// Activity Tracking
-const updateUserActivity = async (userId, type) => {
+const rescheduleEvent = async (eventId, startTime, endTime) => {
     try {
-        const today = new Date().toISOString().split('T')[0];
         const query = `
-            INSERT INTO activity_stats (user_id, date, messages_sent, reactions_added, commands_used)
-            VALUES ($1, $2, 
-                CASE WHEN $3 = 'messages_sent' THEN 1 ELSE 0 END,
-                CASE WHEN $3 = 'reaction_added' THEN 1 ELSE 0 END,
-                CASE WHEN $3 = 'command_used' THEN 1 ELSE 0 END
-            )
-            ON CONFLICT (user_id, date)
-            DO UPDATE SET
-                messages_sent = activity_stats.messages_sent + 
-                    CASE WHEN $3 = 'messages_sent' THEN 1 ELSE 0 END,
-                reactions_added = activity_stats.reactions_added + 
-                    CASE WHEN $3 = 'reaction_added' THEN 1 ELSE 0 END,
-                commands_used = activity_stats.commands_used + 
-                    CASE WHEN $3 = 'command_used' THEN 1 ELSE 0 END
+            UPDATE events
+            SET start_time = $2,
+                end_time = $3,
+                sequence = sequence + 1
+            WHERE event_id = $1
             RETURNING *;
         `;
-        const result = await pool.query(query, [userId, today, type]);
+        const result = await pool.query(query, [eventId, startTime, endTime]);
+
+        // Reminders are relative to the start time, so they have to be sent again
+        await pool.query('DELETE FROM event_reminders WHERE event_id = $1', [eventId]);
         return result.rows[0];
     } catch (error) {
-        logger.error('Error updating user activity:', error);
+        logger.error('Error rescheduling event:', {
+            error: error.message,
+            eventId,
+            startTime
+        });
         throw error;
     }
 };
 
-const getTopUsers = async (limit = 10) => {
+// Event Series
+const createEventSeries = async (chatId, title, description, firstStart, durationMinutes, rrule, location, maxParticipants, createdBy) => {
     try {
         const query = `
-            SELECT 
-                u.user_id, 
-                u.username, 
-                u.first_name, 
-                u.last_name,
-                COALESCE(SUM(a.messages_sent), 0) as total_messages,
-                COALESCE(SUM(a.reactions_added), 0) as total_reactions,
-                COALESCE(SUM(a.commands_used), 0) as total_commands
-            FROM users u
-            LEFT JOIN activity_stats a ON u.user_id = a.user_id
-            GROUP BY u.user_id, u.username, u.first_name, u.last_name
-            HAVING COALESCE(SUM(a.messages_sent), 0) > 0
-            ORDER BY total_messages DESC
-            LIMIT $1;
+            INSERT INTO event_series (
+                chat_id,
+                title,
+                description,
+                first_start,
+                duration_minutes,
+                rrule,
+                location,
+                max_participants,
+                created_by
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *;
         `;
-        const result = await pool.query(query, [limit]);
-        return result.rows;
+        const result = await pool.query(query, [
+            chatId,
+            title,
+            description,
+            firstStart,
+            durationMinutes,
+            rrule,
+            location,
+            maxParticipants,
+            createdBy
+        ]);
+        return result.rows[0];
     } catch (error) {
-        logger.error('Error getting top users:', {
+        logger.error('Error creating event series:', {
             error: error.message,
-            limit
+            chatId,
+            title,
+            rrule
         });
         throw error;
     }
 };
 
-const getActiveUsers = async (days = 7) => {
+const getEventSeries = async (seriesId) => {
     try {
-        const query = `
-            SELECT DISTINCT 
-                u.*, 
-                COALESCE(SUM(a.messages_sent), 0) as messages_in_period,
-                COALESCE(SUM(a.reactions_added), 0) as reactions_in_period,
-                COALESCE(SUM(a.commands_used), 0) as commands_in_period,
-                MAX(a.date) as last_active_date
-            FROM users u
-            JOIN activity_stats a ON u.user_id = a.user_id
-            WHERE a.date >= CURRENT_DATE - ($1 || ' days')::interval
-            GROUP BY u.user_id, u.username, u.first_name, u.last_name
-            HAVING COALESCE(SUM(a.messages_sent), 0) > 0
-            ORDER BY last_active_date DESC;
-        `;
-        const result = await pool.query(query, [days]);
-        return result.rows;
+        const query = 'SELECT * FROM event_series WHERE series_id = $1';
+        const result = await pool.query(query, [seriesId]);
+        return result.rows[0];
     } catch (error) {
-        logger.error('Error getting active users:', {
+        logger.error('Error getting event series:', {
             error: error.message,
-            days
+            seriesId
         });
         throw error;
     }
 };
 
-// User Stats
-const calculateUserStats = async (userId) => {
+const getActiveEventSeries = async () => {
     try {
-        const query = `
-            SELECT 
-                SUM(messages_sent) as total_messages,
-                COUNT(DISTINCT date) as active_days,
-                SUM(reactions_added) as total_reactions,
-                SUM(commands_used) as total_commands
-            FROM activity_stats
-            WHERE user_id = $1
-            AND date >= CURRENT_DATE - INTERVAL '30 days'
-        `;
-        const result = await pool.query(query, [userId]);
-        return result.rows[0];
+        const query = 'SELECT * FROM event_series WHERE is_active = true ORDER BY series_id';
+        const result = await pool.query(query);
+        return result.rows;
     } catch (error) {
-        logger.error('Error calculating user stats:', {
-            error: error.message,
-            userId
+        logger.error('Error getting active event series:', {
+            error: error.message
         });
         throw error;
     }
 };
 
-const getUserAchievements = async (userId) => {
+const createEventOccurrence = async (series, startTime, endTime) => {
     try {
+        // Returns nothing when the occurrence already exists
         const query = `
-            SELECT a.* 
-            FROM achievements a
-            JOIN user_achievements ua ON a.achievement_id = ua.achievement_id
-            WHERE ua.user_id = $1
-            ORDER BY ua.awarded_at DESC;
+            INSERT INTO events (
+                chat_id,
+                title,
+                description,
+                start_time,
+                end_time,
+                location,
+                max_participants,
+                series_id,
+                occurrence_start,
+                created_by
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $4, $9)
+            ON CONFLICT (series_id, occurrence_start) DO NOTHING
+            RETURNING *;
         `;
-        const result = await pool.query(query, [userId]);
-        return result.rows;
+        const result = await pool.query(query, [
+            series.chat_id,
+            series.title,
+            series.description,
+            startTime,
+            endTime,
+            series.location,
+            series.max_participants,
+            series.series_id,
+            series.created_by
+        ]);
+        return result.rows[0];
     } catch (error) {
-        logger.error('Error getting user achievements:', {
+        logger.error('Error creating event occurrence:', {
             error: error.message,
-            userId
+            seriesId: series.series_id,
+            startTime
         });
         throw error;
     }
 };
 
-const awardAchievement = async (userId, achievementId) => {
+const endEventSeries = async (seriesId, cancelUpcoming = true) => {
     try {
+        await pool.query('UPDATE event_series SET is_active = false WHERE series_id = $1', [seriesId]);
+        if (!cancelUpcoming) return [];
+
+        // Cancel occurrences that were already created but haven't happened yet
         const query = `
-            INSERT INTO user_achievements (user_id, achievement_id)
-            VALUES ($1, $2)
-            ON CONFLICT (user_id, achievement_id) DO NOTHING
+            UPDATE events
+            SET cancelled_at = CURRENT_TIMESTAMP,
+                sequence = sequence + 1
+            WHERE series_id = $1
+            AND cancelled_at IS NULL
+            AND start_time > NOW()
             RETURNING *;
         `;
-        const result = await pool.query(query, [userId, achievementId]);
-        return result.rows[0];
+        const result = await pool.query(query, [seriesId]);
+        return result.rows;
     } catch (error) {
-        logger.error('Error awarding achievement:', {
+        logger.error('Error ending event series:', {
             error: error.message,
-            userId,
-            achievementId
+            seriesId
         });
         throw error;
     }
 };
 
-const getUserChats = async (userId) => {
+const getDueEventReminders = async (offsets) => {
     try {
+        // Reminders whose time came before the event was created are skipped,
+        // late ones (e.g. after downtime) are still sent until the event starts.
+        // When several are due at once only the closest one is returned, with
+        // the offsets it stands in for in due_offsets.
         const query = `
-            SELECT DISTINCT 
-                m.chat_id,
-                COUNT(*) as message_count,
-                MAX(m.created_at) as last_message_at
-            FROM message_logs m
-            WHERE m.user_id = $1
-            AND NOT m.is_deleted
-            GROUP BY m.chat_id
-            ORDER BY last_message_at DESC;
+            SELECT * FROM (
+                SELECT DISTINCT ON (e.event_id) e.*, o.offset_minutes,
+                    ARRAY_AGG(o.offset_minutes) OVER (PARTITION BY e.event_id) AS due_offsets
+                FROM events e
+                CROSS JOIN UNNEST($1::integer[]) AS o(offset_minutes)
+                WHERE e.chat_id IS NOT NULL
+                AND e.cancelled_at IS NULL
+                AND e.start_time - (o.offset_minutes * interval '1 minute') <= NOW()
+                AND e.start_time - (o.offset_minutes * interval '1 minute') >= e.created_at
+                AND (
+                    (o.offset_minutes > 0 AND e.start_time > NOW())
+                    OR (o.offset_minutes = 0 AND e.start_time >= NOW() - interval '1 hour')
+                )
+                AND NOT EXISTS (
+                    SELECT 1 FROM event_reminders r
+                    WHERE r.event_id = e.event_id
+                    AND r.offset_minutes = o.offset_minutes
+                )
+                ORDER BY e.event_id, o.offset_minutes ASC
+            ) due
+            ORDER BY start_time ASC;
         `;
-        const result = await pool.query(query, [userId]);
+        const result = await pool.query(query, [offsets]);
         return result.rows;
     } catch (error) {
-        logger.error('Error getting user chats:', {
+        logger.error('Error getting due event reminders:', {
             error: error.message,
-            userId
+            offsets
         });
         throw error;
     }
 };
 
-// Events
-const createEvent = async (title, description, startTime, endTime, location, maxParticipants, createdBy) => {
+const markEventReminderSent = async (eventId, offsetMinutes) => {
     try {
+        // Returns nothing when the reminder was already claimed
         const query = `
-            INSERT INTO events (
-                title, 
-                description, 
-                start_time, 
-                end_time, 
-                location,
-                max_participants,
-                created_by
-            )
-            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            INSERT INTO event_reminders (event_id, offset_minutes)
+            VALUES ($1, $2)
+            ON CONFLICT (event_id, offset_minutes) DO NOTHING
             RETURNING *;
         `;
-        const result = await pool.query(query, [
-            title,
-            description,
-            startTime,
-            endTime,
-            location,
-            maxParticipants,
-            createdBy
-        ]);
+        const result = await pool.query(query, [eventId, offsetMinutes]);
         return result.rows[0];
     } catch (error) {
-        logger.error('Error creating event:', {
+        logger.error('Error marking event reminder as sent:', {
             error: error.message,
-            title,
-            createdBy
+            eventId,
+            offsetMinutes
         });
         throw error;
     }
 };
 
-const updateEventParticipation = async (eventId, userId) => {
+// Give a claimed reminder back when it could not be sent, so it is retried
+const releaseEventReminder = async (eventId, offsetMinutes) => {
     try {
         const query = `
-            INSERT INTO event_participants (event_id, user_id)
-            VALUES ($1, $2)
-            ON CONFLICT (event_id, user_id) DO NOTHING
-            RETURNING *;
+            DELETE FROM event_reminders
+            WHERE event_id = $1 AND offset_minutes = $2;
         `;
-        const result = await pool.query(query, [eventId, userId]);
-        return result.rows[0];
+        await pool.query(query, [eventId, offsetMinutes]);
     } catch (error) {
-        logger.error('Error updating event participation:', {
+        logger.error('Error releasing event reminder:', {
             error: error.message,
             eventId,
-            userId
+            offsetMinutes
         });
         throw error;
     }
@@ -694,24 +2611,25 @@ const getExpiredRestrictions = async () => {
                 i.user_id, 
                 i.type, 
                 i.duration, 
-                i.created_at, 
+                i.issued_at, 
                 i.expires_at,
                 u.username, 
                 u.first_name, 
                 u.last_name,
-                m.chat_id
+                i.chat_id
             FROM infractions i
             JOIN users u ON i.user_id = u.user_id
-            JOIN message_logs m ON i.user_id = m.user_id
             WHERE i.type IN ('BAN', 'MUTE')
+            AND i.chat_id IS NOT NULL
             AND i.expires_at <= NOW()
             AND NOT EXISTS (
                 SELECT 1 FROM infractions i2
                 WHERE i2.user_id = i.user_id
+                AND i2.chat_id = i.chat_id
                 AND i2.type = i.type
                 AND i2.expires_at > NOW()
             )
-            ORDER BY i.created_at DESC;
+            ORDER BY i.issued_at DESC;
         `;
         const result = await pool.query(query);
         return result.rows;
@@ -723,26 +2641,24 @@ const getExpiredRestrictions = async () => {
     }
 };
 
-const removeRestriction = async (userId, type) => {
+const removeRestriction = async (userId, chatId, type) => {
     try {
         let query;
         let params;
         if (type === 'BAN') {
             query = `
-                UPDATE users 
-                SET is_banned = false, 
-                    ban_until = null
-                WHERE user_id = $1
+                DELETE FROM chat_bans
+                WHERE user_id = $1 AND chat_id = $2
                 RETURNING *;
             `;
-            params = [userId];
+            params = [userId, chatId];
         } else if (type === 'MUTE') {
             query = `
-                INSERT INTO infractions (user_id, type, reason, action, duration, issued_by)
-                VALUES ($1, $2, 'Restriction expired automatically', 'UNMUTE', 0, NULL)
+                INSERT INTO infractions (user_id, chat_id, type, reason, action, duration, issued_by)
+                VALUES ($1, $2, $3, 'Restriction expired automatically', 'UNMUTE', 0, NULL)
                 RETURNING *;
             `;
-            params = [userId, type];
+            params = [userId, chatId, type];
         } else {
             throw new Error('Invalid restriction type');
         }
@@ -753,6 +2669,7 @@ const removeRestriction = async (userId, type) => {
         logger.error('Error removing restriction:', {
             error: error.message,
             userId,
+            chatId,
             type
         });
         throw error;
@@ -762,16 +2679,11 @@ const removeRestriction = async (userId, type) => {
 const getUserRestrictedChats = async (userId, type) => {
     const query = `
         SELECT DISTINCT chat_id 
-        FROM message_logs 
-        WHERE user_id = $1
-        AND chat_id IN (
-            SELECT DISTINCT m2.chat_id
-            FROM message_logs m2
-            JOIN infractions i ON i.user_id = m2.user_id
-            WHERE i.user_id = $1 
-            AND i.type = $2
-            AND i.created_at >= NOW() - INTERVAL '30 days'
-        )
+        FROM infractions
+        WHERE user_id = $1 
+        AND type = $2
+        AND chat_id IS NOT NULL
+        AND issued_at >= NOW() - INTERVAL '30 days'
     `;
     const result = await pool.query(query, [userId, type]);
     return result.rows;
@@ -781,21 +2693,10 @@ const getUserRestrictedChats = async (userId, type) => {
 const getExpiredBans = async () => {
     try {
         const query = `
-            SELECT DISTINCT u.user_id, m.chat_id
-            FROM users u
-            JOIN infractions i ON u.user_id = i.user_id
-            JOIN message_logs m ON u.user_id = m.user_id
-            WHERE u.is_banned = true
-            AND i.type = 'BAN'
-            AND i.expires_at <= NOW()
-            AND NOT EXISTS (
-                SELECT 1 FROM infractions i2
-                WHERE i2.user_id = i.user_id
-                AND i2.type = 'BAN'
-                AND i2.expires_at > NOW()
-            )
-            GROUP BY u.user_id, m.chat_id
-            ORDER BY u.user_id;
+            SELECT user_id, chat_id
+            FROM chat_bans
+            WHERE banned_until <= NOW()
+            ORDER BY user_id;
         `;
         const result = await pool.query(query);
         return result.rows;
@@ -875,6 +2776,7 @@ const unmuteMember = async (userId, chatId, unmutedBy = null) => {
         // Log the unmute action
         await logInfraction(
             userId,
+            chatId,
             'UNMUTE',
             'Manual unmute' + (unmutedBy ? ' by moderator' : ''),
             'UNMUTE',
@@ -950,6 +2852,7 @@ const muteUser = async (userId, chatId, duration, reason, mutedBy) => {
         // Log the infraction with the integer duration
         const infraction = await logInfraction(
             userId, 
+            chatId,
             'MUTE', 
             reason || 'No reason provided', 
             'MUTE', 
@@ -1076,23 +2979,76 @@ module.exports = {
     // User Management
     saveUser,
     getUserById,
+    getUsersByUsername,
     // Role Management
     assignRole,
     getUserRoles,
     // Ban Management
     banUser,
     unbanUser,
+    getChatBan,
+    networkBanUser,
+    networkUnbanUser,
+    getNetworkBanChats,
+    addNetworkChatBan,
     getBannedUsers,
     getUserBannedChats,
     // Message Logging
     logMessage,
     deleteMessage,
+    getRecentMessageIds,
+    getFirstDeletableMessageId,
     // Infractions
     logInfraction,
     getUserInfractions,
+    countActiveStrikes,
+    getUserWarnings,
+    expireWarnings,
+    revokeInfraction,
+    revokeUserWarnings,
+    restoreInfraction,
     // Group Settings
     getGroupSettings,
     updateGroupSettings,
+    getNightModeChats,
+    setNightModePermissions,
+    // CAPTCHA Challenges
+    createCaptchaChallenge,
+    setCaptchaMessage,
+    getCaptchaChallenge,
+    deleteCaptchaChallenge,
+    getExpiredCaptchaChallenges,
+    // Join Requests
+    createJoinRequest,
+    getJoinRequest,
+    getOpenJoinRequest,
+    getAnsweringJoinRequest,
+    addJoinRequestAnswer,
+    setJoinReviewMessage,
+    decideJoinRequest,
+    getJoinHistory,
+    getJoinBlock,
+    addJoinBlock,
+    removeJoinBlock,
+    // Raids
+    createRaid,
+    getRaid,
+    getActiveRaid,
+    addRaidParticipant,
+    setRaidAlertMessage,
+    markRaidBanned,
+    getExpiredRaids,
+    endRaid,
+    // Welcome messages
+    addWelcomeMessage,
+    takeWelcomeMessages,
+    takeExpiredWelcomeMessages,
+    // Membership history
+    recordMemberJoin,
+    recordMemberLeave,
+    getMembershipStats,
+    getMembershipSummary,
+    getMembershipHistory,
     // Content Moderation
     addBannedContent,
     getBannedContent,
@@ -1107,9 +3063,36 @@ module.exports = {
     getUserAchievements,
     awardAchievement,
     getUserChats,
+    // Birthdays
+    updateUserBirthday,
+    getTodaysBirthdays,
+    markBirthdayGreeted,
+    getChatBirthdays,
+    setBirthdayVisibility,
+    getBirthdayChats,
+    addBirthdayChat,
+    removeBirthdayChat,
     // Events
     createEvent,
-    updateEventParticipation,
+    getEvent,
+    getEvents,
+    setEventMessage,
+    deleteEvent,
+    getEventParticipants,
+    addEventParticipant,
+    promoteWaitlistedParticipant,
+    removeEventParticipant,
+    cancelEventOccurrence,
+    rescheduleEvent,
+    getDueEventReminders,
+    markEventReminderSent,
+    releaseEventReminder,
+    // Event Series
+    createEventSeries,
+    getEventSeries,
+    getActiveEventSeries,
+    createEventOccurrence,
+    endEventSeries,
     // Feedback
     submitFeedback,
     updateFeedbackStatus,
@@ -5,8 +5,12 @@ CREATE TABLE IF NOT EXISTS users (
     first_name VARCHAR(255),
     last_name VARCHAR(255),
     birthday DATE,
+    birthday_year_known BOOLEAN DEFAULT FALSE, -- otherwise the year of birthday is a placeholder
+    birthday_visibility VARCHAR(10) DEFAULT 'ALL', -- ALL, SELECTED, DM
+    birthday_jalali_month SMALLINT, -- set when the birthday was given in the Jalali calendar
+    birthday_jalali_day SMALLINT,
     joined_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    is_banned BOOLEAN DEFAULT FALSE,
+    is_banned BOOLEAN DEFAULT FALSE, -- network-wide ban, chat bans are in chat_bans
     ban_until TIMESTAMP,
     total_messages INTEGER DEFAULT 0,
     total_reactions INTEGER DEFAULT 0,
@@ -43,6 +47,37 @@ CREATE TABLE IF NOT EXISTS group_settings (
     max_warnings INTEGER DEFAULT 3,
     mute_duration INTEGER DEFAULT 60, -- in minutes
     ban_duration INTEGER DEFAULT 1440, -- in minutes
+    calendar VARCHAR(10) DEFAULT 'jalali', -- jalali, gregorian
+    persian_digits BOOLEAN DEFAULT TRUE,
+    birthday_announcements BOOLEAN DEFAULT TRUE,
+    birthday_message TEXT, -- greeting template with {name} and {age}
+    birthday_hour INTEGER DEFAULT 9, -- hour of the day the greetings are sent
+    anti_spam_enabled BOOLEAN DEFAULT TRUE,
+    content_filter_enabled BOOLEAN DEFAULT TRUE,
+    welcome_enabled BOOLEAN DEFAULT TRUE,
+    reaction_actions_enabled BOOLEAN DEFAULT FALSE,
+    escalation_policy TEXT, -- e.g. warn,warn,mute:1h,ban; NULL follows max_warnings
+    warning_expiry_days INTEGER, -- 0 keeps warnings forever, NULL uses the bot default
+    mod_log_chat_id BIGINT, -- channel or group receiving the moderation log
+    locked_types TEXT[] DEFAULT '{}', -- message types deleted from non-admins, see utils/locks.js
+    lock_warnings BOOLEAN DEFAULT FALSE, -- locked messages also earn a warning
+    slow_mode_seconds INTEGER DEFAULT 0, -- members may send one message per this many seconds, 0 is off
+    night_mode VARCHAR(11), -- e.g. 01:00-07:00 in the chat's time zone, NULL is off
+    timezone VARCHAR(64), -- IANA time zone, NULL uses the bot default
+    night_mode_permissions JSONB, -- chat permissions to restore, set while night mode is active
+    captcha_mode VARCHAR(10), -- button, math or emoji; NULL lets new members in unchecked
+    captcha_timeout INTEGER DEFAULT 5, -- minutes a new member has to solve the challenge
+    join_questions TEXT, -- questionnaire for join requests, one question per line
+    raid_threshold INTEGER DEFAULT 0, -- joins within the raid window that start a lockdown, 0 is off
+    raid_window_seconds INTEGER DEFAULT 60,
+    raid_lockdown_minutes INTEGER DEFAULT 30, -- lockdowns end by themselves after this long
+    raid_lock_chat BOOLEAN DEFAULT FALSE, -- lockdowns also close the chat for all members
+    welcome_media_type VARCHAR(10), -- photo or animation sent with the welcome
+    welcome_media_file_id TEXT,
+    welcome_buttons TEXT, -- one "text | url" button per line
+    welcome_replace BOOLEAN DEFAULT FALSE, -- delete the previous welcome when a new one is posted
+    welcome_delete_after INTEGER DEFAULT 0, -- minutes before a welcome deletes itself, 0 keeps it
+    goodbye_message TEXT, -- template for members who leave on their own, NULL sends none
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -82,13 +117,30 @@ CREATE TABLE IF NOT EXISTS user_activity (
 CREATE TABLE IF NOT EXISTS infractions (
     infraction_id SERIAL PRIMARY KEY,
     user_id BIGINT REFERENCES users(user_id),
+    chat_id BIGINT, -- NULL for network-wide actions
     type VARCHAR(50), -- WARN, MUTE, BAN
     reason TEXT,
     action VARCHAR(50),
     duration VARCHAR(50),
     issued_by BIGINT REFERENCES users(user_id),
     issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    expires_at TIMESTAMP
+    expires_at TIMESTAMP, -- end of a restriction, or when a warning stops counting
+    is_expired BOOLEAN DEFAULT FALSE, -- set by the scheduler once a warning has expired
+    revoked_by BIGINT REFERENCES users(user_id), -- revoked infractions are kept for the audit trail
+    revoked_at TIMESTAMP,
+    revoke_reason TEXT
+);
+
+-- Bans per chat; network-wide bans add a row for every known group
+CREATE TABLE IF NOT EXISTS chat_bans (
+    user_id BIGINT REFERENCES users(user_id),
+    chat_id BIGINT,
+    banned_until TIMESTAMP, -- NULL for permanent bans
+    reason TEXT,
+    banned_by BIGINT REFERENCES users(user_id),
+    is_network BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, chat_id)
 );
 
 -- Polls
@@ -112,15 +164,37 @@ CREATE TABLE IF NOT EXISTS poll_votes (
     PRIMARY KEY (poll_id, user_id)
 );
 
+-- Recurring event series; occurrences are materialized into events
+CREATE TABLE IF NOT EXISTS event_series (
+    series_id SERIAL PRIMARY KEY,
+    chat_id BIGINT NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    location VARCHAR(255),
+    max_participants INTEGER,
+    first_start TIMESTAMP NOT NULL,
+    duration_minutes INTEGER,
+    rrule TEXT NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by BIGINT REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Events
 CREATE TABLE IF NOT EXISTS events (
     event_id SERIAL PRIMARY KEY,
+    chat_id BIGINT,
+    message_id BIGINT, -- the event card posted in the group
     title VARCHAR(255) NOT NULL,
     description TEXT,
     start_time TIMESTAMP NOT NULL,
     end_time TIMESTAMP,
     location VARCHAR(255),
     max_participants INTEGER,
+    series_id INTEGER REFERENCES event_series(series_id),
+    occurrence_start TIMESTAMP, -- original slot of a series occurrence, kept when rescheduled
+    cancelled_at TIMESTAMP,
+    sequence INTEGER DEFAULT 0, -- iCalendar revision, bumped on every change
     created_by BIGINT REFERENCES users(user_id),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -129,10 +203,34 @@ CREATE TABLE IF NOT EXISTS events (
 CREATE TABLE IF NOT EXISTS event_participants (
     event_id INTEGER REFERENCES events(event_id),
     user_id BIGINT REFERENCES users(user_id),
+    status VARCHAR(20) DEFAULT 'GOING', -- GOING, MAYBE, WAITLIST
     joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     PRIMARY KEY (event_id, user_id)
 );
 
+-- Event reminders already sent (offset 0 is the "starting now" notice)
+CREATE TABLE IF NOT EXISTS event_reminders (
+    event_id INTEGER REFERENCES events(event_id) ON DELETE CASCADE,
+    offset_minutes INTEGER,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (event_id, offset_minutes)
+);
+
+-- Birthday greetings already sent, one per user, group and day
+CREATE TABLE IF NOT EXISTS birthday_greetings (
+    user_id BIGINT REFERENCES users(user_id),
+    chat_id BIGINT,
+    greeted_on DATE,
+    PRIMARY KEY (user_id, chat_id, greeted_on)
+);
+
+-- Groups a member shows their birthday in when its visibility is SELECTED
+CREATE TABLE IF NOT EXISTS birthday_chats (
+    user_id BIGINT REFERENCES users(user_id),
+    chat_id BIGINT,
+    PRIMARY KEY (user_id, chat_id)
+);
+
 -- Feedback
 CREATE TABLE IF NOT EXISTS feedback (
     feedback_id SERIAL PRIMARY KEY,
@@ -164,14 +262,163 @@ CREATE TABLE IF NOT EXISTS activity_stats (
     UNIQUE(user_id, date)
 );
 
+-- Verification challenges of new members, removed once solved, failed or expired
+CREATE TABLE IF NOT EXISTS captcha_challenges (
+    challenge_id SERIAL PRIMARY KEY,
+    chat_id BIGINT NOT NULL,
+    user_id BIGINT REFERENCES users(user_id),
+    mode VARCHAR(10) NOT NULL,
+    answer VARCHAR(32) NOT NULL,
+    message_id BIGINT, -- the challenge message, deleted afterwards
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(chat_id, user_id)
+);
+
+-- Join requests with the applicant's answers to the chat's questionnaire
+CREATE TABLE IF NOT EXISTS join_requests (
+    request_id SERIAL PRIMARY KEY,
+    chat_id BIGINT NOT NULL,
+    user_id BIGINT REFERENCES users(user_id),
+    user_chat_id BIGINT, -- private chat the questionnaire is asked in
+    questions JSONB DEFAULT '[]', -- the questionnaire when the request came in
+    answers JSONB DEFAULT '[]',
+    status VARCHAR(20) DEFAULT 'ANSWERING', -- ANSWERING, PENDING, APPROVED, DECLINED
+    review_message_id BIGINT, -- entry in the mod log chat with the approval buttons
+    decided_by BIGINT REFERENCES users(user_id),
+    decided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Users whose join requests a chat declines without asking
+CREATE TABLE IF NOT EXISTS join_blocklist (
+    chat_id BIGINT,
+    user_id BIGINT,
+    reason TEXT,
+    added_by BIGINT REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (chat_id, user_id)
+);
+
+-- Raids with their participants, a raid without ended_at is an active lockdown
+CREATE TABLE IF NOT EXISTS raids (
+    raid_id SERIAL PRIMARY KEY,
+    chat_id BIGINT NOT NULL,
+    user_ids BIGINT[] DEFAULT '{}',
+    lockdown_until TIMESTAMP NOT NULL,
+    saved_permissions JSONB, -- chat permissions to restore when the chat was closed
+    alert_message_id BIGINT, -- message listing the participants
+    banned_at TIMESTAMP,
+    ended_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Welcomes still to be replaced or deleted after a while
+CREATE TABLE IF NOT EXISTS welcome_messages (
+    chat_id BIGINT NOT NULL,
+    message_id BIGINT NOT NULL,
+    delete_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (chat_id, message_id)
+);
+
+-- Memberships of members in chats. joined_at is unknown for members who
+-- joined before the bot kept track, added_by and removed_by are NULL when
+-- the member joined or left on their own.
+CREATE TABLE IF NOT EXISTS chat_memberships (
+    membership_id SERIAL PRIMARY KEY,
+    chat_id BIGINT NOT NULL,
+    user_id BIGINT REFERENCES users(user_id),
+    joined_at TIMESTAMP,
+    added_by BIGINT,
+    left_at TIMESTAMP,
+    removed_by BIGINT
+);
+
+-- Bring tables created by older versions up to date
+ALTER TABLE infractions ADD COLUMN IF NOT EXISTS chat_id BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS birthday_year_known BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS birthday_visibility VARCHAR(10) DEFAULT 'ALL';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS birthday_jalali_month SMALLINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS birthday_jalali_day SMALLINT;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS calendar VARCHAR(10) DEFAULT 'jalali';
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS persian_digits BOOLEAN DEFAULT TRUE;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS birthday_announcements BOOLEAN DEFAULT TRUE;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS birthday_message TEXT;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS birthday_hour INTEGER DEFAULT 9;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS anti_spam_enabled BOOLEAN DEFAULT TRUE;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS content_filter_enabled BOOLEAN DEFAULT TRUE;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS welcome_enabled BOOLEAN DEFAULT TRUE;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS reaction_actions_enabled BOOLEAN DEFAULT FALSE;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS escalation_policy TEXT;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS warning_expiry_days INTEGER;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS mod_log_chat_id BIGINT;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS locked_types TEXT[] DEFAULT '{}';
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS lock_warnings BOOLEAN DEFAULT FALSE;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS slow_mode_seconds INTEGER DEFAULT 0;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS night_mode VARCHAR(11);
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS night_mode_permissions JSONB;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS captcha_mode VARCHAR(10);
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS captcha_timeout INTEGER DEFAULT 5;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS join_questions TEXT;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS raid_threshold INTEGER DEFAULT 0;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS raid_window_seconds INTEGER DEFAULT 60;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS raid_lockdown_minutes INTEGER DEFAULT 30;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS raid_lock_chat BOOLEAN DEFAULT FALSE;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS welcome_media_type VARCHAR(10);
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS welcome_media_file_id TEXT;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS welcome_buttons TEXT;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS welcome_replace BOOLEAN DEFAULT FALSE;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS welcome_delete_after INTEGER DEFAULT 0;
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS goodbye_message TEXT;
+ALTER TABLE infractions ADD COLUMN IF NOT EXISTS is_expired BOOLEAN DEFAULT FALSE;
+ALTER TABLE infractions ADD COLUMN IF NOT EXISTS revoked_by BIGINT REFERENCES users(user_id);
+ALTER TABLE infractions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+ALTER TABLE infractions ADD COLUMN IF NOT EXISTS revoke_reason TEXT;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS chat_id BIGINT;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS message_id BIGINT;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES event_series(series_id);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS occurrence_start TIMESTAMP;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS sequence INTEGER DEFAULT 0;
+ALTER TABLE event_participants ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'GOING';
+
+-- Older versions set users.is_banned for ordinary bans in a single group, it
+-- now marks network-wide bans only. The group of those bans was never
+-- recorded, so the flag is cleared; the bans stay in place in Telegram.
+-- Network bans always leave a NETWORK_BAN infraction and are kept.
+UPDATE users
+SET is_banned = FALSE, ban_until = NULL
+WHERE is_banned
+AND NOT EXISTS (
+    SELECT 1 FROM infractions
+    WHERE infractions.user_id = users.user_id
+    AND infractions.type = 'NETWORK_BAN'
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_messages_user_id ON messages(user_id);
 CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON messages(chat_id);
 CREATE INDEX IF NOT EXISTS idx_message_logs_user_id ON message_logs(user_id);
 CREATE INDEX IF NOT EXISTS idx_message_logs_chat_id ON message_logs(chat_id);
+CREATE INDEX IF NOT EXISTS idx_users_username ON users(LOWER(username));
 CREATE INDEX IF NOT EXISTS idx_infractions_user_id ON infractions(user_id);
+CREATE INDEX IF NOT EXISTS idx_infractions_chat_user ON infractions(chat_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_infractions_expires_at ON infractions(expires_at) WHERE NOT is_expired;
+CREATE INDEX IF NOT EXISTS idx_captcha_challenges_expires_at ON captcha_challenges(expires_at);
+CREATE INDEX IF NOT EXISTS idx_join_requests_user ON join_requests(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_raids_active ON raids(chat_id) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_welcome_messages_delete_at ON welcome_messages(delete_at);
+CREATE INDEX IF NOT EXISTS idx_chat_memberships_user ON chat_memberships(chat_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_chat_memberships_joined_at ON chat_memberships(chat_id, joined_at);
+CREATE INDEX IF NOT EXISTS idx_chat_memberships_left_at ON chat_memberships(chat_id, left_at);
+CREATE INDEX IF NOT EXISTS idx_chat_bans_banned_until ON chat_bans(banned_until);
 CREATE INDEX IF NOT EXISTS idx_poll_votes_poll_id ON poll_votes(poll_id);
 CREATE INDEX IF NOT EXISTS idx_event_participants_event_id ON event_participants(event_id);
+CREATE INDEX IF NOT EXISTS idx_events_chat_id ON events(chat_id);
+CREATE INDEX IF NOT EXISTS idx_events_start_time ON events(start_time);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_series_occurrence ON events(series_id, occurrence_start);
 CREATE INDEX IF NOT EXISTS idx_user_activity_user_id ON user_activity(user_id);
 CREATE INDEX IF NOT EXISTS idx_muted_users_user_id ON muted_users(user_id);
 CREATE INDEX IF NOT EXISTS idx_muted_users_chat_id ON muted_users(chat_id);
@@ -186,6 +433,7 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+DROP TRIGGER IF EXISTS update_group_settings_updated_at ON group_settings;
 CREATE TRIGGER update_group_settings_updated_at
     BEFORE UPDATE ON group_settings
     FOR EACH ROW
@@ -1,6 +1,15 @@
 const config = require('../config/config');
 const queries = require('../database/queries');
 const { logger } = require('../utils/logger');
+const eventManager = require('../utils/eventManager');
+const { isAdmin } = require('../utils/permissions');
+const { FEATURE_TOGGLES, STEPPERS, getStepperValue, buildSettingsPanel } = require('../utils/settingsPanel');
+const { UNDOABLE_SETTINGS, logModAction } = require('../utils/modLog');
+const { formatUsername } = require('../utils/formatter');
+const { passChallenge, failChallenge } = require('../utils/captcha');
+const { sendWelcome } = require('./memberHandler');
+const { applyJoinDecision } = require('./joinRequestHandler');
+const { endLockdown, banRaidParticipants } = require('../utils/antiRaid');
 
 async function handleCallback(bot, callbackQuery) {
     try {
@@ -21,16 +30,38 @@ async function handleCallback(bot, callbackQuery) {
                 break;
 
             case 'event':
-                await handleEventCallback(bot, chatId, userId, params);
-                break;
+                // Answers the callback query itself with the RSVP result
+                await handleEventCallback(bot, callbackQuery, params);
+                return;
 
             case 'poll':
                 await handlePollCallback(bot, chatId, userId, params);
                 break;
 
             case 'settings':
-                await handleSettingsCallback(bot, chatId, userId, params);
-                break;
+                // Answers the callback query itself, with an alert for non-admins
+                await handleSettingsCallback(bot, callbackQuery, params);
+                return;
+
+            case 'modlog':
+                // Undo buttons of mod log entries, answers the callback query itself
+                await handleModLogCallback(bot, callbackQuery, params);
+                return;
+
+            case 'captcha':
+                // Verification of new members, answers the callback query itself
+                await handleCaptchaCallback(bot, callbackQuery, params);
+                return;
+
+            case 'joinreq':
+                // Approval buttons of join requests in the mod log chat, answers the callback query itself
+                await handleJoinRequestCallback(bot, callbackQuery, params);
+                return;
+
+            case 'raid':
+                // Buttons of raid alerts, answers the callback query itself
+                await handleRaidCallback(bot, callbackQuery, params);
+                return;
 
             default:
                 logger.warn(`Unknown callback action: ${action}`);
@@ -81,6 +112,7 @@ General Commands:
 User Commands:
 /me - View your profile
 /birthday - Set your birthday
+/birthdays - Upcoming birthdays in this chat
 
 Event Commands:
 /event_join - Join an event
@@ -99,35 +131,58 @@ Need more help? Contact an admin!
     }
 }
 
-async function handleEventCallback(bot, chatId, userId, params) {
+async function handleEventCallback(bot, callbackQuery, params) {
+    const [action, eventId] = params;
+    const userId = callbackQuery.from.id;
+
     try {
-        const [action, eventId] = params;
-        
+        // Make sure the user exists before referencing it from event_participants
+        await queries.saveUser(
+            userId,
+            callbackQuery.from.username,
+            callbackQuery.from.first_name,
+            callbackQuery.from.last_name
+        );
+
+        let result;
+        let text;
         switch (action) {
             case 'join':
-                await queries.updateEventParticipation(eventId, userId, 'GOING');
-                await bot.sendMessage(chatId, '✅ You have joined the event!', {
-                    reply_to_message_id: userId
-                });
+                result = await eventManager.joinEvent(eventId, userId, 'GOING');
+                text = result.status === 'WAITLIST'
+                    ? `⏳ The event is full. You are #${result.waitlistPosition} on the waitlist.`
+                    : '✅ You have joined the event!';
                 break;
 
             case 'maybe':
-                await queries.updateEventParticipation(eventId, userId, 'MAYBE');
-                await bot.sendMessage(chatId, '🤔 You might attend the event.', {
-                    reply_to_message_id: userId
-                });
+                result = await eventManager.joinEvent(eventId, userId, 'MAYBE');
+                text = '🤔 You might attend the event.';
                 break;
 
             case 'leave':
-                await queries.updateEventParticipation(eventId, userId, 'NOT_GOING');
-                await bot.sendMessage(chatId, '❌ You have left the event.', {
-                    reply_to_message_id: userId
-                });
+                result = await eventManager.leaveEvent(eventId, userId);
+                text = '❌ You have left the event.';
                 break;
+
+            default:
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'This button is no longer active.'
+                });
+                return;
         }
+
+        await eventManager.announceRsvpChange(bot, result.event, result.promoted);
+        await bot.answerCallbackQuery(callbackQuery.id, { text });
     } catch (error) {
-        logger.error('Error handling event callback:', error);
-        throw error;
+        logger.error('Error handling event callback:', {
+            error: error.message,
+            eventId,
+            userId
+        });
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: error.message,
+            show_alert: true
+        });
     }
 }
 
@@ -161,55 +216,401 @@ async function handlePollCallback(bot, chatId, userId, params) {
     }
 }
 
-async function handleSettingsCallback(bot, chatId, userId, params) {
+async function handleSettingsCallback(bot, callbackQuery, params) {
+    const chatId = callbackQuery.message.chat.id;
+    const messageId = callbackQuery.message.message_id;
+    const userId = callbackQuery.from.id;
+    const [target, action] = params;
+
     try {
-        // Check if user is admin
-        if (!await isAdmin(userId, chatId)) {
-            await bot.sendMessage(chatId, '⚠️ You do not have permission to change settings.', {
-                reply_to_message_id: userId
+        if (!await isAdmin(userId, chatId, bot)) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: '⚠️ Only chat admins can change settings.',
+                show_alert: true
             });
             return;
         }
 
-        const [setting, value] = params;
-        const settings = await queries.getGroupSettings(chatId);
-        
-        switch (setting) {
-            case 'welcome':
-                await queries.updateGroupSettings(chatId, {
-                    ...settings,
-                    welcome_message: value
+        if (target === 'close') {
+            await bot.deleteMessage(chatId, messageId);
+            await bot.answerCallbackQuery(callbackQuery.id);
+            return;
+        }
+
+        let settings = await queries.getGroupSettings(chatId);
+        let menu = 'main';
+        let text;
+
+        if (target === 'toggle' && FEATURE_TOGGLES[action]) {
+            const toggle = FEATURE_TOGGLES[action];
+            const enabled = !(settings?.[toggle.column] ?? toggle.default);
+            settings = await queries.updateGroupSettings(chatId, { [toggle.param]: enabled });
+            await logModAction(bot, {
+                chat: callbackQuery.message.chat,
+                action: 'SETTINGS',
+                actor: callbackQuery.from,
+                details: `${toggle.label}: ${enabled ? 'فعال' : 'غیرفعال'}`,
+                undoSetting: { param: toggle.param, value: !enabled }
+            });
+            text = `${toggle.label}: ${enabled ? 'on' : 'off'}`;
+            if (!config[toggle.flag]) {
+                text += ' (disabled in the bot configuration)';
+            }
+        } else if (target === 'menu') {
+            menu = STEPPERS[action] ? action : 'main';
+        } else if (STEPPERS[target] && ['inc', 'dec'].includes(action)) {
+            const stepper = STEPPERS[target];
+            const current = getStepperValue(settings, target);
+            const value = Math.min(stepper.max, Math.max(stepper.min, current + (action === 'inc' ? 1 : -1)));
+            menu = target;
+            if (value === current) {
+                text = `Limit reached (${stepper.min}-${stepper.max}).`;
+            } else {
+                settings = await queries.updateGroupSettings(chatId, { [stepper.param]: value });
+                await logModAction(bot, {
+                    chat: callbackQuery.message.chat,
+                    action: 'SETTINGS',
+                    actor: callbackQuery.from,
+                    details: `${stepper.label}: ${current} ← ${value}`,
+                    undoSetting: { param: stepper.param, value: current }
                 });
+            }
+        } else if (target !== 'noop') {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: 'This button is no longer active.'
+            });
+            return;
+        }
+
+        if (target !== 'noop') {
+            const panel = buildSettingsPanel(settings, menu);
+            await bot.editMessageText(panel.text, {
+                chat_id: chatId,
+                message_id: messageId,
+                reply_markup: panel.reply_markup
+            }).catch(error => {
+                // Pressing a limit or the current menu again changes nothing
+                if (!error.message.includes('message is not modified')) throw error;
+            });
+        }
+
+        logger.info('Settings panel used', { chatId, userId, target, action });
+        await bot.answerCallbackQuery(callbackQuery.id, text ? { text } : {});
+    } catch (error) {
+        logger.error('Error handling settings callback:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: 'Could not update the settings. Please try again.',
+            show_alert: true
+        });
+    }
+}
+
+async function handleModLogCallback(bot, callbackQuery, params) {
+    const [operation, targetChatId, arg, value] = params;
+    const chatId = Number(targetChatId);
+    const userId = callbackQuery.from.id;
+
+    try {
+        // Network bans are the bot owner's, like !gban and !ungban
+        if (operation === 'ungban' && String(userId) !== String(config.adminUserId)) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: '⚠️ Only the bot owner can lift network bans.',
+                show_alert: true
+            });
+            return;
+        }
+
+        // The buttons live in the log chat, but act on the moderated group
+        if (operation !== 'ungban' && !await isAdmin(userId, chatId, bot)) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: '⚠️ Only admins of the moderated chat can undo actions.',
+                show_alert: true
+            });
+            return;
+        }
+
+        await queries.saveUser(
+            userId,
+            callbackQuery.from.username,
+            callbackQuery.from.first_name,
+            callbackQuery.from.last_name
+        );
+
+        let text;
+        switch (operation) {
+            case 'unban':
+                await queries.unbanUser(Number(arg), chatId);
+                await bot.unbanChatMember(chatId, Number(arg), { only_if_banned: true });
+                text = 'User unbanned.';
                 break;
 
-            case 'rules':
-                await queries.updateGroupSettings(chatId, {
-                    ...settings,
-                    rules: value
-                });
+            case 'reban':
+                await queries.banUser(Number(arg), chatId, 'Unban undone from the mod log', null, userId);
+                await bot.banChatMember(chatId, Number(arg));
+                text = 'User banned again.';
                 break;
 
-            case 'spam':
-                await queries.updateGroupSettings(chatId, {
-                    ...settings,
-                    spam_sensitivity: parseInt(value)
+            case 'unmute':
+                await bot.restrictChatMember(chatId, Number(arg), {
+                    can_send_messages: true,
+                    can_send_media_messages: true,
+                    can_send_other_messages: true,
+                    can_add_web_page_previews: true
                 });
+                text = 'User unmuted.';
                 break;
 
-            case 'warnings':
-                await queries.updateGroupSettings(chatId, {
-                    ...settings,
-                    max_warnings: parseInt(value)
-                });
+            case 'revoke': {
+                const revoked = await queries.revokeInfraction(Number(arg), chatId, userId, 'Undone from the mod log');
+                text = revoked ? 'Infraction revoked.' : 'The infraction was already revoked.';
+                break;
+            }
+
+            case 'ungban': {
+                const chats = await queries.networkUnbanUser(Number(arg), userId);
+                await Promise.all(chats.map(({ chat_id: bannedChatId }) =>
+                    bot.unbanChatMember(bannedChatId, Number(arg), { only_if_banned: true }).catch(error =>
+                        logger.error('Error lifting network ban in chat:', {
+                            error: error.message,
+                            chatId: bannedChatId,
+                            targetId: Number(arg)
+                        })
+                    )
+                ));
+                text = `Network ban lifted in ${chats.length} chats.`;
+                break;
+            }
+
+            case 'restore': {
+                const restored = await queries.restoreInfraction(Number(arg), chatId);
+                text = restored ? 'Infraction restored.' : 'The infraction is not revoked.';
+                break;
+            }
+
+            case 'setting':
+                if (!UNDOABLE_SETTINGS[arg]) {
+                    await bot.answerCallbackQuery(callbackQuery.id, {
+                        text: 'This button is no longer active.'
+                    });
+                    return;
+                }
+                await queries.updateGroupSettings(chatId, { [arg]: UNDOABLE_SETTINGS[arg](value) });
+                text = 'Setting restored.';
                 break;
+
+            default:
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'This button is no longer active.'
+                });
+                return;
         }
 
-        await bot.sendMessage(chatId, '✅ Settings updated successfully!', {
-            reply_to_message_id: userId
+        logger.info('Mod log action undone', { chatId, userId, operation, arg });
+
+        // Record the undo on the entry; other buttons of the entry stay available
+        const keyboard = (callbackQuery.message.reply_markup?.inline_keyboard || [])
+            .map(row => row.filter(button => button.callback_data !== callbackQuery.data))
+            .filter(row => row.length > 0);
+        await bot.editMessageText(`${callbackQuery.message.text}\n\n↩️ ${formatUsername(callbackQuery.from)}: ${text}`, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            disable_web_page_preview: true,
+            reply_markup: { inline_keyboard: keyboard }
         });
+        await bot.answerCallbackQuery(callbackQuery.id, { text });
     } catch (error) {
-        logger.error('Error handling settings callback:', error);
-        throw error;
+        logger.error('Error handling mod log callback:', {
+            error: error.message,
+            chatId,
+            userId,
+            operation
+        });
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: 'Could not undo the action. Please try again.',
+            show_alert: true
+        });
+    }
+}
+
+async function handleCaptchaCallback(bot, callbackQuery, params) {
+    const [memberId, value] = params;
+    const chatId = callbackQuery.message.chat.id;
+    const userId = callbackQuery.from.id;
+
+    try {
+        if (Number(memberId) !== userId) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: 'This challenge is for another member.',
+                show_alert: true
+            });
+            return;
+        }
+
+        // Deleting claims the challenge, the expiry job may have taken it already
+        const challenge = await queries.getCaptchaChallenge(chatId, userId);
+        const claimed = challenge && await queries.deleteCaptchaChallenge(challenge.challenge_id);
+        if (!claimed) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: 'This challenge is no longer active.'
+            });
+            return;
+        }
+
+        if (value !== claimed.answer || new Date(claimed.expires_at) <= new Date()) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: 'Wrong answer. You can join again and retry.',
+                show_alert: true
+            });
+            await failChallenge(bot, claimed, 'پاسخ نادرست به کپچا');
+            return;
+        }
+
+        await passChallenge(bot, claimed);
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: 'Verified, welcome!'
+        });
+        await sendWelcome(bot, callbackQuery.message.chat, callbackQuery.from, await queries.getGroupSettings(chatId));
+    } catch (error) {
+        logger.error('Error handling CAPTCHA callback:', {
+            error: error.message,
+            chatId,
+            userId
+        });
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: 'An error occurred. Please try again.',
+            show_alert: true
+        });
+    }
+}
+
+async function handleJoinRequestCallback(bot, callbackQuery, params) {
+    const [operation, requestId] = params;
+    const userId = callbackQuery.from.id;
+
+    try {
+        const request = await queries.getJoinRequest(Number(requestId));
+        if (!request) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: 'This join request no longer exists.'
+            });
+            return;
+        }
+
+        // The buttons live in the log chat, but decide on the group
+        if (!await isAdmin(userId, request.chat_id, bot)) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: '⚠️ Only admins of the group can decide join requests.',
+                show_alert: true
+            });
+            return;
+        }
+
+        await queries.saveUser(
+            userId,
+            callbackQuery.from.username,
+            callbackQuery.from.first_name,
+            callbackQuery.from.last_name
+        );
+
+        const approve = operation === 'approve';
+        const decided = await queries.decideJoinRequest(request.request_id, approve ? 'APPROVED' : 'DECLINED', userId);
+        if (!decided) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: 'This join request was already decided.'
+            });
+            return;
+        }
+
+        const chat = await bot.getChat(request.chat_id);
+        await applyJoinDecision(bot, decided, approve, chat.title || String(request.chat_id));
+        if (operation === 'block') {
+            await queries.addJoinBlock(request.chat_id, request.user_id, null, userId);
+        }
+
+        const outcome = approve ? '✅ پذیرفته شد' : operation === 'block' ? '🚫 رد و مسدود شد' : '❌ رد شد';
+        await bot.editMessageText(`${callbackQuery.message.text}\n\nنتیجه: ${outcome} توسط ${formatUsername(callbackQuery.from)}`, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id
+        });
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: approve ? 'Join request approved.' : 'Join request declined.'
+        });
+        logger.info(`Join request ${request.request_id} ${approve ? 'approved' : 'declined'} by ${userId}`);
+    } catch (error) {
+        logger.error('Error deciding join request:', {
+            error: error.message,
+            requestId,
+            userId,
+            operation
+        });
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: 'Could not decide the join request, it may have been handled in Telegram already.',
+            show_alert: true
+        });
+    }
+}
+
+async function handleRaidCallback(bot, callbackQuery, params) {
+    const [operation, raidId] = params;
+    const userId = callbackQuery.from.id;
+
+    try {
+        const raid = await queries.getRaid(Number(raidId));
+        if (!raid) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: 'This raid no longer exists.'
+            });
+            return;
+        }
+
+        if (!await isAdmin(userId, raid.chat_id, bot)) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: '⚠️ Only admins can act on a raid.',
+                show_alert: true
+            });
+            return;
+        }
+
+        await queries.saveUser(
+            userId,
+            callbackQuery.from.username,
+            callbackQuery.from.first_name,
+            callbackQuery.from.last_name
+        );
+
+        if (operation === 'ban') {
+            const result = await banRaidParticipants(bot, raid, callbackQuery.from);
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: result
+                    ? `Banned ${result.banned} members${result.failed > 0 ? `, ${result.failed} failed` : ''}.`
+                    : 'The raid members were already banned.',
+                show_alert: Boolean(result)
+            });
+        } else if (operation === 'end') {
+            const ended = await endLockdown(bot, raid, callbackQuery.from);
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: ended ? 'Lockdown ended.' : 'The lockdown has already ended.'
+            });
+        } else {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: 'This button is no longer active.'
+            });
+        }
+    } catch (error) {
+        logger.error('Error handling raid button:', {
+            error: error.message,
+            raidId,
+            userId,
+            operation
+        });
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: 'Could not complete the action. Please try again.',
+            show_alert: true
+        });
     }
 }
 
@@ -0,0 +1,184 @@
+const config = require('../config/config');
+const queries = require('../database/queries');
+const { logger } = require('../utils/logger');
+const { formatUsername } = require('../utils/formatter');
+const { logModAction } = require('../utils/modLog');
+
+/**
+ * Get the questionnaire of a chat
+ * @param {Object} settings Group settings row
+ * @returns {Array<string>} Questions, empty when the chat has none
+ */
+function getJoinQuestions(settings) {
+    return (settings?.join_questions || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// Approve or decline a request on Telegram and tell the applicant
+async function applyJoinDecision(bot, request, approve, chatTitle) {
+    if (approve) {
+        await bot.approveChatJoinRequest(request.chat_id, request.user_id);
+    } else {
+        await bot.declineChatJoinRequest(request.chat_id, request.user_id);
+    }
+
+    if (request.user_chat_id) {
+        const text = approve
+            ? `✅ درخواست عضویت شما در «${chatTitle}» پذیرفته شد. خوش آمدید!`
+            : `درخواست عضویت شما در «${chatTitle}» پذیرفته نشد.`;
+        // The applicant may have blocked the bot
+        await bot.sendMessage(request.user_chat_id, text).catch(() => {});
+    }
+}
+
+// Post a request with its answers to the mod log chat for the admins to decide
+async function postForReview(bot, request) {
+    const settings = await queries.getGroupSettings(request.chat_id);
+    if (!settings?.mod_log_chat_id) {
+        logger.warn('Join request left for review in Telegram, the chat has no mod log', {
+            chatId: request.chat_id,
+            userId: request.user_id
+        });
+        return;
+    }
+
+    const [chat, user, memberships] = await Promise.all([
+        bot.getChat(request.chat_id),
+        queries.getUserById(request.user_id),
+        queries.getMembershipSummary(request.chat_id, request.user_id, config.repeatJoinDays)
+    ]);
+    const applicant = { id: request.user_id, username: user?.username, first_name: user?.first_name, last_name: user?.last_name };
+    const lines = [
+        '#JOIN_REQUEST 📝 درخواست عضویت',
+        `گروه: ${chat.title || request.chat_id} (${request.chat_id})`,
+        `کاربر: ${formatUsername(applicant)} (${request.user_id})`
+    ];
+    if (memberships.joins > 0 || memberships.leaves > 0) {
+        lines.push(`سابقه: ${memberships.joins} ورود و ${memberships.leaves} خروج` +
+            (memberships.recent_joins >= config.repeatJoinCount ? ' 🔁 ورود و خروج مکرر' : ''));
+    }
+    request.questions.forEach((question, index) => {
+        lines.push('', `${index + 1}. ${question}`, `پاسخ: ${request.answers[index] ?? '—'}`);
+    });
+
+    const sent = await bot.sendMessage(settings.mod_log_chat_id, lines.join('\n'), {
+        reply_markup: {
+            inline_keyboard: [[
+                { text: '✅ پذیرش', callback_data: `joinreq_approve_${request.request_id}` },
+                { text: '❌ رد', callback_data: `joinreq_decline_${request.request_id}` },
+                { text: '🚫 رد و مسدود', callback_data: `joinreq_block_${request.request_id}` }
+            ]]
+        }
+    });
+    await queries.setJoinReviewMessage(request.request_id, sent.message_id);
+}
+
+// Decide a request without the admins, for blocklisted and returning members
+async function decideAutomatically(bot, joinRequest, approve, reason) {
+    const request = await queries.createJoinRequest(joinRequest.chat.id, joinRequest.from.id, joinRequest.user_chat_id, []);
+    await queries.decideJoinRequest(request.request_id, approve ? 'APPROVED' : 'DECLINED', null);
+    await applyJoinDecision(bot, request, approve, joinRequest.chat.title);
+
+    await logModAction(bot, {
+        chat: joinRequest.chat,
+        action: approve ? 'JOIN_APPROVED' : 'JOIN_DECLINED',
+        target: joinRequest.from,
+        reason
+    });
+    logger.info(`Join request of ${joinRequest.from.id} in chat ${joinRequest.chat.id} ${approve ? 'approved' : 'declined'} automatically`);
+}
+
+async function handleJoinRequest(bot, joinRequest) {
+    const chatId = joinRequest.chat.id;
+    const user = joinRequest.from;
+
+    try {
+        await queries.saveUser(user.id, user.username, user.first_name, user.last_name);
+
+        if (await queries.getOpenJoinRequest(chatId, user.id)) return;
+
+        const blocked = await queries.getJoinBlock(chatId, user.id);
+        const savedUser = await queries.getUserById(user.id);
+        if (blocked || savedUser?.is_banned || await queries.getChatBan(user.id, chatId)) {
+            await decideAutomatically(bot, joinRequest, false, blocked
+                ? `در فهرست مسدود ورود${blocked.reason ? `: ${blocked.reason}` : ''}`
+                : 'کاربر مسدود است');
+            return;
+        }
+
+        // Members who left on their own and have a clean record come back without review
+        const history = await queries.getJoinHistory(user.id, chatId);
+        if (history.was_member && !history.was_removed && await queries.countActiveStrikes(user.id, chatId) === 0) {
+            await decideAutomatically(bot, joinRequest, true, 'عضو قبلی با سابقه خوب');
+            return;
+        }
+
+        const settings = await queries.getGroupSettings(chatId);
+        const questions = getJoinQuestions(settings);
+        const request = await queries.createJoinRequest(chatId, user.id, joinRequest.user_chat_id, questions);
+
+        if (questions.length === 0) {
+            await postForReview(bot, request);
+            return;
+        }
+
+        try {
+            await bot.sendMessage(
+                joinRequest.user_chat_id,
+                `سلام ${formatUsername(user)}! برای عضویت در «${joinRequest.chat.title}» لطفاً به ${questions.length} سوال زیر پاسخ دهید. هر پاسخ را در یک پیام بفرستید.\n\n1. ${questions[0]}`
+            );
+        } catch (error) {
+            // Without a private chat the admins decide on what they know
+            logger.error('Could not send the join questionnaire:', {
+                error: error.message,
+                chatId,
+                userId: user.id
+            });
+            await postForReview(bot, request);
+        }
+
+        logger.info(`Join request of ${user.id} in chat ${chatId} received`);
+    } catch (error) {
+        logger.error('Error handling join request:', {
+            error: error.message,
+            chatId,
+            userId: user.id
+        });
+    }
+}
+
+/**
+ * Take a private message as the answer to a join questionnaire, if its
+ * author is answering one
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} msg Private message
+ * @returns {Promise<boolean>} Whether the message was an answer
+ */
+async function handleQuestionnaireAnswer(bot, msg) {
+    const request = await queries.getAnsweringJoinRequest(msg.from.id);
+    if (!request) return false;
+
+    if (!msg.text) {
+        await bot.sendMessage(msg.chat.id, 'لطفاً پاسخ را به صورت متن بفرستید.');
+        return true;
+    }
+
+    const updated = await queries.addJoinRequestAnswer(request.request_id, msg.text);
+    if (!updated) return false;
+
+    if (updated.status === 'ANSWERING') {
+        const index = updated.answers.length;
+        await bot.sendMessage(msg.chat.id, `${index + 1}. ${updated.questions[index]}`);
+        return true;
+    }
+
+    await postForReview(bot, updated);
+    await bot.sendMessage(msg.chat.id, '🙏 پاسخ‌های شما برای مدیران ارسال شد. نتیجه را به شما اطلاع می‌دهیم.');
+    return true;
+}
+
+module.exports = {
+    getJoinQuestions,
+    applyJoinDecision,
+    handleJoinRequest,
+    handleQuestionnaireAnswer
+};
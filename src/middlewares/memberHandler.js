@@ -1,6 +1,70 @@
 const config = require('../config/config');
 const queries = require('../database/queries');
 const { logger } = require('../utils/logger');
+const { isFeatureEnabled } = require('../utils/settingsPanel');
+const { startChallenge } = require('../utils/captcha');
+const { checkRaidJoin } = require('../utils/antiRaid');
+const { renderWelcome, renderMemberTemplate, postWelcome } = require('../utils/welcome');
+
+async function sendWelcome(bot, chat, newMember, settings) {
+    if (!isFeatureEnabled(settings, 'welcome')) return;
+
+    const chatId = chat.id;
+    const rules = settings?.rules || config.defaultRules;
+    const message = await renderWelcome(bot, settings?.welcome_message, newMember, chat);
+
+    // Busy groups keep only the latest welcome
+    if (settings?.welcome_replace) {
+        const previous = await queries.takeWelcomeMessages(chatId);
+        await Promise.all(previous.map(welcome => bot.deleteMessage(chatId, welcome.message_id).catch(() => {})));
+    }
+
+    const sent = await postWelcome(bot, chatId, message, settings, [[
+        {
+            text: '📜 Read Rules',
+            callback_data: `rules_${newMember.id}`
+        },
+        {
+            text: '❓ Help',
+            callback_data: `help_${newMember.id}`
+        }
+    ]]);
+    if (settings?.welcome_replace || settings?.welcome_delete_after > 0) {
+        await queries.addWelcomeMessage(chatId, sent.message_id, settings.welcome_delete_after);
+    }
+
+    // Send rules in a separate message and pin it if it's a new group
+    const chatMember = await bot.getChatMember(chatId, newMember.id);
+    if (chatMember.status === 'creator') {
+        const rulesMessage = await bot.sendMessage(chatId, rules, {
+            parse_mode: 'HTML'
+        });
+        await bot.pinChatMessage(chatId, rulesMessage.message_id);
+    }
+}
+
+/**
+ * Ban a member who joined while banned network-wide or in this chat
+ * @param {TelegramBot} bot Bot instance
+ * @param {number} chatId Chat ID
+ * @param {Object} member Telegram user who joined
+ * @returns {Promise<boolean>} Whether the member was banned
+ */
+async function enforceBan(bot, chatId, member) {
+    const user = await queries.getUserById(member.id);
+    const networkBanned = user?.is_banned && !(user.ban_until && new Date(user.ban_until) < new Date());
+    const chatBan = await queries.getChatBan(member.id, chatId);
+    if (!networkBanned && !chatBan) return false;
+
+    // Network bans reach groups the bot learns about after the ban here
+    if (networkBanned && !chatBan) {
+        await queries.addNetworkChatBan(member.id, chatId);
+    }
+    const until = chatBan?.banned_until ? Math.floor(new Date(chatBan.banned_until).getTime() / 1000) : undefined;
+    await bot.banChatMember(chatId, member.id, until ? { until_date: until } : undefined);
+    logger.info(`Banned member rejoined and was banned again: ${member.id} in chat ${chatId}`, { network: Boolean(networkBanned) });
+    return true;
+}
 
 async function handleNewMember(bot, msg) {
     try {
@@ -23,43 +87,23 @@ async function handleNewMember(bot, msg) {
             // Assign default member role
             await queries.assignRole(newMember.id, 'Member', null);
 
-            if (config.enableWelcomeMessage) {
-                // Get welcome message from settings or use default
-                const welcomeMessage = settings?.welcome_message || config.welcomeMessage;
-                const rules = settings?.rules || config.defaultRules;
-
-                // Create welcome message with inline keyboard
-                const message = `${welcomeMessage}\n\n@${newMember.username || newMember.first_name}`;
-                
-                const keyboard = {
-                    inline_keyboard: [
-                        [
-                            {
-                                text: '📜 Read Rules',
-                                callback_data: `rules_${newMember.id}`
-                            },
-                            {
-                                text: '❓ Help',
-                                callback_data: `help_${newMember.id}`
-                            }
-                        ]
-                    ]
-                };
-
-                // Send welcome message
-                await bot.sendMessage(chatId, message, {
-                    parse_mode: 'HTML',
-                    reply_markup: keyboard
-                });
-
-                // Send rules in a separate message and pin it if it's a new group
-                const chatMember = await bot.getChatMember(chatId, newMember.id);
-                if (chatMember.status === 'creator') {
-                    const rulesMessage = await bot.sendMessage(chatId, rules, {
-                        parse_mode: 'HTML'
-                    });
-                    await bot.pinChatMessage(chatId, rulesMessage.message_id);
-                }
+            // Members added by someone else arrive in that person's message
+            await queries.recordMemberJoin(chatId, newMember.id, msg.from && msg.from.id !== newMember.id ? msg.from.id : null);
+
+            // Banned members may come back through an invite link or another admin
+            if (await enforceBan(bot, chatId, newMember)) continue;
+
+            // Members of a raid are held for the admins instead of welcomed
+            if (await checkRaidJoin(bot, msg.chat, newMember, settings)) {
+                logger.info(`New member held by raid lockdown: ${newMember.id} in chat ${chatId}`);
+                continue;
+            }
+
+            // With verification on, members are welcomed once they pass it
+            if (settings?.captcha_mode) {
+                await startChallenge(bot, msg.chat, newMember, settings);
+            } else {
+                await sendWelcome(bot, msg.chat, newMember, settings);
             }
 
             // Log the join event
@@ -74,14 +118,28 @@ async function handleMemberLeft(bot, msg) {
     try {
         const chatId = msg.chat.id;
         const leftMember = msg.left_chat_member;
+        if (leftMember.is_bot) return;
+
+        await queries.saveUser(
+            leftMember.id,
+            leftMember.username,
+            leftMember.first_name,
+            leftMember.last_name
+        );
+
+        // Members removed by someone else leave in that person's message
+        const removedBy = msg.from && msg.from.id !== leftMember.id ? msg.from.id : null;
+        await queries.recordMemberLeave(chatId, leftMember.id, removedBy);
 
         // Log the leave event
-        logger.info(`Member left: ${leftMember.username || leftMember.first_name} (${leftMember.id}) from chat ${chatId}`);
+        logger.info(`Member left: ${leftMember.username || leftMember.first_name} (${leftMember.id}) from chat ${chatId}`, { removedBy });
 
-        // You could add custom handling here, like:
-        // - Sending a goodbye message
-        // - Cleaning up user data
-        // - Updating group statistics
+        // Removed spammers and raiders get no goodbye
+        const settings = await queries.getGroupSettings(chatId);
+        if (settings?.goodbye_message && !removedBy) {
+            const goodbye = await renderMemberTemplate(bot, settings.goodbye_message, leftMember, msg.chat);
+            await bot.sendMessage(chatId, goodbye, { parse_mode: 'HTML' });
+        }
     } catch (error) {
         logger.error('Error handling member left:', error);
     }
@@ -108,6 +166,7 @@ async function handleMemberRestricted(bot, msg) {
             // Member was muted
             await queries.logInfraction(
                 member.id,
+                chatId,
                 'MUTE',
                 'User was muted by an admin',
                 'MUTE',
@@ -121,6 +180,7 @@ async function handleMemberRestricted(bot, msg) {
 }
 
 module.exports = {
+    sendWelcome,
     handleNewMember,
     handleMemberLeft,
     handleMemberRestricted
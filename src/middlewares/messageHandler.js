@@ -3,6 +3,10 @@ const queries = require('../database/queries');
 const { logger } = require('../utils/logger');
 const { isSpam, containsBannedContent } = require('../utils/contentFilter');
 const { isAdmin } = require('../utils/permissions');
+const { isFeatureEnabled } = require('../utils/settingsPanel');
+const { applyEscalation, formatEscalationResult } = require('../utils/escalation');
+const { formatUsername } = require('../utils/formatter');
+const { LOCK_TYPES, getLockedTypes, findLockedType } = require('../utils/locks');
 
 async function handleMessage(bot, msg, messageCache) {
     try {
@@ -28,7 +32,7 @@ async function handleMessage(bot, msg, messageCache) {
 
         // Skip processing for admin messages
         try {
-            if (await isAdmin(msg.from.id, chatId)) {
+            if (await isAdmin(msg.from.id, chatId, bot)) {
                 return;
             }
         } catch (error) {
@@ -41,8 +45,29 @@ async function handleMessage(bot, msg, messageCache) {
             throw new Error('Failed to check admin status');
         }
 
+        // Locked message types
+        const lockedType = findLockedType(msg, getLockedTypes(settings));
+        if (lockedType) {
+            await handleLockedMessage(bot, msg, lockedType, settings);
+            return;
+        }
+
+        // Slow mode
+        const slowModeSeconds = settings?.slow_mode_seconds || 0;
+        if (slowModeSeconds > 0 && checkSlowMode(msg, messageCache, slowModeSeconds)) {
+            await bot.deleteMessage(chatId, msg.message_id).catch(error =>
+                logger.error('Failed to delete slow mode message:', {
+                    error: error.message,
+                    userId,
+                    chatId,
+                    messageId: msg.message_id
+                })
+            );
+            return;
+        }
+
         // Anti-spam check
-        if (config.enableAntiSpam) {
+        if (isFeatureEnabled(settings, 'antispam')) {
             try {
                 const isSpamMessage = await checkSpam(msg, messageCache, settings?.spam_sensitivity || config.defaultSpamSensitivity);
                 if (isSpamMessage) {
@@ -62,7 +87,7 @@ async function handleMessage(bot, msg, messageCache) {
         }
 
         // Content filter check
-        if (config.enableContentFilter && msg.text) {
+        if (isFeatureEnabled(settings, 'filter') && msg.text) {
             try {
                 const bannedContent = await queries.getBannedContent();
                 const violatedContent = await containsBannedContent(msg.text, bannedContent);
@@ -85,7 +110,7 @@ async function handleMessage(bot, msg, messageCache) {
 
         // Update message cache for spam detection
         try {
-            updateMessageCache(msg, messageCache);
+            updateMessageCache(msg, messageCache, slowModeSeconds);
         } catch (error) {
             logger.error('Failed to update message cache:', {
                 error: error.message,
@@ -149,26 +174,35 @@ async function checkSpam(msg, messageCache, sensitivity) {
     return false;
 }
 
-function updateMessageCache(msg, messageCache) {
+// Whether a member's previous message in the chat is more recent than the slow mode allows
+function checkSlowMode(msg, messageCache, seconds) {
+    const userMessages = messageCache.get(msg.from.id) || [];
+    return userMessages.some(m =>
+        m.chatId === msg.chat.id && Date.now() - m.timestamp < seconds * 1000
+    );
+}
+
+function updateMessageCache(msg, messageCache, slowModeSeconds = 0) {
     const userId = msg.from.id;
     const userMessages = messageCache.get(userId) || [];
     
     userMessages.push({
         messageId: msg.message_id,
+        chatId: msg.chat.id,
         text: msg.text,
         timestamp: Date.now()
     });
 
-    // Keep only messages from the last minute
+    // Keep only messages from the last minute, or as long as the slow mode needs them
+    const keepFor = Math.max(60000, slowModeSeconds * 1000);
     const recentMessages = userMessages.filter(m => 
-        Date.now() - m.timestamp < 60000
+        Date.now() - m.timestamp < keepFor
     );
 
     messageCache.set(userId, recentMessages);
 }
 
 async function handleSpam(bot, msg, settings) {
-    const userId = msg.from.id;
     const chatId = msg.chat.id;
 
     try {
@@ -183,44 +217,61 @@ async function handleSpam(bot, msg, settings) {
             msg.from.last_name
         );
 
-        // Log the infraction
-        await queries.logInfraction(
-            userId,
-            'SPAM',
-            'Excessive messages or similar content',
-            'MUTE',
-            settings?.mute_duration || config.defaultMuteDuration,
-            null
+        const result = await applyEscalation(bot, {
+            chat: msg.chat,
+            user: msg.from,
+            type: 'SPAM',
+            reason: 'Excessive messages or similar content',
+            settings
+        });
+
+        await bot.sendMessage(
+            chatId,
+            `⚠️ ${formatUsername(msg.from)} به دلیل ارسال اسپم جریمه شد.\n${formatEscalationResult(result)}`
         );
+    } catch (error) {
+        logger.error('Error handling spam:', error);
+    }
+}
 
-        // Get user's warning count
-        const infractions = await queries.getUserInfractions(userId);
-        const warningCount = infractions.length;
+async function handleLockedMessage(bot, msg, lockedType, settings) {
+    const chatId = msg.chat.id;
 
-        if (warningCount >= (settings?.max_warnings || config.maxWarnings)) {
-            // Ban user
-            await bot.banChatMember(chatId, userId, {
-                until_date: Math.floor(Date.now() / 1000) + (60 * 60) // 1 hour ban
-            });
-            await bot.sendMessage(chatId, `User ${msg.from.username || userId} has been banned for excessive spam.`);
-        } else {
-            // Mute user
-            await bot.restrictChatMember(chatId, userId, {
-                can_send_messages: false,
-                until_date: Math.floor(Date.now() / 1000) + (60 * 10) // 10 minutes mute
-            });
-            await bot.sendMessage(
-                chatId,
-                `⚠️ @${msg.from.username || userId} has been muted for 10 minutes due to spam.\nWarning ${warningCount + 1}/${settings?.max_warnings || config.maxWarnings}`
-            );
-        }
+    try {
+        await bot.deleteMessage(chatId, msg.message_id);
+        if (!settings?.lock_warnings) return;
+
+        // Save user to database first
+        await queries.saveUser(
+            msg.from.id,
+            msg.from.username,
+            msg.from.first_name,
+            msg.from.last_name
+        );
+
+        const result = await applyEscalation(bot, {
+            chat: msg.chat,
+            user: msg.from,
+            type: 'WARN',
+            reason: `Sent a locked message type: ${lockedType}`,
+            settings
+        });
+
+        await bot.sendMessage(
+            chatId,
+            `🔒 ${formatUsername(msg.from)}، ارسال ${LOCK_TYPES[lockedType].label} در این گروه قفل است.\n${formatEscalationResult(result)}`
+        );
     } catch (error) {
-        logger.error('Error handling spam:', error);
+        logger.error('Error handling locked message:', {
+            error: error.message,
+            chatId,
+            userId: msg.from.id,
+            lockedType
+        });
     }
 }
 
 async function handleBannedContent(bot, msg, violatedContent, settings) {
-    const userId = msg.from.id;
     const chatId = msg.chat.id;
 
     try {
@@ -235,35 +286,18 @@ async function handleBannedContent(bot, msg, violatedContent, settings) {
             msg.from.last_name
         );
 
-        // Log the infraction
-        await queries.logInfraction(
-            userId,
-            'BANNED_CONTENT',
-            `Message contained banned content: ${violatedContent.content}`,
-            'WARN',
-            null,
-            null
-        );
-
-        // Get user's warning count
-        const infractions = await queries.getUserInfractions(userId);
-        const warningCount = infractions.length;
+        const result = await applyEscalation(bot, {
+            chat: msg.chat,
+            user: msg.from,
+            type: 'BANNED_CONTENT',
+            reason: `Message contained banned content: ${violatedContent.content}`,
+            settings
+        });
 
-        if (warningCount >= (settings?.max_warnings || config.maxWarnings)) {
-            // Ban user
-            await bot.banChatMember(chatId, userId, {
-                until_date: Math.floor(Date.now() / 1000) + (60 * 60 * 24) // 24 hour ban
-            });
-            await bot.sendMessage(
-                chatId,
-                `User ${msg.from.username || userId} has been banned for repeatedly posting prohibited content.`
-            );
-        } else {
-            await bot.sendMessage(
-                chatId,
-                `⚠️ @${msg.from.username || userId}: Your message was deleted for containing prohibited content.\nWarning ${warningCount + 1}/${settings?.max_warnings || config.maxWarnings}`
-            );
-        }
+        await bot.sendMessage(
+            chatId,
+            `⚠️ ${formatUsername(msg.from)}: پیام شما به دلیل محتوای غیرمجاز حذف شد.\n${formatEscalationResult(result)}`
+        );
     } catch (error) {
         logger.error('Error handling banned content:', error);
     }
@@ -2,6 +2,7 @@ const config = require('../config/config');
 const queries = require('../database/queries');
 const { logger } = require('../utils/logger');
 const { isAdmin, isModerator } = require('../utils/permissions');
+const { isFeatureEnabled } = require('../utils/settingsPanel');
 
 async function handleReaction(bot, reaction) {
     try {
@@ -13,8 +14,9 @@ async function handleReaction(bot, reaction) {
         // Log reaction for stats
         await queries.updateUserActivity(userId, 'reactions_added');
 
-        // Handle special reactions (if enabled in config)
-        if (config.enableReactionActions) {
+        // Handle special reactions (if enabled for the chat)
+        const settings = await queries.getGroupSettings(chatId);
+        if (isFeatureEnabled(settings, 'reactions')) {
             await handleSpecialReactions(bot, reaction);
         }
     } catch (error) {
@@ -0,0 +1,266 @@
+const queries = require('../database/queries');
+const { logger } = require('./logger');
+const { formatDuration, formatUsername } = require('./formatter');
+const { logModAction } = require('./modLog');
+const { NIGHT_PERMISSIONS: CLOSED_PERMISSIONS, DEFAULT_PERMISSIONS } = require('./nightMode');
+
+// Participants named in the alert message, the rest are counted
+const MAX_LISTED_PARTICIPANTS = 50;
+
+// Recent joins of each chat, kept for the raid window of the chat
+const recentJoins = new Map();
+
+// Lockdowns being started, members who join meanwhile wait for them
+const startingLockdowns = new Map();
+
+/**
+ * Record a join and tell whether the chat is being raided
+ * @param {number} chatId Chat ID
+ * @param {number} userId Member who joined
+ * @param {Object} settings Group settings row
+ * @returns {Array<number>|null} Members who joined within the window, when there are enough of them
+ */
+function recordJoin(chatId, userId, settings) {
+    const now = Date.now();
+    const windowStart = now - (settings.raid_window_seconds || 60) * 1000;
+    const joins = (recentJoins.get(chatId) || []).filter(join => join.time > windowStart);
+    joins.push({ userId, time: now });
+
+    if (joins.length < settings.raid_threshold) {
+        recentJoins.set(chatId, joins);
+        return null;
+    }
+
+    recentJoins.delete(chatId);
+    return [...new Set(joins.map(join => join.userId))];
+}
+
+/**
+ * Keep a raid participant from posting. A pending CAPTCHA challenge is
+ * dropped, passing it would lift the restriction.
+ * @param {TelegramBot} bot Bot instance
+ * @param {number} chatId Chat ID
+ * @param {number} userId Participant
+ */
+async function holdParticipant(bot, chatId, userId) {
+    await bot.restrictChatMember(chatId, userId, CLOSED_PERMISSIONS);
+
+    const challenge = await queries.getCaptchaChallenge(chatId, userId);
+    if (challenge && await queries.deleteCaptchaChallenge(challenge.challenge_id) && challenge.message_id) {
+        await bot.deleteMessage(chatId, challenge.message_id).catch(() => {});
+    }
+}
+
+/**
+ * Build the buttons of a raid alert from what is left to do
+ * @param {Object} raid Raid row
+ * @returns {Object} Reply markup
+ */
+function buildRaidKeyboard(raid) {
+    const buttons = [];
+    if (!raid.banned_at) {
+        buttons.push({ text: '🚫 مسدود کردن همه', callback_data: `raid_ban_${raid.raid_id}` });
+    }
+    if (!raid.ended_at) {
+        buttons.push({ text: '🔓 پایان قفل', callback_data: `raid_end_${raid.raid_id}` });
+    }
+    return { inline_keyboard: buttons.length > 0 ? [buttons] : [] };
+}
+
+/**
+ * Build the alert text of a raid with its participants
+ * @param {Object} raid Raid row
+ * @param {boolean} chatClosed Whether the lockdown closed the chat
+ * @returns {Promise<string>} Alert text
+ */
+async function buildRaidAlert(raid, chatClosed) {
+    const userIds = raid.user_ids.map(Number);
+    const users = await Promise.all(userIds.slice(0, MAX_LISTED_PARTICIPANTS).map(id => queries.getUserById(id)));
+    const lines = users.map((user, index) => {
+        const member = { id: userIds[index], username: user?.username, first_name: user?.first_name || String(userIds[index]) };
+        return `${index + 1}. ${formatUsername(member)} (${member.id})`;
+    });
+    if (userIds.length > MAX_LISTED_PARTICIPANTS) {
+        lines.push(`... و ${userIds.length - MAX_LISTED_PARTICIPANTS} عضو دیگر`);
+    }
+
+    const minutes = Math.max(1, Math.round((new Date(raid.lockdown_until) - new Date(raid.created_at)) / 60000));
+    return [
+        '🚨 حمله احتمالی به گروه!',
+        `گروه به مدت ${formatDuration(minutes)} در حالت قفل است و اعضای جدید نمی‌توانند پیام بفرستند.`,
+        ...(chatClosed ? ['ارسال پیام برای همه اعضای عادی بسته شد.'] : []),
+        '',
+        `اعضای وارد شده (${userIds.length}):`,
+        ...lines
+    ].join('\n');
+}
+
+// Bring the alert message up to date with the participants and what was done
+async function refreshRaidAlert(bot, raid) {
+    if (!raid.alert_message_id) return;
+    const text = await buildRaidAlert(raid, Boolean(raid.saved_permissions));
+    await bot.editMessageText(text, {
+        chat_id: raid.chat_id,
+        message_id: raid.alert_message_id,
+        reply_markup: buildRaidKeyboard(raid)
+    }).catch(error => logger.warn('Could not update raid alert', { error: error.message, raidId: raid.raid_id }));
+}
+
+/**
+ * Lock a chat down: hold every participant, close the chat when the chat
+ * asks for it and post the alert for the admins
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} chat Telegram chat
+ * @param {Array<number>} userIds Members who joined within the raid window
+ * @param {Object} settings Group settings row
+ * @returns {Promise<Object>} Raid row
+ */
+async function startLockdown(bot, chat, userIds, settings) {
+    let savedPermissions = null;
+    if (settings.raid_lock_chat) {
+        // During night mode the chat is closed already, what it reopens to is
+        // kept by night mode
+        savedPermissions = settings.night_mode_permissions
+            || (await bot.getChat(chat.id)).permissions
+            || DEFAULT_PERMISSIONS;
+    }
+
+    const raid = await queries.createRaid(chat.id, userIds, settings.raid_lockdown_minutes || 30, savedPermissions);
+    if (savedPermissions) {
+        await bot.setChatPermissions(chat.id, { ...savedPermissions, ...CLOSED_PERMISSIONS });
+    }
+
+    const results = await Promise.allSettled(userIds.map(userId => holdParticipant(bot, chat.id, userId)));
+    results.filter(result => result.status === 'rejected').forEach(result => {
+        logger.error('Could not restrict raid participant:', { error: result.reason?.message, chatId: chat.id });
+    });
+
+    const sent = await bot.sendMessage(chat.id, await buildRaidAlert(raid, Boolean(savedPermissions)), {
+        reply_markup: buildRaidKeyboard(raid)
+    });
+    await queries.setRaidAlertMessage(raid.raid_id, sent.message_id);
+
+    await logModAction(bot, {
+        chat,
+        action: 'RAID',
+        details: `${userIds.length} عضو در ${settings.raid_window_seconds || 60} ثانیه، قفل به مدت ${formatDuration(settings.raid_lockdown_minutes || 30)}`,
+        messageId: sent.message_id
+    });
+    logger.warn(`Raid detected in chat ${chat.id}, ${userIds.length} joins`, { raidId: raid.raid_id });
+    return raid;
+}
+
+/**
+ * Watch a new member for raids. During a lockdown they are held right away,
+ * and the member who crosses the threshold starts one.
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} chat Telegram chat
+ * @param {Object} member Telegram user who joined
+ * @param {Object} settings Group settings row
+ * @returns {Promise<boolean>} Whether the member is held by a lockdown and should not be welcomed
+ */
+async function checkRaidJoin(bot, chat, member, settings) {
+    const participants = settings?.raid_threshold > 0 ? recordJoin(chat.id, member.id, settings) : null;
+    if (participants && !startingLockdowns.has(chat.id)) {
+        const starting = startLockdown(bot, chat, participants, settings);
+        startingLockdowns.set(chat.id, starting);
+        try {
+            await starting;
+        } finally {
+            startingLockdowns.delete(chat.id);
+        }
+        return true;
+    }
+
+    if (startingLockdowns.has(chat.id)) {
+        await startingLockdowns.get(chat.id).catch(() => {});
+    }
+
+    const raid = await queries.getActiveRaid(chat.id);
+    if (!raid) return false;
+
+    await holdParticipant(bot, chat.id, member.id);
+    const updated = await queries.addRaidParticipant(raid.raid_id, member.id);
+    if (updated) await refreshRaidAlert(bot, updated);
+    return true;
+}
+
+/**
+ * End a lockdown and reopen the chat if it was closed, unless night mode
+ * keeps it closed and reopens it later. Participants stay restricted until
+ * the admins decide about them.
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} raid Raid row
+ * @param {Object} [endedBy] Admin who ended it, none when the cooldown ran out
+ * @returns {Promise<Object|null>} Ended raid, or null when it had already ended
+ */
+async function endLockdown(bot, raid, endedBy = null) {
+    const ended = await queries.endRaid(raid.raid_id);
+    if (!ended) return null;
+
+    if (ended.saved_permissions) {
+        const settings = await queries.getGroupSettings(ended.chat_id);
+        if (!settings?.night_mode_permissions) {
+            await bot.setChatPermissions(ended.chat_id, ended.saved_permissions);
+        }
+    }
+    await bot.sendMessage(
+        ended.chat_id,
+        '🔓 قفل گروه پایان یافت و اعضای جدید دوباره آزادانه وارد می‌شوند. اعضای وارد شده در حمله تا تصمیم مدیران محدود می‌مانند.'
+    );
+    await refreshRaidAlert(bot, ended);
+
+    await logModAction(bot, {
+        chat: { id: ended.chat_id },
+        action: 'RAID',
+        actor: endedBy,
+        details: endedBy ? 'پایان قفل توسط مدیر' : 'پایان خودکار قفل'
+    });
+    logger.info(`Raid lockdown ended in chat ${ended.chat_id}`, { raidId: ended.raid_id });
+    return ended;
+}
+
+/**
+ * Ban every participant of a raid in its chat
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} raid Raid row
+ * @param {Object} admin Telegram user who asked for it
+ * @returns {Promise<{banned: number, failed: number}|null>} Counts, or null when the raid was already banned
+ */
+async function banRaidParticipants(bot, raid, admin) {
+    const claimed = await queries.markRaidBanned(raid.raid_id);
+    if (!claimed) return null;
+
+    let banned = 0;
+    let failed = 0;
+    for (const userId of claimed.user_ids.map(Number)) {
+        try {
+            await bot.banChatMember(claimed.chat_id, userId);
+            await queries.banUser(userId, claimed.chat_id, 'Raid', null, admin.id);
+            banned++;
+        } catch (error) {
+            failed++;
+            logger.error('Could not ban raid participant:', {
+                error: error.message,
+                chatId: claimed.chat_id,
+                userId
+            });
+        }
+    }
+
+    await refreshRaidAlert(bot, claimed);
+    await logModAction(bot, {
+        chat: { id: claimed.chat_id },
+        action: 'RAID',
+        actor: admin,
+        details: `مسدودیت ${banned} عضو وارد شده در حمله${failed > 0 ? ` (${failed} ناموفق)` : ''}`
+    });
+    logger.info(`Raid participants banned in chat ${claimed.chat_id}`, { raidId: claimed.raid_id, banned, failed });
+    return { banned, failed };
+}
+
+module.exports = {
+    checkRaidJoin,
+    endLockdown,
+    banRaidParticipants
+};
@@ -1,33 +1,63 @@
+const config = require('../config/config');
 const queries = require('../database/queries');
 const { logger } = require('./logger');
+const { formatDate } = require('./formatter');
+const { toJalali, toGregorian, jalaliMonthLength, isValidJalaliDate, toLatinDigits, toPersianDigits } = require('./jalali');
 
-async function setBirthday(userId, birthdayDate) {
+// Leap years stored when no birth year is given, so that Feb 29 and
+// 30 Esfand are accepted as birthdays
+const JALALI_LEAP_YEAR = 1403;
+const GREGORIAN_LEAP_YEAR = 2024;
+
+const VISIBILITIES = ['ALL', 'SELECTED', 'DM'];
+
+async function setBirthday(userId, birthdayDate, calendar = 'gregorian') {
     try {
-        // Validate date format (DD-MM)
-        const dateRegex = /^(0[1-9]|[12][0-9]|3[01])-(0[1-9]|1[0-2])$/;
-        if (!dateRegex.test(birthdayDate)) {
-            throw new Error('Invalid date format. Please use DD-MM format (e.g., 25-12)');
+        // Validate date format (DD-MM or DD-MM-YYYY), Persian digits and "/" are accepted too
+        const normalized = toLatinDigits(birthdayDate || '').trim().replace(/\//g, '-');
+        const dateRegex = /^(0?[1-9]|[12][0-9]|3[01])-(0?[1-9]|1[0-2])(-\d{4})?$/;
+        if (!dateRegex.test(normalized)) {
+            throw new Error('Invalid date format. Please use DD-MM or DD-MM-YYYY format (e.g., 25-12)');
         }
 
         // Parse the date
-        const [day, month] = birthdayDate.split('-').map(Number);
+        const [day, month, givenYear] = normalized.split('-').map(Number);
+        const yearKnown = givenYear !== undefined;
 
         // Validate date
-        const isValidDate = validateDate(day, month);
+        const isValidDate = calendar === 'jalali'
+            ? isValidJalaliDate(yearKnown ? givenYear : JALALI_LEAP_YEAR, month, day)
+            : validateDate(day, month, yearKnown ? givenYear : GREGORIAN_LEAP_YEAR);
         if (!isValidDate) {
             throw new Error('Invalid date. Please enter a valid date.');
         }
 
-        // Create a date object for storage (using current year)
-        const currentYear = new Date().getFullYear();
-        const birthDate = new Date(currentYear, month - 1, day);
+        // Create a date object for storage. Jalali birthdays keep their Jalali
+        // month and day too, they fall on another Gregorian day every year.
+        let birthDate;
+        let jalali = null;
+        if (calendar === 'jalali') {
+            const { gy, gm, gd } = toGregorian(yearKnown ? givenYear : JALALI_LEAP_YEAR, month, day);
+            birthDate = new Date(gy, gm - 1, gd);
+            jalali = { month, day };
+        } else {
+            birthDate = new Date(yearKnown ? givenYear : GREGORIAN_LEAP_YEAR, month - 1, day);
+        }
+
+        if (yearKnown) {
+            const age = calculateAge(birthDate, jalali);
+            if (birthDate > new Date() || age > 120) {
+                throw new Error('Invalid date. The birth year is out of range.');
+            }
+        }
 
         // Update user's birthday in database
-        await queries.updateUserBirthday(userId, birthDate);
+        await queries.updateUserBirthday(userId, birthDate, yearKnown, jalali);
 
         logger.info('Birthday set successfully', {
             userId: userId,
-            birthday: birthdayDate
+            birthday: normalized,
+            calendar
         });
 
         return {
@@ -40,7 +70,7 @@ async function setBirthday(userId, birthdayDate) {
     }
 }
 
-async function getBirthday(userId) {
+async function getBirthday(userId, options = {}) {
     try {
         const user = await queries.getUserById(userId);
         if (!user || !user.birthday) {
@@ -48,10 +78,28 @@ async function getBirthday(userId) {
         }
 
         const birthday = new Date(user.birthday);
+        let day = birthday.getDate();
+        let month = birthday.getMonth() + 1;
+        let year = birthday.getFullYear();
+        if (options.calendar === 'jalali') {
+            const jalali = toJalali(year, month, day);
+            day = jalali.jd;
+            month = jalali.jm;
+            year = jalali.jy;
+        }
+
+        const yearKnown = Boolean(user.birthday_year_known);
+        const jalali = getJalaliBirthday(user);
+        let formatted = `${String(day).padStart(2, '0')}-${String(month).padStart(2, '0')}`;
+        if (yearKnown) formatted += `-${year}`;
         return {
-            day: birthday.getDate(),
-            month: birthday.getMonth() + 1,
-            formatted: `${String(birthday.getDate()).padStart(2, '0')}-${String(birthday.getMonth() + 1).padStart(2, '0')}`
+            day,
+            month,
+            year: yearKnown ? year : null,
+            age: yearKnown ? calculateAge(birthday, jalali) : null,
+            visibility: user.birthday_visibility || 'ALL',
+            formatted: options.persianDigits ? toPersianDigits(formatted) : formatted,
+            display: formatDate(birthday, { ...options, time: false, year: yearKnown })
         };
     } catch (error) {
         logger.error('Error getting birthday:', error);
@@ -76,38 +124,53 @@ async function removeBirthday(userId) {
     }
 }
 
-function validateDate(day, month) {
+function validateDate(day, month, year) {
     // Check month range
     if (month < 1 || month > 12) return false;
 
     // Get last day of the month
-    const currentYear = new Date().getFullYear();
-    const lastDay = new Date(currentYear, month, 0).getDate();
+    const lastDay = new Date(year, month, 0).getDate();
 
     // Check day range
     return day >= 1 && day <= lastDay;
 }
 
-async function getUpcomingBirthdays(chatId, limit = 5) {
+async function getUpcomingBirthdays(chatId, limit = 5, options = {}) {
     try {
-        const birthdays = await queries.getUpcomingBirthdays(chatId, limit);
-        return birthdays.map(user => ({
-            userId: user.user_id,
-            username: user.username,
-            firstName: user.first_name,
-            birthday: new Date(user.birthday),
-            daysUntil: calculateDaysUntil(new Date(user.birthday))
-        }));
+        // Birthdays still ahead this year come first, then those of next year
+        const birthdays = await queries.getChatBirthdays(chatId);
+        return birthdays.map(user => {
+            const jalali = getJalaliBirthday(user);
+            // A Jalali birthday is shown on the day it falls on next, which
+            // is another Gregorian day every year
+            const shown = jalali ? getNextJalaliBirthday(jalali) : user.birthday;
+            return {
+                userId: user.user_id,
+                username: user.username,
+                firstName: user.first_name,
+                lastName: user.last_name,
+                birthday: new Date(user.birthday),
+                display: formatDate(shown, { ...options, time: false, year: false }),
+                daysUntil: calculateDaysUntil(new Date(user.birthday), jalali)
+            };
+        })
+            .sort((a, b) => a.daysUntil - b.daysUntil)
+            .slice(0, limit);
     } catch (error) {
         logger.error('Error getting upcoming birthdays:', error);
         throw error;
     }
 }
 
-function calculateDaysUntil(birthday) {
-    const today = new Date();
+function calculateDaysUntil(birthday, jalali = null) {
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const currentYear = today.getFullYear();
-    
+
+    if (jalali) {
+        return Math.round((getNextJalaliBirthday(jalali, today) - today) / (1000 * 60 * 60 * 24));
+    }
+
     // Create this year's birthday date
     const thisYearBirthday = new Date(currentYear, birthday.getMonth(), birthday.getDate());
     
@@ -116,14 +179,164 @@ function calculateDaysUntil(birthday) {
         thisYearBirthday.setFullYear(currentYear + 1);
     }
     
-    // Calculate difference in days
-    const diffTime = Math.abs(thisYearBirthday - today);
-    return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    // Calculate difference in days, 0 on the birthday itself
+    const diffTime = thisYearBirthday - today;
+    return Math.round(diffTime / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Get the Jalali month and day of a birthday given in the Jalali calendar
+ * @param {Object} user User row
+ * @returns {{month: number, day: number}|null} Month and day, or null for Gregorian birthdays
+ */
+function getJalaliBirthday(user) {
+    return user.birthday_jalali_month
+        ? { month: user.birthday_jalali_month, day: user.birthday_jalali_day }
+        : null;
+}
+
+/**
+ * Find the next Gregorian date of a Jalali birthday, today included.
+ * 30 Esfand birthdays fall on 29 Esfand in common years.
+ * @param {{month: number, day: number}} jalali Jalali month and day
+ * @param {Date} [today] Today's date at midnight
+ * @returns {Date} Date of the next birthday at midnight
+ */
+function getNextJalaliBirthday(jalali, today = new Date(new Date().setHours(0, 0, 0, 0))) {
+    const birthdayIn = jy => {
+        const day = Math.min(jalali.day, jalaliMonthLength(jy, jalali.month));
+        const { gy, gm, gd } = toGregorian(jy, jalali.month, day);
+        return new Date(gy, gm - 1, gd);
+    };
+
+    const { jy } = toJalali(today.getFullYear(), today.getMonth() + 1, today.getDate());
+    const thisYear = birthdayIn(jy);
+    return thisYear >= today ? thisYear : birthdayIn(jy + 1);
+}
+
+/**
+ * Calculate the age of a member on today's date
+ * @param {Date} birthday Birth date with its real year
+ * @param {{month: number, day: number}} [jalali] Jalali month and day of a birthday given in the Jalali calendar
+ * @returns {number} Age in years
+ */
+function calculateAge(birthday, jalali = null) {
+    const now = new Date();
+    if (jalali) {
+        // Count in Jalali years, the Gregorian anniversary may be a day off
+        const today = toJalali(now.getFullYear(), now.getMonth() + 1, now.getDate());
+        const born = toJalali(birthday.getFullYear(), birthday.getMonth() + 1, birthday.getDate());
+        const hadBirthday = today.jm > jalali.month || (today.jm === jalali.month && today.jd >= jalali.day) ||
+            (isLastDayOfEsfand(today) && jalali.month === 12 && jalali.day === 30);
+        return today.jy - born.jy - (hadBirthday ? 0 : 1);
+    }
+
+    let age = now.getFullYear() - birthday.getFullYear();
+    if (now.getMonth() < birthday.getMonth() ||
+        (now.getMonth() === birthday.getMonth() && now.getDate() < birthday.getDate())) {
+        age--;
+    }
+    return age;
+}
+
+// Whether a Jalali date is 29 Esfand of a common year
+function isLastDayOfEsfand({ jy, jm, jd }) {
+    return jm === 12 && jd === 29 && !isValidJalaliDate(jy, 12, 30);
+}
+
+/**
+ * List the Jalali month and day of the dates around today, for matching
+ * Jalali birthdays in any time zone. 30 Esfand birthdays are celebrated on
+ * 29 Esfand in common years.
+ * @param {Date} [now] Current time
+ * @returns {Array<{date: string, month: number, day: number}>} Gregorian dates as YYYY-MM-DD with their Jalali month and day
+ */
+function getJalaliBirthdayDays(now = new Date()) {
+    const days = [];
+    // Time zones are up to a day and more away from the server
+    for (let offset = -2; offset <= 2; offset++) {
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+        const gregorian = [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+        const jalali = toJalali(date.getFullYear(), date.getMonth() + 1, date.getDate());
+        days.push({ date: gregorian, month: jalali.jm, day: jalali.jd });
+        if (isLastDayOfEsfand(jalali)) {
+            days.push({ date: gregorian, month: 12, day: 30 });
+        }
+    }
+    return days;
+}
+
+/**
+ * Set where a member's birthday is shown and announced
+ * @param {number} userId User ID
+ * @param {string} visibility ALL (every group), SELECTED (chosen groups) or DM (private chat only)
+ */
+async function setBirthdayVisibility(userId, visibility) {
+    const value = String(visibility).toUpperCase();
+    if (!VISIBILITIES.includes(value)) {
+        throw new Error(`Visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+    await queries.setBirthdayVisibility(userId, value);
+    logger.info('Birthday visibility updated', { userId, visibility: value });
+}
+
+/**
+ * Check whether a member's birthday may be shown in a chat
+ * @param {Object} user User row
+ * @param {number} chatId Chat ID
+ * @returns {Promise<boolean>} Whether the birthday is visible there
+ */
+async function isBirthdayVisible(user, chatId) {
+    // Members always see their own birthday in the private chat
+    if (Number(chatId) === Number(user.user_id)) return true;
+
+    switch (user.birthday_visibility || 'ALL') {
+        case 'ALL':
+            return true;
+        case 'SELECTED': {
+            const chats = await queries.getBirthdayChats(user.user_id);
+            return chats.some(chat => Number(chat.chat_id) === Number(chatId));
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Render a birthday greeting template.
+ * {name} is replaced by the member's name and {age} by their new age;
+ * lines using {age} are left out when the birth year is unknown.
+ * @param {string} template Greeting template
+ * @param {Object} user User row of the celebrant
+ * @param {Object} [options] Date options of the chat, for digits
+ * @returns {string} Greeting text
+ */
+function renderBirthdayGreeting(template, user, options = {}) {
+    const name = user.first_name || user.username || `User${user.user_id}`;
+    const jalali = getJalaliBirthday(user);
+    const age = user.birthday_year_known ? calculateAge(new Date(user.birthday), jalali) : null;
+    const ageText = age === null ? null : (options.persianDigits ? toPersianDigits(age) : String(age));
+
+    return (template || config.birthdayMessage)
+        .split('\n')
+        .filter(line => ageText !== null || !line.includes('{age}'))
+        .join('\n')
+        .replace(/{name}/g, () => name)
+        .replace(/{age}/g, () => ageText)
+        .trim();
 }
 
 module.exports = {
     setBirthday,
     getBirthday,
     removeBirthday,
-    getUpcomingBirthdays
+    getUpcomingBirthdays,
+    setBirthdayVisibility,
+    isBirthdayVisible,
+    renderBirthdayGreeting,
+    getJalaliBirthdayDays
 };
\ No newline at end of file
@@ -0,0 +1,169 @@
+const queries = require('../database/queries');
+const { logger } = require('./logger');
+const { formatDuration, formatUsername } = require('./formatter');
+const { logModAction } = require('./modLog');
+const { DEFAULT_PERMISSIONS } = require('./nightMode');
+
+const CAPTCHA_MODES = {
+    button: 'دکمه «ربات نیستم»',
+    math: 'سوال ریاضی',
+    emoji: 'انتخاب ایموجی'
+};
+
+// Emojis of the emoji challenge with the names members are asked for
+const EMOJI_NAMES = {
+    '🍎': 'سیب',
+    '🐶': 'سگ',
+    '🐱': 'گربه',
+    '🚗': 'ماشین',
+    '⚽': 'توپ',
+    '🌙': 'ماه',
+    '🎸': 'گیتار',
+    '🍕': 'پیتزا',
+    '✈️': 'هواپیما',
+    '🌳': 'درخت'
+};
+
+// What a member under verification may not do
+const RESTRICTED_PERMISSIONS = {
+    can_send_messages: false,
+    can_send_media_messages: false,
+    can_send_other_messages: false,
+    can_add_web_page_previews: false
+};
+
+/**
+ * Shuffle a list in place
+ * @param {Array} items Items
+ * @returns {Array} The same list
+ */
+function shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+/**
+ * Build a challenge for a verification mode
+ * @param {string} mode Key of CAPTCHA_MODES
+ * @returns {{question: string, answer: string, options: Array<{text: string, value: string}>}} Challenge
+ */
+function buildChallenge(mode) {
+    if (mode === 'math') {
+        const a = 1 + Math.floor(Math.random() * 9);
+        const b = 1 + Math.floor(Math.random() * 9);
+        const answer = a + b;
+        const wrong = new Set();
+        while (wrong.size < 3) {
+            const guess = answer + Math.floor(Math.random() * 9) - 4;
+            if (guess !== answer && guess > 0) wrong.add(guess);
+        }
+        return {
+            question: `حاصل ${a} + ${b} چند است؟`,
+            answer: String(answer),
+            options: shuffle([answer, ...wrong]).map(value => ({ text: String(value), value: String(value) }))
+        };
+    }
+
+    if (mode === 'emoji') {
+        const emojis = shuffle(Object.keys(EMOJI_NAMES)).slice(0, 6);
+        const answer = emojis[0];
+        return {
+            question: `ایموجی «${EMOJI_NAMES[answer]}» را انتخاب کنید.`,
+            answer: String(Object.keys(EMOJI_NAMES).indexOf(answer)),
+            options: shuffle(emojis).map(emoji => ({ text: emoji, value: String(Object.keys(EMOJI_NAMES).indexOf(emoji)) }))
+        };
+    }
+
+    return {
+        question: 'برای تأیید اینکه ربات نیستید، دکمه زیر را بزنید.',
+        answer: 'ok',
+        options: [{ text: '✅ ربات نیستم', value: 'ok' }]
+    };
+}
+
+/**
+ * Restrict a new member and post a verification challenge for them
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} chat Telegram chat
+ * @param {Object} member Telegram user who joined
+ * @param {Object} settings Group settings row
+ */
+async function startChallenge(bot, chat, member, settings) {
+    const mode = settings.captcha_mode;
+    const timeout = settings.captcha_timeout || 5;
+    const challenge = buildChallenge(mode);
+
+    await bot.restrictChatMember(chat.id, member.id, RESTRICTED_PERMISSIONS);
+    const stored = await queries.createCaptchaChallenge(chat.id, member.id, mode, challenge.answer, timeout);
+
+    // At most three buttons per row
+    const buttons = challenge.options.map(option => ({
+        text: option.text,
+        callback_data: `captcha_${member.id}_${option.value}`
+    }));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 3) {
+        rows.push(buttons.slice(i, i + 3));
+    }
+
+    const sent = await bot.sendMessage(
+        chat.id,
+        `👋 ${formatUsername(member)}، خوش آمدید!\n${challenge.question}\nمهلت پاسخ: ${formatDuration(timeout)}. در غیر این صورت از گروه اخراج می‌شوید.`,
+        { reply_markup: { inline_keyboard: rows } }
+    );
+    await queries.setCaptchaMessage(stored.challenge_id, sent.message_id);
+
+    logger.info('CAPTCHA challenge started', { chatId: chat.id, userId: member.id, mode });
+}
+
+/**
+ * Let a member who solved their challenge talk. The restriction is lifted
+ * rather than set to the chat's current permissions, which are closed during
+ * night mode or a raid lockdown and would outlive them for this member.
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} challenge Claimed challenge row
+ */
+async function passChallenge(bot, challenge) {
+    await bot.restrictChatMember(challenge.chat_id, challenge.user_id, DEFAULT_PERMISSIONS);
+    if (challenge.message_id) {
+        await bot.deleteMessage(challenge.chat_id, challenge.message_id).catch(() => {});
+    }
+    logger.info('CAPTCHA challenge passed', { chatId: challenge.chat_id, userId: challenge.user_id });
+}
+
+/**
+ * Kick a member who failed or did not answer their challenge. They may join
+ * again and get a new challenge.
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} challenge Claimed challenge row
+ * @param {string} reason Reason for the mod log
+ */
+async function failChallenge(bot, challenge, reason) {
+    await bot.banChatMember(challenge.chat_id, challenge.user_id);
+    await bot.unbanChatMember(challenge.chat_id, challenge.user_id);
+    if (challenge.message_id) {
+        await bot.deleteMessage(challenge.chat_id, challenge.message_id).catch(() => {});
+    }
+
+    const user = await queries.getUserById(challenge.user_id);
+    await logModAction(bot, {
+        chat: { id: challenge.chat_id },
+        action: 'CAPTCHA',
+        target: user
+            ? { id: challenge.user_id, username: user.username, first_name: user.first_name }
+            : { id: challenge.user_id },
+        reason
+    });
+    logger.info('CAPTCHA challenge failed', { chatId: challenge.chat_id, userId: challenge.user_id, reason });
+}
+
+module.exports = {
+    CAPTCHA_MODES,
+    buildChallenge,
+    startChallenge,
+    passChallenge,
+    failChallenge
+};
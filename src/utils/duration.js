@@ -0,0 +1,71 @@
+const { toLatinDigits } = require('./jalali');
+
+// Minutes per unit, by the spellings accepted in durations
+const UNITS = [
+    { pattern: /^(m|mins?|minutes?|دقیقه)$/, minutes: 1 },
+    { pattern: /^(h|hrs?|hours?|ساعت)$/, minutes: 60 },
+    { pattern: /^(d|days?|روز)$/, minutes: 24 * 60 },
+    { pattern: /^(w|weeks?|هفته)$/, minutes: 7 * 24 * 60 }
+];
+
+const PERMANENT_WORDS = ['perm', 'permanent', 'forever', 'دائم', 'دائمی', 'همیشه'];
+
+// Longest duration taken from the start of a command, e.g. "2 ساعت و 30 دقیقه"
+const MAX_DURATION_WORDS = 5;
+
+/**
+ * Parse a duration such as 90, 30m, 2h, 1d12h, 1w, "1 hour", «2 ساعت» or perm
+ * @param {string} text Duration text, a plain number is minutes
+ * @returns {number|null} Minutes, Infinity for a permanent duration, or null if the text is not a duration
+ */
+function parseDuration(text) {
+    const normalized = toLatinDigits(String(text ?? '')).trim().toLowerCase();
+    if (!normalized) return null;
+    if (PERMANENT_WORDS.includes(normalized)) return Infinity;
+
+    // Amounts with their unit, optionally joined by spaces or «و»
+    const part = /\s*(\d+)\s*([a-z]+|[\u0600-\u06ff]+)?\s*(?:و(?=\s|\d)\s*)?/y;
+    let total = 0;
+    let parts = 0;
+    let bareNumber = false;
+
+    while (part.lastIndex < normalized.length) {
+        const match = part.exec(normalized);
+        if (!match) return null;
+
+        parts++;
+        if (!match[2]) {
+            bareNumber = true;
+            total += Number(match[1]);
+            continue;
+        }
+
+        const unit = UNITS.find(item => item.pattern.test(match[2]));
+        if (!unit) return null;
+        total += Number(match[1]) * unit.minutes;
+    }
+
+    // A number without unit is only read as minutes on its own
+    if (bareNumber && parts > 1) return null;
+    return total > 0 ? total : null;
+}
+
+/**
+ * Take a duration from the start of command arguments
+ * @param {Array<string>} words Command arguments
+ * @returns {{minutes: number, rest: Array<string>}|null} Duration and the remaining arguments, or null if they do not start with a duration
+ */
+function takeDuration(words) {
+    for (let count = Math.min(MAX_DURATION_WORDS, words.length); count > 0; count--) {
+        const minutes = parseDuration(words.slice(0, count).join(' '));
+        if (minutes !== null) {
+            return { minutes, rest: words.slice(count) };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parseDuration,
+    takeDuration
+};
@@ -0,0 +1,216 @@
+const config = require('../config/config');
+const queries = require('../database/queries');
+const { logger } = require('./logger');
+const { parseDuration } = require('./duration');
+const { formatDuration } = require('./formatter');
+const { logModAction } = require('./modLog');
+
+const ACTIONS = ['WARN', 'MUTE', 'BAN'];
+
+/**
+ * Parse an escalation policy such as "warn,warn,mute:1h,mute:1d,ban:7d,ban"
+ * @param {string} text Policy text, one step per comma
+ * @returns {Array<{action: string, duration: number|null}>} Steps, a null duration is permanent
+ */
+function parseEscalationPolicy(text) {
+    const steps = String(text || '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const [name, durationText] = part.split(':');
+        const action = name.trim().toUpperCase();
+        if (!ACTIONS.includes(action)) {
+            throw new Error(`Unknown escalation action: ${name}`);
+        }
+
+        if (durationText === undefined) {
+            if (action === 'MUTE') {
+                throw new Error('Mute steps need a duration, e.g. mute:1h or mute:perm');
+            }
+            return { action, duration: null };
+        }
+        if (action === 'WARN') {
+            throw new Error('Warn steps have no duration');
+        }
+
+        const duration = parseDuration(durationText);
+        if (duration === null) {
+            throw new Error(`Invalid duration in escalation step: ${part}`);
+        }
+        return { action, duration: Number.isFinite(duration) ? duration : null };
+    });
+
+    if (steps.length === 0) {
+        throw new Error('The escalation policy needs at least one step');
+    }
+    return steps;
+}
+
+/**
+ * Get the escalation policy of a chat. Without a policy of its own, a chat
+ * warns up to its max_warnings, then mutes for its mute_duration, bans for
+ * its ban_duration and finally bans for good.
+ * @param {Object} settings Group settings row
+ * @returns {Array<{action: string, duration: number|null}>} Steps
+ */
+function getEscalationPolicy(settings) {
+    if (settings?.escalation_policy) {
+        try {
+            return parseEscalationPolicy(settings.escalation_policy);
+        } catch (error) {
+            logger.error('Invalid escalation policy, using the default:', {
+                error: error.message,
+                chatId: settings.chat_id
+            });
+        }
+    }
+
+    const warnings = settings?.max_warnings || config.maxWarnings;
+    return [
+        ...Array(Math.max(warnings - 1, 0)).fill(null).map(() => ({ action: 'WARN', duration: null })),
+        { action: 'MUTE', duration: settings?.mute_duration || parseDuration(config.defaultMuteDuration) },
+        { action: 'BAN', duration: settings?.ban_duration || parseDuration(config.defaultBanDuration) },
+        { action: 'BAN', duration: null }
+    ];
+}
+
+/**
+ * Get after how many days warnings of a chat stop counting
+ * @param {Object} settings Group settings row
+ * @returns {number} Days, 0 when warnings never expire
+ */
+function getWarningExpiryDays(settings) {
+    return settings?.warning_expiry_days ?? config.warningExpiryDays;
+}
+
+/**
+ * Describe an escalation step in Persian
+ * @param {{action: string, duration: number|null}} step Step
+ * @returns {string} Description
+ */
+function describeEscalationStep(step) {
+    switch (step.action) {
+        case 'MUTE':
+            return `سکوت ${formatDuration(step.duration)}`;
+        case 'BAN':
+            return `مسدودیت ${formatDuration(step.duration)}`;
+        default:
+            return 'اخطار';
+    }
+}
+
+/**
+ * Describe a whole escalation policy in Persian
+ * @param {Array} steps Steps from parseEscalationPolicy
+ * @returns {string} Description
+ */
+function describeEscalationPolicy(steps) {
+    return steps.map(describeEscalationStep).join(' ← ');
+}
+
+/**
+ * Record a strike against a member and apply the next step of the chat's
+ * escalation policy. Manual warnings, anti-spam and the content filter all
+ * go through here so they share one ladder.
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} options Strike details
+ * @param {Object} options.chat Telegram chat
+ * @param {Object} options.user Telegram user receiving the strike
+ * @param {string} options.type Infraction type (WARN, SPAM, BANNED_CONTENT)
+ * @param {string} options.reason Reason of the strike
+ * @param {Object} [options.actor] Moderator issuing the strike, omitted for automatic actions
+ * @param {number} [options.messageId] Message the strike is about, for the mod log
+ * @param {Object} [options.settings] Group settings row, fetched when not given
+ * @returns {Promise<Object>} The applied step with its position in the ladder
+ */
+async function applyEscalation(bot, { chat, user, type, reason, actor = null, messageId, settings }) {
+    const chatId = chat.id;
+    const issuedBy = actor ? actor.id : null;
+    if (settings === undefined) {
+        settings = await queries.getGroupSettings(chatId);
+    }
+    const policy = getEscalationPolicy(settings);
+
+    // Once the ladder is exhausted its last step repeats
+    const previousStrikes = await queries.countActiveStrikes(user.id, chatId);
+    const index = Math.min(previousStrikes, policy.length - 1);
+    const step = policy[index];
+
+    const expiryDays = getWarningExpiryDays(settings);
+    const infraction = await queries.logInfraction(
+        user.id,
+        chatId,
+        type,
+        reason,
+        step.action,
+        step.duration,
+        issuedBy,
+        expiryDays > 0 ? expiryDays * 24 * 60 : null
+    );
+
+    const untilDate = step.duration ? Math.floor(Date.now() / 1000) + step.duration * 60 : 0;
+    if (step.action === 'MUTE') {
+        await bot.restrictChatMember(chatId, user.id, {
+            can_send_messages: false,
+            can_send_media_messages: false,
+            can_send_other_messages: false,
+            can_add_web_page_previews: false,
+            until_date: untilDate
+        });
+    } else if (step.action === 'BAN') {
+        await queries.banUser(user.id, chatId, reason, step.duration, issuedBy);
+        await bot.banChatMember(chatId, user.id, { until_date: untilDate });
+    }
+
+    const stepText = `مرحله ${index + 1} از ${policy.length}: ${describeEscalationStep(step)}`;
+    await logModAction(bot, {
+        chat,
+        action: type,
+        actor,
+        target: user,
+        reason,
+        duration: step.duration,
+        messageId,
+        infractionId: infraction.infraction_id,
+        restriction: step.action,
+        details: stepText
+    });
+
+    logger.info('Escalation step applied', {
+        chatId,
+        userId: user.id,
+        type,
+        step: index + 1,
+        action: step.action,
+        duration: step.duration
+    });
+
+    return {
+        step,
+        stepText,
+        stepNumber: index + 1,
+        totalSteps: policy.length,
+        nextStep: policy[Math.min(index + 1, policy.length - 1)],
+        infraction
+    };
+}
+
+/**
+ * Describe the outcome of applyEscalation for the chat
+ * @param {Object} result Result of applyEscalation
+ * @returns {string} Message lines
+ */
+function formatEscalationResult(result) {
+    let text = result.stepText;
+    if (result.stepNumber < result.totalSteps) {
+        text += `\nمرحله بعد: ${describeEscalationStep(result.nextStep)}`;
+    }
+    return text;
+}
+
+module.exports = {
+    parseEscalationPolicy,
+    getEscalationPolicy,
+    getWarningExpiryDays,
+    describeEscalationStep,
+    describeEscalationPolicy,
+    applyEscalation,
+    formatEscalationResult
+};
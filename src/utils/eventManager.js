@@ -1,21 +1,44 @@
+const config = require('../config/config');
 const queries = require('../database/queries');
 const { logger } = require('./logger');
-const { formatDate } = require('./formatter');
+const { parseRRule, occurrencesBetween } = require('./recurrence');
+const { buildCalendar } = require('./icalendar');
+const { formatDate, formatDuration, formatUsername, getCalendarOptions } = require('./formatter');
+const { parseDuration } = require('./duration');
+const { toGregorian, isValidJalaliDate, toLatinDigits } = require('./jalali');
 
-async function createEvent(title, description, startTime, endTime, location, maxParticipants, createdBy) {
+async function createEvent(chatId, title, description, startTime, endTime, location, maxParticipants, createdBy) {
     try {
-        const event = await queries.createEvent({
+        if (!title) {
+            throw new Error('Event title is required');
+        }
+        if (!(startTime instanceof Date) || isNaN(startTime)) {
+            throw new Error('Invalid event start time');
+        }
+        if (startTime < new Date()) {
+            throw new Error('Event start time must be in the future');
+        }
+        if (endTime && endTime <= startTime) {
+            throw new Error('Event end time must be after its start time');
+        }
+        if (maxParticipants !== null && maxParticipants !== undefined && maxParticipants < 1) {
+            throw new Error('Event capacity must be at least 1');
+        }
+
+        const event = await queries.createEvent(
+            chatId,
             title,
             description,
-            start_time: startTime,
-            end_time: endTime,
+            startTime,
+            endTime,
             location,
-            max_participants: maxParticipants,
-            created_by: createdBy
-        });
+            maxParticipants,
+            createdBy
+        );
 
         logger.info('Event created successfully', {
             eventId: event.event_id,
+            chatId: chatId,
             createdBy: createdBy
         });
 
@@ -26,34 +49,51 @@ async function createEvent(title, description, startTime, endTime, location, max
     }
 }
 
-async function joinEvent(eventId, userId) {
+async function joinEvent(eventId, userId, status = 'GOING') {
     try {
         const event = await queries.getEvent(eventId);
         if (!event) {
             throw new Error('Event not found');
         }
+        if (event.cancelled_at) {
+            throw new Error('This event has been cancelled');
+        }
+        if (new Date(event.start_time) < new Date()) {
+            throw new Error('This event has already started');
+        }
 
-        // Check if event is full
         const participants = await queries.getEventParticipants(eventId);
-        if (event.max_participants && participants.length >= event.max_participants) {
-            throw new Error('Event is full');
-        }
 
-        // Check if user is already participating
-        const isParticipating = participants.some(p => p.user_id === userId);
-        if (isParticipating) {
+        // Check if user already has this RSVP
+        const existing = participants.find(p => String(p.user_id) === String(userId));
+        if (existing && existing.status === 'WAITLIST' && status === 'GOING') {
+            throw new Error('You are already on the waitlist of this event');
+        }
+        if (existing && existing.status === status) {
             throw new Error('You are already participating in this event');
         }
 
-        await queries.addEventParticipant(eventId, userId);
+        // Only confirmed attendees count towards the capacity; the rest wait in line.
+        // The database decides, so two members cannot take the last seat at once.
+        const participant = await queries.addEventParticipant(eventId, userId, status);
+        const finalStatus = participant.status;
         logger.info('User joined event', {
             eventId: eventId,
-            userId: userId
+            userId: userId,
+            status: finalStatus
         });
 
+        // Switching from GOING to MAYBE frees a seat
+        const promoted = existing && existing.status === 'GOING'
+            ? await promoteFromWaitlist(event)
+            : [];
+
         return {
             event,
-            currentParticipants: participants.length + 1
+            status: finalStatus,
+            currentParticipants: participant.going,
+            waitlistPosition: finalStatus === 'WAITLIST' ? participant.waitlist_position : null,
+            promoted
         };
     } catch (error) {
         logger.error('Error joining event:', error);
@@ -68,26 +108,175 @@ async function leaveEvent(eventId, userId) {
             throw new Error('Event not found');
         }
 
-        await queries.removeEventParticipant(eventId, userId);
+        const removed = await queries.removeEventParticipant(eventId, userId);
+        if (!removed) {
+            throw new Error('You are not participating in this event');
+        }
         logger.info('User left event', {
             eventId: eventId,
             userId: userId
         });
 
-        return event;
+        const promoted = removed.status === 'GOING'
+            ? await promoteFromWaitlist(event)
+            : [];
+
+        return {
+            event,
+            promoted
+        };
     } catch (error) {
         logger.error('Error leaving event:', error);
         throw error;
     }
 }
 
+async function rescheduleEvent(eventId, startTime) {
+    try {
+        const event = await queries.getEvent(eventId);
+        if (!event || event.cancelled_at) {
+            throw new Error('Event not found');
+        }
+        if (!(startTime instanceof Date) || isNaN(startTime)) {
+            throw new Error('Invalid event start time');
+        }
+        if (startTime < new Date()) {
+            throw new Error('Event start time must be in the future');
+        }
+
+        // Keep the original length of the event
+        const endTime = event.end_time
+            ? new Date(startTime.getTime() + (new Date(event.end_time) - new Date(event.start_time)))
+            : null;
+
+        const updated = await queries.rescheduleEvent(eventId, startTime, endTime);
+        logger.info('Event rescheduled', {
+            eventId: eventId,
+            from: event.start_time,
+            to: startTime
+        });
+
+        return updated;
+    } catch (error) {
+        logger.error('Error rescheduling event:', error);
+        throw error;
+    }
+}
+
+async function createEventSeries(chatId, title, description, firstStart, durationMinutes, rrule, location, maxParticipants, createdBy) {
+    try {
+        if (!title) {
+            throw new Error('Event title is required');
+        }
+        if (!(firstStart instanceof Date) || isNaN(firstStart)) {
+            throw new Error('Invalid event start time');
+        }
+        if (maxParticipants !== null && maxParticipants !== undefined && maxParticipants < 1) {
+            throw new Error('Event capacity must be at least 1');
+        }
+
+        // Validates the rule and makes sure it ever produces a future occurrence
+        const rule = parseRRule(rrule);
+        const farFuture = new Date(Date.now() + 10 * 365 * 24 * 60 * 60 * 1000);
+        const { occurrences } = occurrencesBetween(rule, firstStart, new Date(), farFuture);
+        if (occurrences.length === 0) {
+            throw new Error('The recurrence rule has no upcoming occurrences');
+        }
+
+        const series = await queries.createEventSeries(
+            chatId,
+            title,
+            description,
+            firstStart,
+            durationMinutes,
+            rrule.replace(/^RRULE:/i, '').toUpperCase(),
+            location,
+            maxParticipants,
+            createdBy
+        );
+
+        logger.info('Event series created successfully', {
+            seriesId: series.series_id,
+            chatId: chatId,
+            rrule: series.rrule
+        });
+
+        return { series, rule, nextOccurrence: occurrences[0] };
+    } catch (error) {
+        logger.error('Error creating event series:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create the occurrences of a series that start within the lead window
+ * and post their event cards
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} series Event series row
+ * @returns {Promise<Array>} Newly created event rows
+ */
+async function generateSeriesOccurrences(bot, series) {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + config.eventSeriesLeadDays * 24 * 60 * 60 * 1000);
+    const { occurrences, exhausted } = occurrencesBetween(
+        parseRRule(series.rrule),
+        new Date(series.first_start),
+        now,
+        horizon
+    );
+
+    const created = [];
+    for (const startTime of occurrences) {
+        const endTime = series.duration_minutes
+            ? new Date(startTime.getTime() + series.duration_minutes * 60 * 1000)
+            : null;
+        const event = await queries.createEventOccurrence(series, startTime, endTime);
+        if (!event) continue;
+
+        await postEventCard(bot, event);
+        created.push(event);
+    }
+
+    // Every remaining occurrence exists now, the series needs no more work
+    if (exhausted) {
+        await queries.endEventSeries(series.series_id, false);
+    }
+
+    return created;
+}
+
+/**
+ * Move waitlisted members into free seats of an event
+ * @param {Object} event Event row
+ * @returns {Promise<Array>} Promoted participant rows
+ */
+async function promoteFromWaitlist(event) {
+    const promoted = [];
+    if (new Date(event.start_time) < new Date()) return promoted;
+
+    // Each promotion checks for a free seat under the event lock
+    for (;;) {
+        const participant = await queries.promoteWaitlistedParticipant(event.event_id);
+        if (!participant) break;
+
+        logger.info('Promoted user from event waitlist', {
+            eventId: event.event_id,
+            userId: participant.user_id
+        });
+        promoted.push(participant);
+    }
+
+    return promoted;
+}
+
 async function listEvents(chatId, includeExpired = false) {
     try {
         const events = await queries.getEvents(chatId, includeExpired);
+        const dateOptions = await getChatDateOptions(chatId);
         return events.map(event => ({
             ...event,
-            start_time: formatDate(event.start_time),
-            end_time: event.end_time ? formatDate(event.end_time) : null
+            start_time: formatDate(event.start_time, dateOptions),
+            end_time: event.end_time ? formatDate(event.end_time, dateOptions) : null
         }));
     } catch (error) {
         logger.error('Error listing events:', error);
@@ -103,10 +292,11 @@ async function getEventDetails(eventId) {
         }
 
         const participants = await queries.getEventParticipants(eventId);
+        const dateOptions = await getChatDateOptions(event.chat_id);
         return {
             ...event,
-            start_time: formatDate(event.start_time),
-            end_time: event.end_time ? formatDate(event.end_time) : null,
+            start_time: formatDate(event.start_time, dateOptions),
+            end_time: event.end_time ? formatDate(event.end_time, dateOptions) : null,
             participants: participants,
             participant_count: participants.length
         };
@@ -116,36 +306,307 @@ async function getEventDetails(eventId) {
     }
 }
 
-async function cancelEvent(eventId, userId) {
+async function cancelEvent(eventId, userId, isChatAdmin = false) {
     try {
         const event = await queries.getEvent(eventId);
         if (!event) {
             throw new Error('Event not found');
         }
 
-        // Check if user is the event creator
-        if (event.created_by !== userId) {
+        // Check if user is the event creator or a chat admin
+        if (!isChatAdmin && String(event.created_by) !== String(userId)) {
             throw new Error('Only the event creator can cancel the event');
         }
 
-        await queries.deleteEvent(eventId);
+        // Occurrences of a series are only marked, so only this one is skipped
+        let cancelled;
+        if (event.series_id) {
+            cancelled = await queries.cancelEventOccurrence(eventId);
+        } else {
+            await queries.deleteEvent(eventId);
+            cancelled = { ...event, sequence: (event.sequence || 0) + 1, cancelled_at: new Date() };
+        }
         logger.info('Event cancelled', {
             eventId: eventId,
             cancelledBy: userId
         });
 
-        return event;
+        return cancelled;
     } catch (error) {
         logger.error('Error cancelling event:', error);
         throw error;
     }
 }
 
+/**
+ * Parse an event time written as YYYY-MM-DD HH:MM (server time).
+ * Years before 1700 are read as Jalali (e.g. 1403/04/01 19:30), and
+ * Persian or Arabic digits are accepted.
+ * @param {string} text Date and time text
+ * @returns {Date|null} Parsed date or null if the text is invalid
+ */
+function parseEventTime(text) {
+    const match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:\s+(\d{1,2}):(\d{2}))?$/.exec(toLatinDigits(text || '').trim());
+    if (!match) return null;
+
+    const [year, month, day, hour, minute] = match.slice(1).map(value => Number(value || 0));
+    let gregorian = { gy: year, gm: month, gd: day };
+    if (year < 1700) {
+        if (!isValidJalaliDate(year, month, day)) return null;
+        gregorian = toGregorian(year, month, day);
+    }
+
+    const date = new Date(gregorian.gy, gregorian.gm - 1, gregorian.gd, hour, minute);
+
+    // Reject overflowing values such as 2024-02-31 or 25:00
+    if (date.getMonth() !== gregorian.gm - 1 || date.getDate() !== gregorian.gd ||
+        date.getHours() !== hour || date.getMinutes() !== minute) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Parse an event time optionally followed by the length of the event,
+ * e.g. "1403-03-31 19:30 2h" or "2024-06-20 19:30 1 ساعت و 30 دقیقه"
+ * @param {string} text Date, time and length text
+ * @returns {{startTime: Date, durationMinutes: number|null}|null} Start time and length, or null if the text is invalid
+ */
+function parseEventTimeRange(text) {
+    const match = /^(\S+(?:\s+\d{1,2}:\d{2})?)(?:\s+(.+))?$/.exec(toLatinDigits(text || '').trim());
+    if (!match) return null;
+
+    const startTime = parseEventTime(match[1]);
+    if (!startTime) return null;
+    if (!match[2]) return { startTime, durationMinutes: null };
+
+    // Events have an end, a permanent length makes no sense here
+    const durationMinutes = parseDuration(match[2]);
+    if (!Number.isFinite(durationMinutes)) return null;
+    return { startTime, durationMinutes };
+}
+
+/**
+ * Get the date display options of a chat
+ * @param {number} chatId Chat ID
+ * @returns {Promise<Object>} Date options for formatDate
+ */
+async function getChatDateOptions(chatId) {
+    return getCalendarOptions(await queries.getGroupSettings(chatId));
+}
+
+/**
+ * Build the text of an event card
+ * @param {Object} event Event row
+ * @param {Array} participants Participant rows of the event
+ * @param {Object} [dateOptions] Date options of the chat
+ * @returns {string} Event card text
+ */
+function formatEventCard(event, participants, dateOptions = {}) {
+    const going = participants.filter(p => p.status === 'GOING');
+    const maybe = participants.filter(p => p.status === 'MAYBE');
+    const waitlist = participants.filter(p => p.status === 'WAITLIST');
+    const capacity = event.max_participants ? `/${event.max_participants}` : '';
+
+    let text = `📅 ${event.title}\n\n`;
+    text += `🕒 زمان: ${formatDate(event.start_time, dateOptions)}\n`;
+    if (event.end_time) {
+        text += `🏁 پایان: ${formatDate(event.end_time, dateOptions)}\n`;
+    }
+    if (event.location) {
+        text += `📍 مکان: ${event.location}\n`;
+    }
+    if (event.description) {
+        text += `\n${event.description}\n`;
+    }
+    text += `\n✅ شرکت‌کنندگان: ${going.length}${capacity}`;
+    text += `\n🤔 شاید: ${maybe.length}`;
+    if (event.max_participants) {
+        text += `\n⏳ در صف انتظار: ${waitlist.length}`;
+    }
+    text += `\n\nشناسه رویداد: ${event.event_id}`;
+    return text;
+}
+
+/**
+ * Build the RSVP keyboard of an event card
+ * @param {number} eventId Event ID
+ * @returns {Object} Inline keyboard markup
+ */
+function buildEventKeyboard(eventId) {
+    return {
+        inline_keyboard: [[
+            { text: '✅ شرکت می‌کنم', callback_data: `event_join_${eventId}` },
+            { text: '🤔 شاید', callback_data: `event_maybe_${eventId}` },
+            { text: '❌ انصراف', callback_data: `event_leave_${eventId}` }
+        ]]
+    };
+}
+
+/**
+ * Post the card of a new event in its chat and remember the message
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} event Event row
+ * @returns {Promise<Object>} Sent message
+ */
+async function postEventCard(bot, event) {
+    const participants = await queries.getEventParticipants(event.event_id);
+    const dateOptions = await getChatDateOptions(event.chat_id);
+    const sent = await bot.sendMessage(event.chat_id, formatEventCard(event, participants, dateOptions), {
+        reply_markup: buildEventKeyboard(event.event_id)
+    });
+    await queries.setEventMessage(event.event_id, sent.message_id);
+    return sent;
+}
+
+/**
+ * Refresh the counts shown on an event card
+ * @param {TelegramBot} bot Bot instance
+ * @param {number} eventId Event ID
+ */
+async function refreshEventCard(bot, eventId) {
+    try {
+        const event = await queries.getEvent(eventId);
+        if (!event || !event.message_id) return;
+
+        const participants = await queries.getEventParticipants(eventId);
+        const dateOptions = await getChatDateOptions(event.chat_id);
+        await bot.editMessageText(formatEventCard(event, participants, dateOptions), {
+            chat_id: event.chat_id,
+            message_id: event.message_id,
+            reply_markup: buildEventKeyboard(eventId)
+        });
+    } catch (error) {
+        // Telegram rejects edits that don't change the text
+        if (!error.message.includes('message is not modified')) {
+            logger.error('Error refreshing event card:', error);
+        }
+    }
+}
+
+/**
+ * Refresh the event card and tell promoted members they got a seat
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} event Event row
+ * @param {Array} promoted Participant rows promoted from the waitlist
+ */
+async function announceRsvpChange(bot, event, promoted = []) {
+    const dateOptions = promoted.length > 0 ? await getChatDateOptions(event.chat_id) : null;
+    for (const participant of promoted) {
+        try {
+            await bot.sendMessage(
+                participant.user_id,
+                `🎉 یک جا در رویداد «${event.title}» خالی شد و شما از صف انتظار به لیست شرکت‌کنندگان منتقل شدید.\n🕒 ${formatDate(event.start_time, dateOptions)}`
+            );
+        } catch (error) {
+            // Users who never started the bot in private can't be messaged
+            logger.warn('Could not notify promoted participant', {
+                eventId: event.event_id,
+                userId: participant.user_id,
+                error: error.message
+            });
+        }
+    }
+
+    await refreshEventCard(bot, event.event_id);
+}
+
+/**
+ * Send a reminder (or the "starting now" notice when offsetMinutes is 0)
+ * to the event chat and to every confirmed participant
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} event Event row
+ * @param {number} offsetMinutes Minutes before the start time
+ */
+async function sendEventReminder(bot, event, offsetMinutes) {
+    const participants = await queries.getEventParticipants(event.event_id);
+    const going = participants.filter(p => p.status === 'GOING');
+    const dateOptions = await getChatDateOptions(event.chat_id);
+
+    let groupText;
+    let privateText;
+    if (offsetMinutes === 0) {
+        const names = going.map(p => formatUsername(p)).join('، ');
+        groupText = `🚀 رویداد «${event.title}» همین حالا شروع شد!`;
+        if (event.location) {
+            groupText += `\n📍 ${event.location}`;
+        }
+        groupText += `\n\n✅ شرکت‌کنندگان (${going.length}): ${names || '-'}`;
+        privateText = `🚀 رویداد «${event.title}» همین حالا شروع شد!`;
+    } else {
+        // A late reminder, e.g. after a reschedule to a closer time, tells the time actually left
+        const minutesLeft = Math.ceil((new Date(event.start_time) - Date.now()) / 60000);
+        const offset = formatDuration(Math.max(1, Math.min(offsetMinutes, minutesLeft)));
+        groupText = `⏰ یادآوری: رویداد «${event.title}» ${offset} دیگر شروع می‌شود.\n🕒 ${formatDate(event.start_time, dateOptions)}`;
+        if (event.location) {
+            groupText += `\n📍 ${event.location}`;
+        }
+        groupText += `\n✅ شرکت‌کنندگان: ${going.length}`;
+        privateText = `⏰ یادآوری: رویداد «${event.title}» که در آن ثبت‌نام کرده‌اید ${offset} دیگر شروع می‌شود.\n🕒 ${formatDate(event.start_time, dateOptions)}`;
+    }
+
+    await bot.sendMessage(event.chat_id, groupText, event.message_id ? {
+        reply_to_message_id: event.message_id,
+        allow_sending_without_reply: true
+    } : {});
+
+    for (const participant of going) {
+        try {
+            await bot.sendMessage(participant.user_id, privateText);
+        } catch (error) {
+            logger.warn('Could not send event reminder to participant', {
+                eventId: event.event_id,
+                userId: participant.user_id,
+                error: error.message
+            });
+        }
+    }
+}
+
+/**
+ * Send events as an .ics file
+ * @param {TelegramBot} bot Bot instance
+ * @param {number} chatId Chat to send the file to
+ * @param {Array} events Event rows
+ * @param {Object} [options] Options
+ * @param {string} [options.method] PUBLISH or CANCEL
+ * @param {string} [options.name] Calendar name
+ * @param {string} [options.filename] File name
+ * @param {string} [options.caption] Message caption
+ * @param {number} [options.replyTo] Message to reply to
+ * @returns {Promise<Object>} Sent message
+ */
+async function sendCalendarFile(bot, chatId, events, { method = 'PUBLISH', name = null, filename = 'events.ics', caption, replyTo } = {}) {
+    const calendar = buildCalendar(events, { method, name });
+    const options = { caption };
+    if (replyTo) {
+        options.reply_to_message_id = replyTo;
+        options.allow_sending_without_reply = true;
+    }
+
+    return bot.sendDocument(chatId, Buffer.from(calendar, 'utf8'), options, {
+        filename,
+        contentType: method === 'CANCEL' ? 'text/calendar; method=CANCEL' : 'text/calendar'
+    });
+}
+
 module.exports = {
     createEvent,
     joinEvent,
     leaveEvent,
     listEvents,
     getEventDetails,
-    cancelEvent
+    cancelEvent,
+    rescheduleEvent,
+    createEventSeries,
+    generateSeriesOccurrences,
+    parseEventTime,
+    parseEventTimeRange,
+    getChatDateOptions,
+    formatEventCard,
+    postEventCard,
+    refreshEventCard,
+    announceRsvpChange,
+    sendEventReminder,
+    sendCalendarFile
 };
\ No newline at end of file
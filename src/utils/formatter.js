@@ -1,41 +1,47 @@
+const config = require('../config/config');
+const { toJalali, toPersianDigits, MONTH_NAMES: JALALI_MONTH_NAMES } = require('./jalali');
+const { parseDuration } = require('./duration');
+
+const GREGORIAN_MONTH_NAMES = ['ژانویه', 'فوریه', 'مارس', 'آوریل', 'مه', 'ژوئن',
+    'ژوئیه', 'اوت', 'سپتامبر', 'اکتبر', 'نوامبر', 'دسامبر'];
+
+// Units used when writing durations out, largest first
+const DURATION_UNITS = [
+    { minutes: 7 * 24 * 60, fa: 'هفته', en: 'week' },
+    { minutes: 24 * 60, fa: 'روز', en: 'day' },
+    { minutes: 60, fa: 'ساعت', en: 'hour' },
+    { minutes: 1, fa: 'دقیقه', en: 'minute' }
+];
+
 /**
- * Format a duration string into a human-readable format
- * @param {string} duration Duration string (e.g., '1 hour', '2 days')
+ * Format a duration in Persian or English, e.g. 2160 -> "1 روز و 12 ساعت"
+ * @param {number|string|null} duration Minutes (Infinity or null for permanent), or duration text such as '1 hour'
+ * @param {Object} [options] Display options
+ * @param {string} [options.language] 'fa' (default) or 'en'
+ * @param {boolean} [options.persianDigits] Write Persian digits
  * @returns {string} Formatted duration
  */
-function formatDuration(duration) {
-    if (!duration) return 'indefinite';
-
-    const parts = duration.split(' ');
-    if (parts.length !== 2) return duration;
-
-    const value = parseInt(parts[0]);
-    const unit = parts[1].toLowerCase();
-
-    if (isNaN(value)) return duration;
-
-    switch (unit) {
-        case 'second':
-        case 'seconds':
-            return `${value} second${value === 1 ? '' : 's'}`;
-        case 'minute':
-        case 'minutes':
-            return `${value} minute${value === 1 ? '' : 's'}`;
-        case 'hour':
-        case 'hours':
-            return `${value} hour${value === 1 ? '' : 's'}`;
-        case 'day':
-        case 'days':
-            return `${value} day${value === 1 ? '' : 's'}`;
-        case 'week':
-        case 'weeks':
-            return `${value} week${value === 1 ? '' : 's'}`;
-        case 'month':
-        case 'months':
-            return `${value} month${value === 1 ? '' : 's'}`;
-        default:
-            return duration;
+function formatDuration(duration, { language = 'fa', persianDigits = false } = {}) {
+    const minutes = typeof duration === 'string' ? parseDuration(duration) : duration;
+    if (minutes === null || minutes === undefined || minutes === Infinity) {
+        return language === 'en' ? 'permanent' : 'دائمی';
     }
+
+    // Weeks only when they divide the whole duration, "10 days" reads better than "1 week 3 days"
+    const units = minutes % DURATION_UNITS[0].minutes === 0 ? DURATION_UNITS : DURATION_UNITS.slice(1);
+    let remaining = Math.round(minutes);
+    const parts = [];
+    for (const unit of units) {
+        const value = Math.floor(remaining / unit.minutes);
+        if (value === 0) continue;
+        remaining -= value * unit.minutes;
+        parts.push(language === 'en'
+            ? `${value} ${unit.en}${value === 1 ? '' : 's'}`
+            : `${value} ${unit.fa}`);
+    }
+
+    const text = parts.join(language === 'en' ? ' ' : ' و ') || (language === 'en' ? '0 minutes' : '0 دقیقه');
+    return persianDigits ? toPersianDigits(text) : text;
 }
 
 /**
@@ -53,34 +59,82 @@ function formatNumber(num) {
     return num.toString();
 }
 
+/**
+ * Get the date display options of a chat from its settings
+ * @param {Object} [settings] Group settings row
+ * @returns {{calendar: string, persianDigits: boolean}} Date options
+ */
+function getCalendarOptions(settings) {
+    return {
+        calendar: settings?.calendar || config.defaultCalendar,
+        persianDigits: settings?.persian_digits ?? config.defaultPersianDigits
+    };
+}
+
 /**
  * Format a date relative to now
  * @param {Date} date Date to format
+ * @param {Object} [options] Date options from getCalendarOptions
  * @returns {string} Formatted date string
  */
-function formatRelativeTime(date) {
+function formatRelativeTime(date, options = {}) {
     const now = new Date();
     const diff = now - date;
     const seconds = Math.floor(diff / 1000);
     const minutes = Math.floor(seconds / 60);
     const hours = Math.floor(minutes / 60);
     const days = Math.floor(hours / 24);
+    const digits = value => options.persianDigits ? toPersianDigits(value) : String(value);
 
     if (days > 7) {
-        return date.toLocaleDateString();
+        return formatDate(date, { ...options, time: false });
     }
     if (days > 0) {
-        return `${days} day${days === 1 ? '' : 's'} ago`;
+        return `${digits(days)} day${days === 1 ? '' : 's'} ago`;
     }
     if (hours > 0) {
-        return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+        return `${digits(hours)} hour${hours === 1 ? '' : 's'} ago`;
     }
     if (minutes > 0) {
-        return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+        return `${digits(minutes)} minute${minutes === 1 ? '' : 's'} ago`;
     }
     return 'just now';
 }
 
+/**
+ * Format a date for display in the chat's calendar
+ * @param {Date|string} date Date to format
+ * @param {Object} [options] Date options from getCalendarOptions
+ * @param {string} [options.calendar] 'jalali' or 'gregorian'
+ * @param {boolean} [options.persianDigits] Whether to use Persian digits
+ * @param {boolean} [options.time] Whether to include the time of day
+ * @param {boolean} [options.year] Whether to include the year
+ * @returns {string} Formatted date string
+ */
+function formatDate(date, options = {}) {
+    if (!date) return '';
+    const value = date instanceof Date ? date : new Date(date);
+    const { calendar, persianDigits } = { ...getCalendarOptions(), ...options };
+
+    let text;
+    if (calendar === 'jalali') {
+        const { jy, jm, jd } = toJalali(value.getFullYear(), value.getMonth() + 1, value.getDate());
+        text = `${jd} ${JALALI_MONTH_NAMES[jm - 1]}`;
+        if (options.year !== false) text += ` ${jy}`;
+    } else {
+        text = `${value.getDate()} ${GREGORIAN_MONTH_NAMES[value.getMonth()]}`;
+        if (options.year !== false) text += ` ${value.getFullYear()}`;
+    }
+
+    if (options.time !== false) {
+        const hours = String(value.getHours()).padStart(2, '0');
+        const minutes = String(value.getMinutes()).padStart(2, '0');
+        text += `، ساعت ${hours}:${minutes}`;
+    }
+
+    return persianDigits ? toPersianDigits(text) : text;
+}
+
 /**
  * Format bytes into human-readable size
  * @param {number} bytes Number of bytes
@@ -133,6 +187,19 @@ function formatMessageContent(content, maxLength = 50) {
     return content;
 }
 
+/**
+ * Escape text for messages sent with the HTML parse mode
+ * @param {string} text Plain text
+ * @returns {string} Text safe to embed in HTML
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 /**
  * Format a list of items
  * @param {Array} items Array of items
@@ -189,9 +256,12 @@ function formatErrorMessage(error) {
 module.exports = {
     formatDuration,
     formatNumber,
+    getCalendarOptions,
     formatRelativeTime,
+    formatDate,
     formatBytes,
     formatUsername,
+    escapeHtml,
     formatMessageContent,
     formatList,
     formatRole,
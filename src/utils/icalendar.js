@@ -0,0 +1,223 @@
+const config = require('../config/config');
+
+/**
+ * Get the UTC offset of a time zone at a given instant
+ * @param {string} timeZone IANA time zone name
+ * @param {Date} date Instant to check
+ * @returns {number} Offset in minutes east of UTC
+ */
+function getTimeZoneOffset(timeZone, date) {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+        .formatToParts(date)
+        .find(part => part.type === 'timeZoneName').value;
+
+    const match = /GMT([+-])(\d{2}):?(\d{2})?/.exec(name);
+    if (!match) return 0;
+    const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Format an offset in minutes as +HHMM
+ * @param {number} minutes Offset in minutes
+ * @returns {string} Formatted offset
+ */
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format a date in server local time as YYYYMMDDTHHMMSS
+ * @param {Date} date Date to format
+ * @returns {string} Formatted date
+ */
+function formatLocal(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `T${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Format a date in UTC as YYYYMMDDTHHMMSSZ
+ * @param {Date} date Date to format
+ * @returns {string} Formatted date
+ */
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT property value
+ * @param {string} text Value to escape
+ * @returns {string} Escaped value
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets without splitting UTF-8 characters
+ * @param {string} line Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let limit = 75;
+
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > limit) {
+            chunks.push(current);
+            current = '';
+            limit = 74; // continuation lines start with a space
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Build the VTIMEZONE component of a time zone for the given years.
+ * Transitions are found through Intl, so any IANA zone works.
+ * @param {string} timeZone IANA time zone name
+ * @param {number} fromYear First year to cover
+ * @param {number} toYear Last year to cover
+ * @returns {Array<string>} Content lines
+ */
+function buildTimeZone(timeZone, fromYear, toYear) {
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    const day = 24 * 60 * 60 * 1000;
+    const transitions = [];
+
+    for (let year = fromYear; year <= toYear; year++) {
+        let previous = Date.UTC(year, 0, 1);
+        let previousOffset = getTimeZoneOffset(timeZone, new Date(previous));
+        for (let time = previous + day; time <= Date.UTC(year + 1, 0, 1); time += day) {
+            const offset = getTimeZoneOffset(timeZone, new Date(time));
+            if (offset !== previousOffset) {
+                // Narrow the change down to the minute
+                let low = previous;
+                let high = time;
+                while (high - low > 60 * 1000) {
+                    const middle = low + Math.floor((high - low) / 2);
+                    if (getTimeZoneOffset(timeZone, new Date(middle)) === previousOffset) {
+                        low = middle;
+                    } else {
+                        high = middle;
+                    }
+                }
+                // Zone changes happen on whole minutes
+                transitions.push({ at: Math.floor(high / 60000) * 60000, from: previousOffset, to: offset });
+            }
+            previous = time;
+            previousOffset = offset;
+        }
+    }
+
+    if (transitions.length === 0) {
+        const offset = formatOffset(getTimeZoneOffset(timeZone, new Date(Date.UTC(fromYear, 0, 1))));
+        lines.push(
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            `TZOFFSETFROM:${offset}`,
+            `TZOFFSETTO:${offset}`,
+            'END:STANDARD'
+        );
+    } else {
+        // The onset is written in the local time that was in effect before it
+        const formatOnset = transition => new Date(transition.at + transition.from * 60 * 1000)
+            .toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '');
+
+        for (const transition of transitions) {
+            const type = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+            lines.push(
+                `BEGIN:${type}`,
+                `DTSTART:${formatOnset(transition)}`,
+                `TZOFFSETFROM:${formatOffset(transition.from)}`,
+                `TZOFFSETTO:${formatOffset(transition.to)}`,
+                `END:${type}`
+            );
+        }
+    }
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+/**
+ * Get the stable UID of an event
+ * @param {Object} event Event row
+ * @returns {string} UID
+ */
+function getEventUid(event) {
+    return `event-${event.event_id}@${config.icsDomain}`;
+}
+
+/**
+ * Build an iCalendar file for a list of events
+ * @param {Array} events Event rows
+ * @param {Object} [options] Options
+ * @param {string} [options.method] PUBLISH, or CANCEL for cancelled events
+ * @param {string} [options.name] Calendar name shown by calendar apps
+ * @returns {string} iCalendar text
+ */
+function buildCalendar(events, { method = 'PUBLISH', name = null } = {}) {
+    const timeZone = config.timezone;
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Telegram Group Bot//Events//FA',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`
+    ];
+    if (name) {
+        lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    }
+    lines.push(`X-WR-TIMEZONE:${timeZone}`);
+
+    if (events.length > 0) {
+        const years = events.map(event => new Date(event.start_time).getFullYear());
+        lines.push(...buildTimeZone(timeZone, Math.min(...years), Math.max(...years)));
+    }
+
+    const stamp = formatUtc(new Date());
+    for (const event of events) {
+        const cancelled = method === 'CANCEL' || Boolean(event.cancelled_at);
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${getEventUid(event)}`,
+            `SEQUENCE:${event.sequence || 0}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;TZID=${timeZone}:${formatLocal(new Date(event.start_time))}`
+        );
+        if (event.end_time) {
+            lines.push(`DTEND;TZID=${timeZone}:${formatLocal(new Date(event.end_time))}`);
+        }
+        lines.push(`SUMMARY:${escapeText(event.title)}`);
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        if (event.location) {
+            lines.push(`LOCATION:${escapeText(event.location)}`);
+        }
+        lines.push(
+            `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+            'END:VEVENT'
+        );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendar,
+    getEventUid
+};
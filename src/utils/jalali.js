@@ -0,0 +1,167 @@
+// Jalali (Solar Hijri) <-> Gregorian conversion, based on the jalaali-js
+// algorithm by Behrang Noruzi Niya (MIT), which follows the 33-year leap cycles
+
+// Jalali years starting the 33-year rule
+const BREAKS = [-61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210,
+    1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178];
+
+const MONTH_NAMES = ['فروردین', 'اردیبهشت', 'خرداد', 'تیر', 'مرداد', 'شهریور',
+    'مهر', 'آبان', 'آذر', 'دی', 'بهمن', 'اسفند'];
+
+const div = (a, b) => ~~(a / b);
+const mod = (a, b) => a - ~~(a / b) * b;
+
+/**
+ * Compute leap information of a Jalali year
+ * @param {number} jy Jalali year
+ * @returns {{leap: number, gy: number, march: number}} Years since last leap, Gregorian year and March day of Farvardin 1st
+ */
+function jalCal(jy) {
+    const gy = jy + 621;
+    let leapJ = -14;
+    let jp = BREAKS[0];
+    let jump = 0;
+
+    if (jy < jp || jy >= BREAKS[BREAKS.length - 1]) {
+        throw new Error(`Invalid Jalali year ${jy}`);
+    }
+
+    for (let i = 1; i < BREAKS.length; i++) {
+        const jm = BREAKS[i];
+        jump = jm - jp;
+        if (jy < jm) break;
+        leapJ += div(jump, 33) * 8 + div(mod(jump, 33), 4);
+        jp = jm;
+    }
+
+    let n = jy - jp;
+    leapJ += div(n, 33) * 8 + div(mod(n, 33) + 3, 4);
+    if (mod(jump, 33) === 4 && jump - n === 4) leapJ += 1;
+
+    const leapG = div(gy, 4) - div((div(gy, 100) + 1) * 3, 4) - 150;
+    const march = 20 + leapJ - leapG;
+
+    if (jump - n < 6) n = n - jump + div(jump + 4, 33) * 33;
+    let leap = mod(mod(n + 1, 33) - 1, 4);
+    if (leap === -1) leap = 4;
+
+    return { leap, gy, march };
+}
+
+function g2d(gy, gm, gd) {
+    const d = div((gy + div(gm - 8, 6) + 100100) * 1461, 4) +
+        div(153 * mod(gm + 9, 12) + 2, 5) + gd - 34840408;
+    return d - div(div(gy + 100100 + div(gm - 8, 6), 100) * 3, 4) + 752;
+}
+
+function d2g(jdn) {
+    let j = 4 * jdn + 139361631;
+    j = j + div(div(4 * jdn + 183187720, 146097) * 3, 4) * 4 - 3908;
+    const i = div(mod(j, 1461), 4) * 5 + 308;
+    const gd = div(mod(i, 153), 5) + 1;
+    const gm = mod(div(i, 153), 12) + 1;
+    const gy = div(j, 1461) - 100100 + div(8 - gm, 6);
+    return { gy, gm, gd };
+}
+
+function j2d(jy, jm, jd) {
+    const r = jalCal(jy);
+    return g2d(r.gy, 3, r.march) + (jm - 1) * 31 - div(jm, 7) * (jm - 7) + jd - 1;
+}
+
+function d2j(jdn) {
+    const { gy } = d2g(jdn);
+    let jy = gy - 621;
+    const r = jalCal(jy);
+    const jdn1f = g2d(gy, 3, r.march);
+    let k = jdn - jdn1f;
+
+    if (k >= 0) {
+        if (k <= 185) {
+            return { jy, jm: 1 + div(k, 31), jd: mod(k, 31) + 1 };
+        }
+        k -= 186;
+    } else {
+        jy -= 1;
+        k += 179;
+        if (r.leap === 1) k += 1;
+    }
+    return { jy, jm: 7 + div(k, 30), jd: mod(k, 30) + 1 };
+}
+
+/**
+ * Convert a Gregorian date to Jalali
+ * @param {number} gy Gregorian year
+ * @param {number} gm Gregorian month (1-12)
+ * @param {number} gd Gregorian day
+ * @returns {{jy: number, jm: number, jd: number}} Jalali date
+ */
+function toJalali(gy, gm, gd) {
+    return d2j(g2d(gy, gm, gd));
+}
+
+/**
+ * Convert a Jalali date to Gregorian
+ * @param {number} jy Jalali year
+ * @param {number} jm Jalali month (1-12)
+ * @param {number} jd Jalali day
+ * @returns {{gy: number, gm: number, gd: number}} Gregorian date
+ */
+function toGregorian(jy, jm, jd) {
+    return d2g(j2d(jy, jm, jd));
+}
+
+/**
+ * Get the number of days in a Jalali month
+ * @param {number} jy Jalali year
+ * @param {number} jm Jalali month (1-12)
+ * @returns {number} Days in the month
+ */
+function jalaliMonthLength(jy, jm) {
+    if (jm <= 6) return 31;
+    if (jm <= 11) return 30;
+    return jalCal(jy).leap === 0 ? 30 : 29;
+}
+
+/**
+ * Check whether a Jalali date exists
+ * @param {number} jy Jalali year
+ * @param {number} jm Jalali month (1-12)
+ * @param {number} jd Jalali day
+ * @returns {boolean} Whether the date is valid
+ */
+function isValidJalaliDate(jy, jm, jd) {
+    return jy >= -61 && jy <= 3177 &&
+        jm >= 1 && jm <= 12 &&
+        jd >= 1 && jd <= jalaliMonthLength(jy, jm);
+}
+
+/**
+ * Replace Latin digits with Persian ones
+ * @param {string|number} text Text to convert
+ * @returns {string} Text with Persian digits
+ */
+function toPersianDigits(text) {
+    return String(text).replace(/\d/g, digit => '۰۱۲۳۴۵۶۷۸۹'[digit]);
+}
+
+/**
+ * Replace Persian and Arabic digits with Latin ones
+ * @param {string} text Text to convert
+ * @returns {string} Text with Latin digits
+ */
+function toLatinDigits(text) {
+    return String(text)
+        .replace(/[۰-۹]/g, digit => '۰۱۲۳۴۵۶۷۸۹'.indexOf(digit))
+        .replace(/[٠-٩]/g, digit => '٠١٢٣٤٥٦٧٨٩'.indexOf(digit));
+}
+
+module.exports = {
+    MONTH_NAMES,
+    toJalali,
+    toGregorian,
+    jalaliMonthLength,
+    isValidJalaliDate,
+    toPersianDigits,
+    toLatinDigits
+};
@@ -0,0 +1,80 @@
+// Message types a chat can lock, with their Persian names and how to spot
+// them on a Telegram message
+const LOCK_TYPES = {
+    sticker: {
+        label: 'استیکر',
+        aliases: ['stickers', 'استیکر'],
+        matches: msg => Boolean(msg.sticker)
+    },
+    gif: {
+        label: 'گیف',
+        aliases: ['gifs', 'animation', 'گیف'],
+        matches: msg => Boolean(msg.animation)
+    },
+    link: {
+        label: 'لینک',
+        aliases: ['links', 'url', 'لینک'],
+        matches: msg => [...(msg.entities || []), ...(msg.caption_entities || [])]
+            .some(entity => entity.type === 'url' || entity.type === 'text_link')
+    },
+    forward: {
+        label: 'فوروارد',
+        aliases: ['forwards', 'فوروارد'],
+        matches: msg => Boolean(msg.forward_origin || msg.forward_date || msg.forward_from || msg.forward_from_chat)
+    },
+    voice: {
+        label: 'پیام صوتی',
+        aliases: ['voices', 'ویس', 'صوتی'],
+        // Round video notes are recorded the same way as voice notes
+        matches: msg => Boolean(msg.voice || msg.video_note)
+    },
+    poll: {
+        label: 'نظرسنجی',
+        aliases: ['polls', 'نظرسنجی'],
+        matches: msg => Boolean(msg.poll)
+    },
+    media: {
+        label: 'رسانه',
+        aliases: ['رسانه'],
+        // Animations also carry a document, they have their own lock
+        matches: msg => Boolean(msg.photo || msg.video || msg.audio || (msg.document && !msg.animation))
+    }
+};
+
+/**
+ * Find the lock type named by a command argument
+ * @param {string} name Type name or one of its aliases, English or Persian
+ * @returns {string|null} Key of LOCK_TYPES
+ */
+function parseLockType(name) {
+    const normalized = String(name || '').trim().toLowerCase();
+    return Object.keys(LOCK_TYPES).find(type =>
+        type === normalized || LOCK_TYPES[type].aliases.includes(normalized)
+    ) || null;
+}
+
+/**
+ * Get the locked message types of a chat
+ * @param {Object} settings Group settings row
+ * @returns {Array<string>} Keys of LOCK_TYPES
+ */
+function getLockedTypes(settings) {
+    return (settings?.locked_types || []).filter(type => LOCK_TYPES[type]);
+}
+
+/**
+ * Find the first locked type a message belongs to
+ * @param {Object} msg Telegram message
+ * @param {Array<string>} lockedTypes Locked types of the chat
+ * @returns {string|null} Key of LOCK_TYPES
+ */
+function findLockedType(msg, lockedTypes) {
+    return lockedTypes.find(type => LOCK_TYPES[type].matches(msg)) || null;
+}
+
+module.exports = {
+    LOCK_TYPES,
+    parseLockType,
+    getLockedTypes,
+    findLockedType
+};
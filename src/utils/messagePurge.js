@@ -0,0 +1,45 @@
+const config = require('../config/config');
+const { logger } = require('./logger');
+
+// Telegram only lets bots delete messages younger than this
+const DELETABLE_HOURS = 48;
+
+// Pause between batches to stay under Telegram's rate limits
+const BATCH_DELAY_MS = 1000;
+
+/**
+ * Delete messages of a chat in batches. Messages that can no longer be
+ * deleted, e.g. because they are too old or already gone, are skipped.
+ * @param {TelegramBot} bot Bot instance
+ * @param {number} chatId Chat ID
+ * @param {Array<number>} messageIds Message IDs
+ * @returns {Promise<{deleted: number, failed: number}>} How many messages were deleted and skipped
+ */
+async function deleteMessagesInBatches(bot, chatId, messageIds) {
+    let deleted = 0;
+    let failed = 0;
+
+    for (let start = 0; start < messageIds.length; start += config.purgeBatchSize) {
+        if (start > 0) {
+            await new Promise(resolve => setTimeout(resolve, BATCH_DELAY_MS));
+        }
+
+        const batch = messageIds.slice(start, start + config.purgeBatchSize);
+        const results = await Promise.allSettled(batch.map(messageId => bot.deleteMessage(chatId, messageId)));
+        results.forEach(result => {
+            if (result.status === 'fulfilled') {
+                deleted++;
+            } else {
+                failed++;
+            }
+        });
+    }
+
+    logger.info('Messages purged', { chatId, deleted, failed });
+    return { deleted, failed };
+}
+
+module.exports = {
+    DELETABLE_HOURS,
+    deleteMessagesInBatches
+};
@@ -0,0 +1,160 @@
+const queries = require('../database/queries');
+const { logger } = require('./logger');
+const { formatDuration, formatUsername } = require('./formatter');
+
+const ACTION_LABELS = {
+    BAN: '🚫 مسدودیت',
+    UNBAN: '✅ رفع مسدودیت',
+    NETWORK_BAN: '🌐 مسدودیت سراسری',
+    NETWORK_UNBAN: '🌐 رفع مسدودیت سراسری',
+    MUTE: '🔇 سکوت',
+    UNMUTE: '🔊 رفع سکوت',
+    KICK: '👢 اخراج',
+    WARN: '⚠️ اخطار',
+    REVOKE: '↩️ لغو تخلف',
+    SPAM: '🤖 اسپم',
+    BANNED_CONTENT: '🧹 حذف محتوای غیرمجاز',
+    PURGE: '🗑 پاکسازی پیام‌ها',
+    LOCK: '🔒 قفل',
+    UNLOCK: '🔓 برداشتن قفل',
+    NIGHT_MODE: '🌙 حالت شب',
+    CAPTCHA: '🤖 اخراج در تأیید عضویت',
+    JOIN_APPROVED: '✅ پذیرش درخواست عضویت',
+    JOIN_DECLINED: '⛔️ رد درخواست عضویت',
+    RAID: '🚨 حمله و قفل گروه',
+    SETTINGS: '⚙️ تغییر تنظیمات'
+};
+
+// Settings that an undo button may restore, with how to read the value back
+// from the callback data
+const UNDOABLE_SETTINGS = {
+    spamSensitivity: Number,
+    maxWarnings: Number,
+    muteDuration: Number,
+    banDuration: Number,
+    warningExpiryDays: Number,
+    slowModeSeconds: Number,
+    captchaTimeout: Number,
+    raidThreshold: Number,
+    raidWindowSeconds: Number,
+    raidLockdownMinutes: Number,
+    birthdayHour: Number,
+    antiSpamEnabled: value => value === 'true',
+    contentFilterEnabled: value => value === 'true',
+    welcomeEnabled: value => value === 'true',
+    reactionActionsEnabled: value => value === 'true',
+    birthdayAnnouncements: value => value === 'true'
+};
+
+/**
+ * Build a link to a message of a group, if the group has linkable messages
+ * @param {Object} chat Telegram chat
+ * @param {number} messageId Message ID
+ * @returns {string|null} Message link
+ */
+function getMessageLink(chat, messageId) {
+    if (!messageId) return null;
+    if (chat.username) return `https://t.me/${chat.username}/${messageId}`;
+
+    // Private supergroups link by their ID without the -100 prefix
+    const id = String(chat.id);
+    return id.startsWith('-100') ? `https://t.me/c/${id.slice(4)}/${messageId}` : null;
+}
+
+/**
+ * Build the undo buttons of a mod log entry
+ * @param {Object} entry Mod log entry, see logModAction
+ * @returns {Array<Array<Object>>} Inline keyboard rows
+ */
+function buildUndoButtons(entry) {
+    const chatId = entry.chat.id;
+    const userId = entry.target?.id;
+    const buttons = [];
+
+    if (entry.infractionId && ['WARN', 'SPAM', 'BANNED_CONTENT'].includes(entry.action)) {
+        buttons.push({ text: '↩️ لغو تخلف', callback_data: `modlog_revoke_${chatId}_${entry.infractionId}` });
+    }
+
+    // Strikes carry the restriction of their escalation step
+    const restriction = userId ? entry.restriction || entry.action : null;
+    if (restriction === 'BAN') {
+        buttons.push({ text: '✅ رفع مسدودیت', callback_data: `modlog_unban_${chatId}_${userId}` });
+    } else if (restriction === 'MUTE') {
+        buttons.push({ text: '🔊 رفع سکوت', callback_data: `modlog_unmute_${chatId}_${userId}` });
+    } else if (restriction === 'UNBAN') {
+        buttons.push({ text: '🚫 مسدودیت دوباره', callback_data: `modlog_reban_${chatId}_${userId}` });
+    }
+
+    // Network bans are lifted by the bot owner only, see the mod log callback
+    if (entry.action === 'NETWORK_BAN' && userId) {
+        buttons.push({ text: '🌐 رفع مسدودیت سراسری', callback_data: `modlog_ungban_${chatId}_${userId}` });
+    }
+    if (entry.action === 'REVOKE' && entry.infractionId) {
+        buttons.push({ text: '↩️ بازگرداندن تخلف', callback_data: `modlog_restore_${chatId}_${entry.infractionId}` });
+    }
+
+    if (entry.undoSetting && UNDOABLE_SETTINGS[entry.undoSetting.param]) {
+        const { param, value } = entry.undoSetting;
+        buttons.push({ text: '↩️ بازگرداندن', callback_data: `modlog_setting_${chatId}_${param}_${value}` });
+    }
+
+    return buttons.length > 0 ? [buttons] : [];
+}
+
+/**
+ * Post an entry to the mod log chat of a group, if it has one. Failures are
+ * logged and never interrupt the moderation action itself.
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} entry Mod log entry
+ * @param {Object} entry.chat Telegram chat the action was taken in
+ * @param {string} entry.action Key of ACTION_LABELS
+ * @param {Object} [entry.actor] Telegram user who acted, omitted for automatic actions
+ * @param {Object} [entry.target] Telegram user the action was taken against
+ * @param {string} [entry.reason] Reason
+ * @param {number|null} [entry.duration] Duration in minutes, null for permanent bans
+ * @param {number} [entry.messageId] ID of the message the action refers to
+ * @param {number} [entry.infractionId] Infraction the action recorded
+ * @param {string} [entry.restriction] MUTE or BAN when a strike also restricted the member
+ * @param {string} [entry.details] Extra line, e.g. a settings change
+ * @param {{param: string, value: *}} [entry.undoSetting] Setting value to restore on undo
+ */
+async function logModAction(bot, entry) {
+    try {
+        const settings = await queries.getGroupSettings(entry.chat.id);
+        const logChatId = settings?.mod_log_chat_id;
+        if (!logChatId) return;
+
+        const describeUser = user => `${formatUsername(user)} (${user.id})`;
+        const lines = [
+            `#${entry.action} ${ACTION_LABELS[entry.action] || entry.action}`,
+            `گروه: ${entry.chat.title || entry.chat.id} (${entry.chat.id})`,
+            `توسط: ${entry.actor ? describeUser(entry.actor) : 'خودکار'}`
+        ];
+        if (entry.target) lines.push(`کاربر: ${describeUser(entry.target)}`);
+        if (entry.details) lines.push(entry.details);
+        if (entry.duration !== undefined && ['BAN', 'MUTE'].includes(entry.restriction || entry.action)) {
+            lines.push(`مدت: ${formatDuration(entry.duration)}`);
+        }
+        if (entry.reason) lines.push(`دلیل: ${entry.reason}`);
+        if (entry.infractionId) lines.push(`شناسه تخلف: #${entry.infractionId}`);
+
+        const link = getMessageLink(entry.chat, entry.messageId);
+        if (link) lines.push(`پیام: ${link}`);
+
+        await bot.sendMessage(logChatId, lines.join('\n'), {
+            disable_web_page_preview: true,
+            reply_markup: { inline_keyboard: buildUndoButtons(entry) }
+        });
+    } catch (error) {
+        logger.error('Error writing mod log entry:', {
+            error: error.message,
+            chatId: entry.chat?.id,
+            action: entry.action
+        });
+    }
+}
+
+module.exports = {
+    UNDOABLE_SETTINGS,
+    logModAction
+};
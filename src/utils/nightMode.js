@@ -0,0 +1,134 @@
+const config = require('../config/config');
+const queries = require('../database/queries');
+const { logger } = require('./logger');
+const { toLatinDigits } = require('./jalali');
+const { logModAction } = require('./modLog');
+
+// Chat permissions during night mode, the rest of the permissions keep their value
+const NIGHT_PERMISSIONS = {
+    can_send_messages: false,
+    can_send_audios: false,
+    can_send_documents: false,
+    can_send_photos: false,
+    can_send_videos: false,
+    can_send_video_notes: false,
+    can_send_voice_notes: false,
+    can_send_polls: false,
+    can_send_other_messages: false,
+    can_add_web_page_previews: false
+};
+
+// Restored when Telegram did not tell the permissions from before night mode
+const DEFAULT_PERMISSIONS = Object.fromEntries(Object.keys(NIGHT_PERMISSIONS).map(name => [name, true]));
+
+/**
+ * Get the canonical spelling of a time zone name
+ * @param {string} timeZone IANA time zone name in any case, e.g. asia/tehran
+ * @returns {string|null} Canonical name, or null if the time zone is unknown
+ */
+function normalizeTimeZone(timeZone) {
+    if (!timeZone) return null;
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the time zone of a chat
+ * @param {Object} settings Group settings row
+ * @returns {string} IANA time zone name
+ */
+function getChatTimeZone(settings) {
+    return settings?.timezone || config.timezone;
+}
+
+/**
+ * Parse a night mode range such as 01:00-07:00, 1-7 or 23:30-6
+ * @param {string} text Range text
+ * @returns {string|null} Normalized range as HH:MM-HH:MM, or null if invalid
+ */
+function parseTimeRange(text) {
+    const match = /^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/.exec(toLatinDigits(String(text || '')).trim());
+    if (!match) return null;
+
+    const times = [[match[1], match[2]], [match[3], match[4]]].map(([hours, minutes = '0']) => {
+        if (Number(hours) > 23 || Number(minutes) > 59) return null;
+        return `${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}`;
+    });
+    if (times.includes(null) || times[0] === times[1]) return null;
+    return times.join('-');
+}
+
+/**
+ * Check whether a moment falls within a night mode range of a time zone
+ * @param {string} range Range from parseTimeRange
+ * @param {string} timeZone IANA time zone name
+ * @param {Date} [now] Moment to check
+ * @returns {boolean} Whether it is night
+ */
+function isNightTime(range, timeZone, now = new Date()) {
+    const time = new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).format(now);
+    const [start, end] = range.split('-');
+
+    // Ranges past midnight wrap around, e.g. 23:00-07:00
+    return start < end
+        ? time >= start && time < end
+        : time >= start || time < end;
+}
+
+/**
+ * Start or end night mode in a chat when its time has come. The chat
+ * permissions from before night mode are kept in the database, so they are
+ * restored even when the bot restarted in between. A raid lockdown that
+ * closed the chat holds the permissions from before it, and night mode ends
+ * only after the lockdown.
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} settings Group settings row
+ */
+async function updateNightMode(bot, settings) {
+    const chatId = settings.chat_id;
+    const active = Boolean(settings.night_mode_permissions);
+    const night = Boolean(settings.night_mode) && isNightTime(settings.night_mode, getChatTimeZone(settings));
+    if (night === active) return;
+
+    const raid = await queries.getActiveRaid(chatId);
+    const raidClosed = Boolean(raid?.saved_permissions);
+    if (!night && raidClosed) return;
+
+    if (night) {
+        const permissions = raidClosed
+            ? raid.saved_permissions
+            : (await bot.getChat(chatId)).permissions || DEFAULT_PERMISSIONS;
+        await queries.setNightModePermissions(chatId, permissions);
+        await bot.setChatPermissions(chatId, { ...permissions, ...NIGHT_PERMISSIONS });
+        await bot.sendMessage(chatId, `🌙 حالت شب آغاز شد. ارسال پیام تا ${settings.night_mode.split('-')[1]} بسته است.`);
+    } else {
+        await bot.setChatPermissions(chatId, settings.night_mode_permissions);
+        await queries.setNightModePermissions(chatId, null);
+        await bot.sendMessage(chatId, '☀️ حالت شب به پایان رسید. ارسال پیام دوباره آزاد است.');
+    }
+
+    await logModAction(bot, {
+        chat: { id: chatId },
+        action: 'NIGHT_MODE',
+        details: night ? `آغاز (${settings.night_mode})` : 'پایان'
+    });
+    logger.info(`Night mode ${night ? 'started' : 'ended'} in chat ${chatId}`);
+}
+
+module.exports = {
+    NIGHT_PERMISSIONS,
+    DEFAULT_PERMISSIONS,
+    normalizeTimeZone,
+    getChatTimeZone,
+    parseTimeRange,
+    isNightTime,
+    updateNightMode
+};
@@ -0,0 +1,206 @@
+const { formatDate } = require('./formatter');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on periods walked through when expanding a rule
+const MAX_PERIODS = 5000;
+
+/**
+ * Parse an RRULE-style recurrence rule
+ * Supported: FREQ=WEEKLY|MONTHLY, INTERVAL, BYDAY (MO,TU / 2TH,-1FR), UNTIL, COUNT
+ * @param {string} text Rule text, optionally prefixed with "RRULE:"
+ * @returns {Object} Parsed rule
+ */
+function parseRRule(text) {
+    const parts = (text || '').trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+    const rule = { freq: null, interval: 1, byDay: [], until: null, count: null };
+
+    for (const part of parts) {
+        const [key, value] = part.split('=').map(item => (item || '').trim().toUpperCase());
+        switch (key) {
+            case 'FREQ':
+                if (!['WEEKLY', 'MONTHLY'].includes(value)) {
+                    throw new Error('Only FREQ=WEEKLY and FREQ=MONTHLY are supported');
+                }
+                rule.freq = value;
+                break;
+
+            case 'INTERVAL':
+                rule.interval = parseInt(value);
+                if (isNaN(rule.interval) || rule.interval < 1) {
+                    throw new Error('INTERVAL must be a positive number');
+                }
+                break;
+
+            case 'BYDAY':
+                rule.byDay = value.split(',').map(day => {
+                    const match = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day);
+                    if (!match) {
+                        throw new Error(`Invalid BYDAY value: ${day}`);
+                    }
+                    return {
+                        weekday: WEEKDAYS.indexOf(match[2]),
+                        ordinal: match[1] ? parseInt(match[1]) : null
+                    };
+                });
+                break;
+
+            case 'UNTIL': {
+                const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value);
+                if (!match) {
+                    throw new Error('UNTIL must be a date such as 20241231');
+                }
+                // The whole UNTIL day is included
+                rule.until = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 23, 59, 59);
+                break;
+            }
+
+            case 'COUNT':
+                rule.count = parseInt(value);
+                if (isNaN(rule.count) || rule.count < 1) {
+                    throw new Error('COUNT must be a positive number');
+                }
+                break;
+
+            default:
+                throw new Error(`Unsupported recurrence part: ${key}`);
+        }
+    }
+
+    if (!rule.freq) {
+        throw new Error('FREQ is required');
+    }
+    if (rule.until && rule.count) {
+        throw new Error('UNTIL and COUNT cannot be used together');
+    }
+    if (rule.freq === 'WEEKLY' && rule.byDay.some(day => day.ordinal !== null)) {
+        throw new Error('Weekly rules cannot use numbered weekdays such as 2TH');
+    }
+
+    return rule;
+}
+
+/**
+ * Get the occurrences a weekly rule produces in one period
+ * @param {Object} rule Parsed rule
+ * @param {Date} dtstart First occurrence of the series
+ * @param {number} period Period index from dtstart
+ * @returns {Array<Date>} Occurrences of the period
+ */
+function weeklyPeriod(rule, dtstart, period) {
+    // Weeks start on Monday, as in the RRULE default WKST=MO
+    const weekStart = new Date(dtstart);
+    weekStart.setDate(dtstart.getDate() - ((dtstart.getDay() + 6) % 7) + period * 7 * rule.interval);
+
+    const weekdays = rule.byDay.length > 0
+        ? rule.byDay.map(day => day.weekday)
+        : [dtstart.getDay()];
+
+    return weekdays.map(weekday => {
+        const date = new Date(weekStart);
+        date.setDate(weekStart.getDate() + ((weekday + 6) % 7));
+        return date;
+    });
+}
+
+/**
+ * Get the occurrences a monthly rule produces in one period
+ * @param {Object} rule Parsed rule
+ * @param {Date} dtstart First occurrence of the series
+ * @param {number} period Period index from dtstart
+ * @returns {Array<Date>} Occurrences of the period
+ */
+function monthlyPeriod(rule, dtstart, period) {
+    const year = dtstart.getFullYear();
+    const month = dtstart.getMonth() + period * rule.interval;
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const atDay = day => new Date(year, month, day, dtstart.getHours(), dtstart.getMinutes());
+
+    // Without BYDAY the series repeats on the day of month of dtstart
+    if (rule.byDay.length === 0) {
+        return dtstart.getDate() <= daysInMonth ? [atDay(dtstart.getDate())] : [];
+    }
+
+    const dates = [];
+    for (const { weekday, ordinal } of rule.byDay) {
+        const matches = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+            if (atDay(day).getDay() === weekday) matches.push(day);
+        }
+
+        if (ordinal === null) {
+            dates.push(...matches.map(atDay));
+        } else {
+            const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+            if (day) dates.push(atDay(day));
+        }
+    }
+    return dates;
+}
+
+/**
+ * List the occurrences of a rule that start within a time range
+ * @param {Object} rule Parsed rule
+ * @param {Date} dtstart First occurrence of the series
+ * @param {Date} from Range start (inclusive)
+ * @param {Date} to Range end (inclusive)
+ * @returns {{occurrences: Array<Date>, exhausted: boolean}} Occurrences and whether the rule has no more after the range
+ */
+function occurrencesBetween(rule, dtstart, from, to) {
+    const occurrences = [];
+    const expand = rule.freq === 'WEEKLY' ? weeklyPeriod : monthlyPeriod;
+    let produced = 0;
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+        const dates = expand(rule, dtstart, period)
+            .filter(date => date >= dtstart)
+            .sort((a, b) => a - b);
+
+        for (const date of dates) {
+            if (rule.count && produced >= rule.count) {
+                return { occurrences, exhausted: true };
+            }
+            if (rule.until && date > rule.until) {
+                return { occurrences, exhausted: true };
+            }
+            if (date > to) {
+                return { occurrences, exhausted: false };
+            }
+
+            produced++;
+            if (date >= from) {
+                occurrences.push(date);
+            }
+        }
+    }
+
+    return { occurrences, exhausted: true };
+}
+
+/**
+ * Describe a recurrence rule in Persian
+ * @param {Object} rule Parsed rule
+ * @param {Object} [dateOptions] Date options of the chat
+ * @returns {string} Rule description
+ */
+function describeRRule(rule, dateOptions = {}) {
+    const names = ['یکشنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنجشنبه', 'جمعه', 'شنبه'];
+    const ordinals = { 1: 'اول', 2: 'دوم', 3: 'سوم', 4: 'چهارم', 5: 'پنجم', '-1': 'آخر' };
+    const days = rule.byDay.map(({ weekday, ordinal }) =>
+        ordinal === null ? names[weekday] : `${names[weekday]} ${ordinals[ordinal] || ordinal}`
+    ).join('، ');
+
+    let text = rule.freq === 'WEEKLY'
+        ? (rule.interval > 1 ? `هر ${rule.interval} هفته` : 'هر هفته')
+        : (rule.interval > 1 ? `هر ${rule.interval} ماه` : 'هر ماه');
+    if (days) text += ` (${days})`;
+    if (rule.count) text += `، ${rule.count} بار`;
+    if (rule.until) text += `، تا ${formatDate(rule.until, { ...dateOptions, time: false })}`;
+    return text;
+}
+
+module.exports = {
+    parseRRule,
+    occurrencesBetween,
+    describeRRule
+};
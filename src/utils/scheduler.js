@@ -1,6 +1,14 @@
 const cron = require('node-cron');
+const config = require('../config/config');
 const queries = require('../database/queries');
 const { logger } = require('./logger');
+const { sendEventReminder, generateSeriesOccurrences } = require('./eventManager');
+const { renderBirthdayGreeting, getJalaliBirthdayDays } = require('./birthdayManager');
+const { getCalendarOptions } = require('./formatter');
+const { logModAction } = require('./modLog');
+const { updateNightMode } = require('./nightMode');
+const { failChallenge } = require('./captcha');
+const { endLockdown } = require('./antiRaid');
 
 async function checkExpiredBans(bot) {
     try {
@@ -8,7 +16,13 @@ async function checkExpiredBans(bot) {
         for (const ban of expiredBans) {
             try {
                 await bot.unbanChatMember(ban.chat_id, ban.user_id);
-                await queries.unbanUser(ban.user_id);
+                await queries.unbanUser(ban.user_id, ban.chat_id);
+                await logModAction(bot, {
+                    chat: { id: ban.chat_id },
+                    action: 'UNBAN',
+                    target: { id: ban.user_id },
+                    reason: 'پایان مدت مسدودیت'
+                });
                 logger.info(`Unbanned user ${ban.user_id} from chat ${ban.chat_id}`);
             } catch (error) {
                 logger.error('Error unbanning user:', {
@@ -35,6 +49,12 @@ async function checkExpiredMutes(bot) {
                     can_add_web_page_previews: true
                 });
                 await queries.unmuteMember(mute.user_id, mute.chat_id);
+                await logModAction(bot, {
+                    chat: { id: mute.chat_id },
+                    action: 'UNMUTE',
+                    target: { id: mute.user_id },
+                    reason: 'پایان مدت سکوت'
+                });
                 logger.info(`Unmuted user ${mute.user_id} in chat ${mute.chat_id}`);
             } catch (error) {
                 logger.error('Error unmuting user:', {
@@ -49,6 +69,17 @@ async function checkExpiredMutes(bot) {
     }
 }
 
+async function expireWarnings() {
+    try {
+        const expired = await queries.expireWarnings();
+        if (expired.length > 0) {
+            logger.info(`Marked ${expired.length} warnings as expired`);
+        }
+    } catch (error) {
+        logger.error('Error expiring warnings:', error);
+    }
+}
+
 async function cleanOldMessages() {
     try {
         const daysToKeep = 30; // Keep messages for 30 days
@@ -70,16 +101,29 @@ async function updateUserStats() {
 
 async function checkBirthdays(bot) {
     try {
-        const todaysBirthdays = await queries.getTodaysBirthdays();
+        const todaysBirthdays = await queries.getTodaysBirthdays(
+            config.birthdayGreetingHour,
+            config.timezone,
+            getJalaliBirthdayDays()
+        );
         for (const birthday of todaysBirthdays) {
             try {
-                const message = `🎉 تولدت مبارک ${birthday.username || birthday.first_name}! 🎂`;
+                // Claim the greeting first so each group congratulates a user once a day
+                const claimed = await queries.markBirthdayGreeted(birthday.user_id, birthday.chat_id, birthday.local_date);
+                if (!claimed) continue;
+
+                const message = renderBirthdayGreeting(
+                    birthday.birthday_message,
+                    birthday,
+                    getCalendarOptions(birthday)
+                );
                 await bot.sendMessage(birthday.chat_id, message);
-                logger.info(`Sent birthday message to ${birthday.user_id}`);
+                logger.info(`Sent birthday message to ${birthday.user_id} in chat ${birthday.chat_id}`);
             } catch (error) {
                 logger.error('Error sending birthday message:', {
                     error: error.message,
-                    userId: birthday.user_id
+                    userId: birthday.user_id,
+                    chatId: birthday.chat_id
                 });
             }
         }
@@ -88,6 +132,144 @@ async function checkBirthdays(bot) {
     }
 }
 
+async function checkEventReminders(bot) {
+    try {
+        // Offset 0 is the "starting now" notice
+        const offsets = [...new Set([...config.eventReminderOffsets, 0])];
+        const dueReminders = await queries.getDueEventReminders(offsets);
+        for (const reminder of dueReminders) {
+            try {
+                // Claim the reminder first so a second instance never sends it twice
+                const claimed = await queries.markEventReminderSent(reminder.event_id, reminder.offset_minutes);
+                if (!claimed) continue;
+
+                try {
+                    await sendEventReminder(bot, reminder, reminder.offset_minutes);
+                } catch (error) {
+                    // The group did not get it, try again on the next run
+                    await queries.releaseEventReminder(reminder.event_id, reminder.offset_minutes);
+                    throw error;
+                }
+
+                // Earlier reminders that are due too would come late, skip them
+                for (const offset of reminder.due_offsets) {
+                    if (offset !== reminder.offset_minutes) {
+                        await queries.markEventReminderSent(reminder.event_id, offset);
+                    }
+                }
+                logger.info(`Sent ${reminder.offset_minutes} minute reminder for event ${reminder.event_id}`);
+            } catch (error) {
+                logger.error('Error sending event reminder:', {
+                    error: error.message,
+                    eventId: reminder.event_id,
+                    offsetMinutes: reminder.offset_minutes
+                });
+            }
+        }
+    } catch (error) {
+        logger.error('Error checking event reminders:', error);
+    }
+}
+
+async function createRecurringEvents(bot) {
+    try {
+        const seriesList = await queries.getActiveEventSeries();
+        for (const series of seriesList) {
+            try {
+                const created = await generateSeriesOccurrences(bot, series);
+                if (created.length > 0) {
+                    logger.info(`Created ${created.length} occurrence(s) of event series ${series.series_id}`);
+                }
+            } catch (error) {
+                logger.error('Error creating event series occurrences:', {
+                    error: error.message,
+                    seriesId: series.series_id
+                });
+            }
+        }
+    } catch (error) {
+        logger.error('Error creating recurring events:', error);
+    }
+}
+
+async function checkNightMode(bot) {
+    try {
+        const chats = await queries.getNightModeChats();
+        for (const settings of chats) {
+            try {
+                await updateNightMode(bot, settings);
+            } catch (error) {
+                logger.error('Error updating night mode:', {
+                    error: error.message,
+                    chatId: settings.chat_id
+                });
+            }
+        }
+    } catch (error) {
+        logger.error('Error checking night mode:', error);
+    }
+}
+
+async function checkCaptchaTimeouts(bot) {
+    try {
+        const expired = await queries.getExpiredCaptchaChallenges();
+        for (const challenge of expired) {
+            try {
+                // Claim the challenge first, the member may be answering right now
+                const claimed = await queries.deleteCaptchaChallenge(challenge.challenge_id);
+                if (!claimed) continue;
+
+                await failChallenge(bot, claimed, 'پایان مهلت کپچا');
+            } catch (error) {
+                logger.error('Error kicking unverified member:', {
+                    error: error.message,
+                    userId: challenge.user_id,
+                    chatId: challenge.chat_id
+                });
+            }
+        }
+    } catch (error) {
+        logger.error('Error checking CAPTCHA timeouts:', error);
+    }
+}
+
+async function checkRaidLockdowns(bot) {
+    try {
+        const expired = await queries.getExpiredRaids();
+        for (const raid of expired) {
+            try {
+                await endLockdown(bot, raid);
+            } catch (error) {
+                logger.error('Error ending raid lockdown:', {
+                    error: error.message,
+                    raidId: raid.raid_id,
+                    chatId: raid.chat_id
+                });
+            }
+        }
+    } catch (error) {
+        logger.error('Error checking raid lockdowns:', error);
+    }
+}
+
+async function deleteExpiredWelcomes(bot) {
+    try {
+        const expired = await queries.takeExpiredWelcomeMessages();
+        for (const welcome of expired) {
+            // Admins may have deleted it already
+            await bot.deleteMessage(welcome.chat_id, welcome.message_id).catch(error => {
+                logger.warn('Could not delete welcome message', {
+                    error: error.message,
+                    chatId: welcome.chat_id,
+                    messageId: welcome.message_id
+                });
+            });
+        }
+    } catch (error) {
+        logger.error('Error deleting expired welcomes:', error);
+    }
+}
+
 function scheduleJobs(bot) {
     // Check expired bans every 5 minutes
     cron.schedule('*/5 * * * *', () => checkExpiredBans(bot));
@@ -95,14 +277,35 @@ function scheduleJobs(bot) {
     // Check expired mutes every 5 minutes
     cron.schedule('*/5 * * * *', () => checkExpiredMutes(bot));
 
+    // Mark expired warnings every hour
+    cron.schedule('15 * * * *', () => expireWarnings());
+
     // Clean old messages daily at 3 AM
     cron.schedule('0 3 * * *', () => cleanOldMessages());
 
     // Update user stats every hour
     cron.schedule('0 * * * *', () => updateUserStats());
 
-    // Check birthdays daily at 9 AM
-    cron.schedule('0 9 * * *', () => checkBirthdays(bot));
+    // Send birthday greetings every hour, each group at its own greeting hour
+    cron.schedule('0 * * * *', () => checkBirthdays(bot));
+
+    // Create upcoming occurrences of recurring events every hour
+    cron.schedule('30 * * * *', () => createRecurringEvents(bot));
+
+    // Send due event reminders every minute
+    cron.schedule('* * * * *', () => checkEventReminders(bot));
+
+    // Kick new members who did not pass verification in time, every minute
+    cron.schedule('* * * * *', () => checkCaptchaTimeouts(bot));
+
+    // Start and end night mode every minute, each group in its own time zone
+    cron.schedule('* * * * *', () => checkNightMode(bot));
+
+    // End raid lockdowns whose cooldown ran out, every minute
+    cron.schedule('* * * * *', () => checkRaidLockdowns(bot));
+
+    // Delete welcomes that were set to delete themselves, every minute
+    cron.schedule('* * * * *', () => deleteExpiredWelcomes(bot));
 
     logger.info('Scheduled jobs initialized');
 }
@@ -0,0 +1,130 @@
+const config = require('../config/config');
+
+// Features that can be switched on and off per chat. A feature also needs
+// its global flag in config to be enabled.
+const FEATURE_TOGGLES = {
+    antispam: {
+        column: 'anti_spam_enabled',
+        param: 'antiSpamEnabled',
+        label: 'ضد اسپم',
+        flag: 'enableAntiSpam',
+        default: true
+    },
+    filter: {
+        column: 'content_filter_enabled',
+        param: 'contentFilterEnabled',
+        label: 'فیلتر محتوا',
+        flag: 'enableContentFilter',
+        default: true
+    },
+    welcome: {
+        column: 'welcome_enabled',
+        param: 'welcomeEnabled',
+        label: 'پیام خوش‌آمد',
+        flag: 'enableWelcomeMessage',
+        default: true
+    },
+    reactions: {
+        column: 'reaction_actions_enabled',
+        param: 'reactionActionsEnabled',
+        label: 'دستورات واکنشی',
+        flag: 'enableReactionActions',
+        default: false
+    }
+};
+
+// Numeric settings changed with +/- buttons
+const STEPPERS = {
+    spam: {
+        column: 'spam_sensitivity',
+        param: 'spamSensitivity',
+        label: 'حساسیت به اسپم',
+        fallback: () => config.defaultSpamSensitivity,
+        min: 1,
+        max: 10
+    },
+    warnings: {
+        column: 'max_warnings',
+        param: 'maxWarnings',
+        label: 'حداکثر اخطارها',
+        fallback: () => config.maxWarnings,
+        min: 1,
+        max: 100
+    }
+};
+
+/**
+ * Check whether a feature is enabled in a chat
+ * @param {Object} settings Group settings row
+ * @param {string} feature Key of FEATURE_TOGGLES
+ * @returns {boolean} Whether the feature is enabled
+ */
+function isFeatureEnabled(settings, feature) {
+    const toggle = FEATURE_TOGGLES[feature];
+    return Boolean(config[toggle.flag]) && (settings?.[toggle.column] ?? toggle.default);
+}
+
+/**
+ * Get the current value of a stepper setting
+ * @param {Object} settings Group settings row
+ * @param {string} name Key of STEPPERS
+ * @returns {number} Current value
+ */
+function getStepperValue(settings, name) {
+    const stepper = STEPPERS[name];
+    return settings?.[stepper.column] ?? stepper.fallback();
+}
+
+/**
+ * Build the text and keyboard of a settings panel menu
+ * @param {Object} settings Group settings row
+ * @param {string} [menu] 'main', or a key of STEPPERS for its sub-menu
+ * @returns {{text: string, reply_markup: Object}} Message text and keyboard
+ */
+function buildSettingsPanel(settings, menu = 'main') {
+    const stepper = STEPPERS[menu];
+    if (stepper) {
+        const value = getStepperValue(settings, menu);
+        return {
+            text: `⚙️ ${stepper.label}\n\nمقدار فعلی: ${value} (بین ${stepper.min} تا ${stepper.max})`,
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: '➖', callback_data: `settings_${menu}_dec` },
+                        { text: String(value), callback_data: 'settings_noop' },
+                        { text: '➕', callback_data: `settings_${menu}_inc` }
+                    ],
+                    [{ text: '⬅️ بازگشت', callback_data: 'settings_menu_main' }]
+                ]
+            }
+        };
+    }
+
+    const toggleRows = Object.entries(FEATURE_TOGGLES).map(([key, toggle]) => {
+        const state = !config[toggle.flag] ? '⛔️' : (isFeatureEnabled(settings, key) ? '✅' : '❌');
+        return [{ text: `${state} ${toggle.label}`, callback_data: `settings_toggle_${key}` }];
+    });
+    const stepperRow = Object.entries(STEPPERS).map(([key, item]) => ({
+        text: `${item.label}: ${getStepperValue(settings, key)}`,
+        callback_data: `settings_menu_${key}`
+    }));
+
+    return {
+        text: '⚙️ تنظیمات گروه\n\nبرای روشن و خاموش کردن هر قابلیت روی آن بزنید.\n⛔️ یعنی قابلیت در تنظیمات ربات غیرفعال است.\n\nسایر تنظیمات: !set',
+        reply_markup: {
+            inline_keyboard: [
+                ...toggleRows,
+                stepperRow,
+                [{ text: '✖️ بستن', callback_data: 'settings_close' }]
+            ]
+        }
+    };
+}
+
+module.exports = {
+    FEATURE_TOGGLES,
+    STEPPERS,
+    isFeatureEnabled,
+    getStepperValue,
+    buildSettingsPanel
+};
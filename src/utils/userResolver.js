@@ -0,0 +1,101 @@
+const queries = require('../database/queries');
+const { logger } = require('./logger');
+
+/**
+ * Convert a users row to the shape of a Telegram user
+ * @param {Object} row Users row
+ * @returns {Object} Telegram-style user
+ */
+function toTelegramUser(row) {
+    return {
+        id: Number(row.user_id),
+        username: row.username,
+        first_name: row.first_name,
+        last_name: row.last_name
+    };
+}
+
+/**
+ * Find the member a moderation command targets. The target is the author of
+ * the replied message, or the first argument: a numeric user ID, an
+ * @username known from the users table, or a text mention.
+ * @param {TelegramBot} bot Bot instance
+ * @param {Object} msg Command message
+ * @returns {Promise<{user: Object|null, rest: string, error: string|null}>} Target user,
+ *   the text after the target and a Persian error message when no single target was found
+ */
+async function resolveTargetUser(bot, msg) {
+    const text = msg.text || '';
+    const commandEnd = /^\S*/.exec(text)[0].length;
+    const afterCommand = text.slice(commandEnd).trim();
+    const [firstWord = ''] = afterCommand.split(/\s+/);
+    const restAfterFirst = afterCommand.slice(firstWord.length).trim();
+
+    // A text mention is a link to a user without a username
+    const mention = (msg.entities || []).find(entity =>
+        entity.type === 'text_mention' &&
+        entity.offset >= commandEnd &&
+        text.slice(commandEnd, entity.offset).trim() === ''
+    );
+
+    if (msg.reply_to_message) {
+        if (mention || firstWord.startsWith('@')) {
+            return {
+                user: null,
+                rest: afterCommand,
+                error: '⚠️ هم به پیامی پاسخ داده‌اید و هم کاربری را نام برده‌اید. فقط یکی از این دو روش را استفاده کنید.'
+            };
+        }
+        return { user: msg.reply_to_message.from, rest: afterCommand, error: null };
+    }
+
+    if (mention) {
+        return {
+            user: mention.user,
+            rest: text.slice(mention.offset + mention.length).trim(),
+            error: null
+        };
+    }
+
+    if (/^\d+$/.test(firstWord)) {
+        const userId = Number(firstWord);
+        const row = await queries.getUserById(userId);
+        if (row) {
+            return { user: toTelegramUser(row), rest: restAfterFirst, error: null };
+        }
+
+        // Not seen by the bot yet, ask Telegram for the name
+        const member = await bot.getChatMember(msg.chat.id, userId).catch(() => null);
+        return { user: member ? member.user : { id: userId }, rest: restAfterFirst, error: null };
+    }
+
+    if (/^@\w+$/.test(firstWord)) {
+        const rows = await queries.getUsersByUsername(firstWord.slice(1));
+        if (rows.length === 0) {
+            return {
+                user: null,
+                rest: restAfterFirst,
+                error: `⚠️ کاربر ${firstWord} شناخته نشده است. ربات فقط کاربرانی را می‌شناسد که پیامی از آن‌ها دیده است؛ به پیام کاربر پاسخ دهید یا شناسه عددی او را وارد کنید.`
+            };
+        }
+        if (rows.length > 1) {
+            logger.warn('Ambiguous username', { username: firstWord, userIds: rows.map(row => row.user_id) });
+            return {
+                user: null,
+                rest: restAfterFirst,
+                error: `⚠️ چند کاربر با نام کاربری ${firstWord} ثبت شده‌اند (${rows.map(row => row.user_id).join('، ')}). شناسه عددی کاربر مورد نظر را وارد کنید.`
+            };
+        }
+        return { user: toTelegramUser(rows[0]), rest: restAfterFirst, error: null };
+    }
+
+    return {
+        user: null,
+        rest: afterCommand,
+        error: '⚠️ کاربر مشخص نشده است. به پیام کاربر پاسخ دهید یا نام کاربری (@username)، شناسه عددی یا منشن او را وارد کنید.'
+    };
+}
+
+module.exports = {
+    resolveTargetUser
+};
@@ -0,0 +1,116 @@
+const config = require('../config/config');
+const { escapeHtml } = require('./formatter');
+
+// Placeholders of welcome and goodbye templates with what they stand for
+const WELCOME_PLACEHOLDERS = {
+    first: 'نام کوچک عضو',
+    mention: 'منشن عضو',
+    chatname: 'نام گروه',
+    count: 'تعداد اعضای گروه',
+    rules_link: 'لینک قوانین گروه'
+};
+
+// Telegram limits captions of photos and GIFs to this many characters
+const CAPTION_LIMIT = 1024;
+
+const MAX_WELCOME_BUTTONS = 6;
+
+// Username of the bot for rules links, looked up once
+let botUsername = null;
+
+/**
+ * Parse custom welcome buttons, one "text | url" button per line
+ * @param {string} text Button lines
+ * @returns {Array<{text: string, url: string}>|null} Buttons, or null if a line is invalid
+ */
+function parseWelcomeButtons(text) {
+    const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length > MAX_WELCOME_BUTTONS) return null;
+
+    const buttons = lines.map(line => {
+        const match = /^(.+?)\s*\|\s*((?:https?|tg):\/\/\S+)$/.exec(line);
+        return match ? { text: match[1], url: match[2] } : null;
+    });
+    return buttons.includes(null) ? null : buttons;
+}
+
+const PLACEHOLDER_PATTERN = new RegExp(`{(${Object.keys(WELCOME_PLACEHOLDERS).join('|')})}`, 'g');
+
+/**
+ * Render a member template as HTML. The template and the values are
+ * escaped, so members cannot break the message with their names.
+ * @param {TelegramBot} bot Bot instance
+ * @param {string} text Template with placeholders
+ * @param {Object} member Telegram user the message is about
+ * @param {Object} chat Telegram chat
+ * @returns {Promise<string>} Text for the HTML parse mode
+ */
+async function renderMemberTemplate(bot, text, member, chat) {
+    const used = new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]));
+    const name = escapeHtml(member.first_name || member.username || `User${member.id}`);
+    const values = {
+        first: name,
+        mention: `<a href="tg://user?id=${member.id}">${name}</a>`,
+        chatname: escapeHtml(chat.title || '')
+    };
+
+    // Only ask Telegram for what the template shows
+    if (used.has('count')) {
+        values.count = String(await bot.getChatMemberCount(chat.id));
+    }
+    if (used.has('rules_link')) {
+        botUsername = botUsername || (await bot.getMe()).username;
+        values.rules_link = `<a href="https://t.me/${botUsername}?start=rules_${chat.id}">قوانین گروه</a>`;
+    }
+
+    return escapeHtml(text).replace(PLACEHOLDER_PATTERN, (match, key) => values[key]);
+}
+
+/**
+ * Render a welcome template. Templates without placeholders mention the
+ * member at the end, as welcomes did before placeholders existed.
+ * @param {TelegramBot} bot Bot instance
+ * @param {string} template Welcome template, the default welcome when empty
+ * @param {Object} member Telegram user who joined
+ * @param {Object} chat Telegram chat
+ * @returns {Promise<string>} Welcome text for the HTML parse mode
+ */
+async function renderWelcome(bot, template, member, chat) {
+    const text = template || config.welcomeMessage;
+    return renderMemberTemplate(bot, text.search(PLACEHOLDER_PATTERN) !== -1 ? text : `${text}\n\n{mention}`, member, chat);
+}
+
+/**
+ * Post a rendered welcome with the media and buttons of the chat
+ * @param {TelegramBot} bot Bot instance
+ * @param {number} chatId Chat ID
+ * @param {string} text Rendered welcome
+ * @param {Object} settings Group settings row
+ * @param {Array<Array<Object>>} [extraRows] Inline keyboard rows below the custom buttons
+ * @returns {Promise<Object>} Sent message
+ */
+async function postWelcome(bot, chatId, text, settings, extraRows = []) {
+    const buttons = parseWelcomeButtons(settings?.welcome_buttons) || [];
+    const options = {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: [...buttons.map(button => [button]), ...extraRows] }
+    };
+
+    // A welcome too long for a caption goes out without its media
+    const mediaType = settings?.welcome_media_file_id && text.length <= CAPTION_LIMIT ? settings.welcome_media_type : null;
+    if (mediaType === 'photo') {
+        return bot.sendPhoto(chatId, settings.welcome_media_file_id, { ...options, caption: text });
+    }
+    if (mediaType === 'animation') {
+        return bot.sendAnimation(chatId, settings.welcome_media_file_id, { ...options, caption: text });
+    }
+    return bot.sendMessage(chatId, text, options);
+}
+
+module.exports = {
+    WELCOME_PLACEHOLDERS,
+    parseWelcomeButtons,
+    renderMemberTemplate,
+    renderWelcome,
+    postWelcome
+};